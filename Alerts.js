@@ -0,0 +1,134 @@
+// SolSentry Backend Feature: Alert Sinks
+// Pluggable destinations for watch-mode alerts. A sink is any object with `name` and `async send(alert)`.
+// Built-in sinks: stdout, generic JSON webhook, Telegram Bot API (sendMessage) and Discord webhook formats.
+// Telegram and Discord accept an apiBase/url override so they can be pointed at the local mock endpoint.
+// Alert shape: { type, severity ('info'|'warning'|'critical'), mint, message, details, at (ISO date) }
+// Install dependencies: npm install axios
+
+const http = require('http');
+const axios = require('axios');
+
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+// Helper: One-line text rendering shared by the chat sinks
+function formatAlertText(alert) {
+  return `${SEVERITY_ICONS[alert.severity] || ''} [SolSentry] ${alert.message}\nMint: ${alert.mint}\n${alert.at}`.trim();
+}
+
+// Sink: print alerts to stdout (JSON lines when json = true)
+function createStdoutSink(options = {}) {
+  return {
+    name: 'stdout',
+    async send(alert) {
+      console.log(options.json ? JSON.stringify(alert) : `${alert.at} ${alert.severity.toUpperCase()} ${alert.type} ${alert.mint} - ${alert.message}`);
+    }
+  };
+}
+
+// Sink: POST the raw alert JSON to any URL
+function createWebhookSink(url, options = {}) {
+  return {
+    name: 'webhook',
+    async send(alert) {
+      await axios.post(url, alert, { headers: options.headers || {}, timeout: options.timeout || 10000 });
+    }
+  };
+}
+
+// Sink: Telegram bot sendMessage
+function createTelegramSink({ botToken, chatId, apiBase = 'https://api.telegram.org' }) {
+  return {
+    name: 'telegram',
+    async send(alert) {
+      await axios.post(`${apiBase}/bot${botToken}/sendMessage`, {
+        chat_id: chatId,
+        text: formatAlertText(alert),
+        disable_web_page_preview: true,
+      }, { timeout: 10000 });
+    }
+  };
+}
+
+// Sink: Discord webhook (content + one embed)
+function createDiscordSink(webhookUrl) {
+  const colors = { info: 0x3498db, warning: 0xf1c40f, critical: 0xe74c3c };
+  return {
+    name: 'discord',
+    async send(alert) {
+      await axios.post(webhookUrl, {
+        content: formatAlertText(alert),
+        embeds: [{
+          title: `${alert.type} - ${alert.mint}`,
+          description: alert.message,
+          color: colors[alert.severity] || colors.info,
+          timestamp: alert.at,
+          fields: Object.entries(alert.details || {}).slice(0, 10).map(([name, value]) => ({
+            name,
+            value: String(value).slice(0, 1024),
+            inline: true,
+          })),
+        }],
+      }, { timeout: 10000 });
+    }
+  };
+}
+
+// Helper: Build sinks from environment variables (stdout is always included)
+// SOLSENTRY_WEBHOOK_URL, TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID, DISCORD_WEBHOOK_URL
+function sinksFromEnv(env = process.env) {
+  const sinks = [createStdoutSink()];
+  if (env.SOLSENTRY_WEBHOOK_URL) sinks.push(createWebhookSink(env.SOLSENTRY_WEBHOOK_URL));
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    sinks.push(createTelegramSink({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID, apiBase: env.TELEGRAM_API_BASE }));
+  }
+  if (env.DISCORD_WEBHOOK_URL) sinks.push(createDiscordSink(env.DISCORD_WEBHOOK_URL));
+  return sinks;
+}
+
+// Send one alert to every sink; a failing sink never blocks the others
+async function dispatchAlert(sinks, alert) {
+  await Promise.all(sinks.map(async sink => {
+    try {
+      await sink.send(alert);
+    } catch (error) {
+      console.error(`Error sending alert to ${sink.name}:`, error.message);
+    }
+  }));
+}
+
+// Local mock endpoint that records every POST body (for testing webhook/Telegram/Discord sinks offline)
+// Returns a promise of { url, received: [{ path, body }], close() }
+function startMockAlertEndpoint(port = 0) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = raw;
+      try { body = JSON.parse(raw); } catch (error) { /* keep raw text */ }
+      received.push({ method: req.method, path: req.url, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  formatAlertText,
+  createStdoutSink,
+  createWebhookSink,
+  createTelegramSink,
+  createDiscordSink,
+  sinksFromEnv,
+  dispatchAlert,
+  startMockAlertEndpoint,
+};
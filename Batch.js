@@ -0,0 +1,108 @@
+// SolSentry Backend Feature: Batch Scanning
+// Runs the composite scan (Scan.js) over many mints, from a list or a file, with a bounded number of scans in
+// flight. Provider rate limits, retries and caching come from the shared fetch layer (Fetch.js), so a large batch
+// slows down instead of turning 429s into empty results; reports whose inputs could not be fetched are marked
+// incomplete rather than scored as clean.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios sentiment twitter-api-v2
+
+const fs = require('fs');
+const { PublicKey } = require('@solana/web3.js');
+const { scanToken } = require('./Scan.js');
+
+const DEFAULTS = {
+  concurrency: 3, // Scans running at once (each scan makes dozens of RPC/HTTP calls)
+};
+
+// Helper: Mints from a text file (one per line, commas/whitespace also separate, '#' starts a comment) or a JSON array
+function readMintList(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (text.trim().startsWith('[')) {
+    return JSON.parse(text).map(String);
+  }
+  return text
+    .split('\n')
+    .map(line => line.replace(/#.*/, ''))
+    .flatMap(line => line.split(/[\s,]+/))
+    .filter(Boolean);
+}
+
+// Helper: Valid, de-duplicated mints; invalid entries are returned separately
+function normalizeMints(mints) {
+  const valid = [];
+  const invalid = [];
+  mints.forEach(mint => {
+    try {
+      const address = new PublicKey(mint).toBase58();
+      if (!valid.includes(address)) valid.push(address);
+    } catch (error) {
+      invalid.push(mint);
+    }
+  });
+  return { valid, invalid };
+}
+
+// Main function: scan a list of mints
+// options: DEFAULTS overrides plus { scanOptions (passed to scanToken), mintOptions ({ mint: scanOptions overrides for
+//   that mint }, e.g. a per-mint positionTokens), onResult(result, done, total) }
+// Returns [{ mint, report, error }]: valid mints in input order, then invalid entries (error set when no report was made)
+async function scanBatch(mints, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { valid, invalid } = normalizeMints(mints);
+  const total = valid.length + invalid.length;
+  let done = 0;
+  const rejected = invalid.map(mint => {
+    const result = { mint, report: null, error: 'Invalid mint address' };
+    done++;
+    if (options.onResult) options.onResult(result, done, total);
+    return result;
+  });
+
+  const scanned = new Array(valid.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < valid.length) {
+      const index = next++;
+      const mint = valid[index];
+      let result;
+      try {
+        const scanOptions = { ...settings.scanOptions, ...settings.mintOptions?.[mint] };
+        result = { mint, report: await scanToken(mint, scanOptions), error: null };
+      } catch (error) {
+        result = { mint, report: null, error: error.message };
+      }
+      scanned[index] = result;
+      done++;
+      if (options.onResult) options.onResult(result, done, total);
+    }
+  };
+  const workers = Math.max(1, Math.min(settings.concurrency, valid.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return scanned.concat(rejected);
+}
+
+// Render batch results as a table, riskiest first (CLI default output)
+function formatBatchSummary(results) {
+  const scanned = results.filter(result => result.report).sort((a, b) => b.report.score - a.report.score);
+  const failed = results.filter(result => !result.report);
+  const incomplete = scanned.filter(result => result.report.complete === false).length;
+  const lines = [
+    `SolSentry batch: ${results.length} mints, ${scanned.length} scanned, ${incomplete} incomplete, ${failed.length} failed`,
+    '',
+    'Score  Level   Data        Mint                                          Token',
+  ];
+  scanned.forEach(({ mint, report }) => {
+    const label = [report.token.symbol, report.token.name].filter(Boolean).join(' - ') || '?';
+    lines.push(`${String(report.score).padStart(5)}  ${report.riskLevel.padEnd(6)}  ${(report.complete === false ? 'incomplete' : 'complete').padEnd(10)}  ${mint.padEnd(44)}  ${label}`);
+  });
+  if (failed.length > 0) {
+    lines.push('', 'Failed:');
+    failed.forEach(({ mint, error }) => lines.push(`  - ${mint}: ${error}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  readMintList,
+  scanBatch,
+  formatBatchSummary,
+};
@@ -0,0 +1,84 @@
+// SolSentry Backend Feature: Bonding-Curve (Pre-Liquidity) Analysis
+// Tokens still trading on a Pump.fun or Raydium LaunchLab curve have no DEX pool yet, so pool-based checks do not
+// apply. This module reads the curve account instead: current price, quote raised, progress to graduation, and
+// what the creator bought (and sold) on the curve, with flags that feed the security risk score.
+// Install dependencies: npm install @solana/web3.js
+
+const { fetchBondingCurve } = require('./Launchpads.js');
+const {
+  getSignatureHistory,
+  getParsedTransactionsBatched,
+  getWalletMintBalance,
+  mintBalanceDeltas,
+} = require('./Wallets.js');
+const { createRuleSession } = require('./Rules.js');
+const { percentOf } = require('./Common.js');
+
+// Main function: analyze a token's bonding curve
+// options: { creator (used when the curve does not record one), maxPages (curve history pages of 1000), quoteMints,
+//   rulePack (creator-curve-* rule thresholds; see Rules.js) }
+// Returns null when the token has no known launchpad curve
+async function analyzeBondingCurve(connection, tokenAddress, options = {}) {
+  const curve = await fetchBondingCurve(connection, tokenAddress, { quoteMints: options.quoteMints });
+  if (!curve) return null;
+
+  const result = {
+    ...curve,
+    onCurve: !curve.graduated,
+    creatorActivity: {},
+    flags: [] // { rule, flag, points, value }
+  };
+  const creator = curve.creator || options.creator;
+  if (!creator) {
+    result.creatorActivity.error = 'Curve creator unknown';
+    return result;
+  }
+
+  // Creator trades: every curve transaction where the creator's balance of the mint moved
+  const totalSupply = BigInt(curve.tokenSupply);
+  const { signatures, complete } = await getSignatureHistory(connection, curve.address, options.maxPages || 2);
+  const transactions = await getParsedTransactionsBatched(connection, signatures.filter(entry => !entry.err).map(entry => entry.signature));
+  let bought = 0n, sold = 0n, buys = 0, sells = 0;
+  transactions.forEach(transaction => {
+    if (!transaction || transaction.meta?.err) return;
+    const delta = mintBalanceDeltas(transaction, tokenAddress).get(creator) || 0n;
+    if (delta > 0n) {
+      bought += delta;
+      buys++;
+    } else if (delta < 0n) {
+      sold -= delta;
+      sells++;
+    }
+  });
+  let currentBalance = null;
+  try {
+    currentBalance = await getWalletMintBalance(connection, creator, tokenAddress);
+  } catch (error) {
+    // Balance is informational; the trades above still stand
+  }
+  result.creatorActivity = {
+    wallet: creator,
+    historyComplete: complete,
+    buys,
+    sells,
+    bought: bought.toString(),
+    sold: sold.toString(),
+    boughtPercent: percentOf(bought, totalSupply),
+    soldPercent: percentOf(sold, totalSupply),
+    currentBalance: currentBalance !== null ? currentBalance.toString() : null,
+    holdsPercent: currentBalance !== null ? percentOf(currentBalance, totalSupply) : null,
+  };
+
+  const rules = createRuleSession(options.rulePack, 'security');
+  rules.check('creator-curve-buy', result.creatorActivity.boughtPercent);
+  if (bought > 0n) {
+    rules.check('creator-curve-sell', percentOf(sold, bought), { soldPercent: result.creatorActivity.soldPercent });
+  }
+  result.flags = rules.flags();
+
+  return result;
+}
+
+module.exports = {
+  analyzeBondingCurve,
+};
@@ -0,0 +1,27 @@
+// SolSentry Backend Feature: Shared Constants & Number Helpers
+// Small pieces every analyzer needs: the wrapped SOL mint, the length of a day, and the rounding / percent
+// helpers used to report shares of supply, so each module formats numbers the same way.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+
+const WSOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Helper: round to 2 decimals
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Helper: percent of a BigInt amount over a BigInt total, 2 decimals
+function percentOf(amount, total) {
+  return total > 0n ? Number((amount * 10000n) / total) / 100 : 0;
+}
+
+module.exports = {
+  WSOL_MINT,
+  DAY_SECONDS,
+  round2,
+  percentOf,
+};
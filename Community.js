@@ -0,0 +1,358 @@
+// SolSentry Backend Feature: Telegram & Discord Community Analytics
+// This module reads a project's Telegram group and Discord server activity and measures community health:
+// member growth (joins/leaves over the window), messages per active member and the unique-speaker ratio, plus
+// bot-like patterns: the same shill message repeated, join waves (dozens of joins within minutes), link spam,
+// and accounts that only ever post pump phrases.
+// Sources, live or offline:
+// - Telegram: Bot API getUpdates for a group the bot is in (privacy mode off to see every message) plus
+//   getChatMemberCount, or a Telegram Desktop JSON export (result.json).
+// - Discord: channel messages over the REST API with a bot token plus the invite's member counts (public), or a
+//   JSON export (DiscordChatExporter format, or a raw array of Discord API message objects).
+// Install dependencies: npm install axios
+
+const fs = require('fs');
+const { fetchJson } = require('./Fetch.js');
+const { createRuleSession } = require('./Rules.js');
+const { DAY_SECONDS, round2 } = require('./Common.js');
+
+const DEFAULTS = {
+  windowDays: 7, // Activity window, ending at the newest event (exports) or now (live)
+  repeatThreshold: 3, // Same message this many times counts as repeated
+  minRepeatLength: 15, // Shorter texts ("gm", "lfg") repeat naturally
+  joinWaveMinutes: 10, // Join-wave bucket size
+  joinWaveSize: 25, // Joins in one bucket that make a wave
+  linkSpamMin: 3, // An account with this many link messages, at least half of what it posts, is a link spammer
+  pumpOnlyMin: 3, // Messages an account needs before "only pump phrases" counts
+  minMessages: 20, // Message-share flags need at least this many messages
+  minActiveMembers: 10, // The pump-only flag needs at least this many active members
+  maxPages: 5, // Discord: pages of 100 messages per channel
+};
+
+// Phrases of coordinated pump posting (matched on lowercased text)
+const PUMP_PHRASES = [
+  /\bto the moon\b/, /\bmoon(ing)?\b/, /\b\d{2,5}x\b/, /\blfg+\b/, /\bwagmi\b/, /\bpump(ing)?\b/, /\bsend it\b/,
+  /\bape (in|now)\b/, /\bbuy (now|more|the dip)\b/, /\bdon'?t miss\b/, /\bgem\b/, /\blambo\b/, /\bmillionaire\b/,
+  /\bbullish\b/, /\bhodl\b/, /🚀|💎|🔥|📈|🌕/u,
+];
+
+const LINK_PATTERN = /(https?:\/\/|www\.|t\.me\/|discord\.gg\/)/i;
+
+// Most updates one getUpdates call returns. Paging on with offset would confirm (delete) the updates already read
+const TELEGRAM_UPDATES_LIMIT = 100;
+
+// Helper: Telegram export text is a string or an array of strings and entity objects
+function telegramText(text) {
+  if (Array.isArray(text)) return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  return text || '';
+}
+
+// Helper: Unix seconds of an ISO date (or of Telegram's date_unixtime string)
+function unixTime(value) {
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Helper: Group name from a Telegram link or handle ("https://t.me/name", "@name", "name")
+function telegramChat(link) {
+  const name = String(link).replace(/^https?:\/\/(www\.)?(t|telegram)\.me\//i, '').replace(/^@/, '').split(/[/?#]/)[0];
+  return name ? `@${name}` : null;
+}
+
+// Helper: Invite code from a Discord link ("https://discord.gg/code", "discord.com/invite/code", "code")
+function discordInvite(link) {
+  return String(link).replace(/^https?:\/\//i, '').replace(/^(www\.)?(discord\.gg|discord(app)?\.com\/invite)\//i, '').split(/[/?#]/)[0] || null;
+}
+
+// Main function: events of a Telegram Desktop JSON export (result.json)
+// Returns [{ type ('message' | 'join' | 'leave'), time, author, isBot, text }]
+function parseTelegramExport(data) {
+  const events = [];
+  (data.messages || []).forEach(message => {
+    const time = unixTime(message.date_unixtime || message.date);
+    if (message.type === 'message') {
+      events.push({ type: 'message', time, author: message.from_id || message.from || null, isBot: false, text: telegramText(message.text) });
+    } else if (message.type === 'service') {
+      if (['join_group_by_link', 'join_group_by_request'].includes(message.action)) {
+        events.push({ type: 'join', time, author: message.actor_id || null });
+      } else if (message.action === 'invite_members') {
+        (message.members || []).forEach(() => events.push({ type: 'join', time, author: null }));
+      } else if (message.action === 'remove_members') {
+        (message.members || []).forEach(() => events.push({ type: 'leave', time, author: null }));
+      }
+    }
+  });
+  return events;
+}
+
+// Main function: events of Telegram Bot API updates (getUpdates result), optionally for one chat ("@name" or id)
+function parseTelegramUpdates(updates, chat) {
+  const wanted = chat ? String(chat).replace(/^@/, '').toLowerCase() : null;
+  const events = [];
+  updates.forEach(update => {
+    const message = update.message || update.edited_message;
+    if (!message) return;
+    const chatKeys = [message.chat?.username, message.chat?.id].filter(key => key != null).map(key => String(key).toLowerCase());
+    if (wanted && !chatKeys.includes(wanted)) return;
+    const time = message.date;
+    if (message.new_chat_members) {
+      message.new_chat_members.forEach(member => events.push({ type: 'join', time, author: `user${member.id}`, isBot: Boolean(member.is_bot) }));
+    } else if (message.left_chat_member) {
+      events.push({ type: 'leave', time, author: `user${message.left_chat_member.id}` });
+    } else if (message.text || message.caption) {
+      events.push({ type: 'message', time, author: `user${message.from?.id}`, isBot: Boolean(message.from?.is_bot), text: message.text || message.caption });
+    }
+  });
+  return events;
+}
+
+// Main function: events of a Discord export (DiscordChatExporter JSON, or an array of Discord API messages)
+function parseDiscordMessages(data) {
+  const messages = Array.isArray(data) ? data : data.messages || [];
+  return messages.map(message => {
+    const time = unixTime(message.timestamp);
+    const author = message.author?.id || null;
+    // Member joins: type 7 in the API, "GuildMemberJoin" in exports
+    if (message.type === 7 || message.type === 'GuildMemberJoin') {
+      return { type: 'join', time, author };
+    }
+    return { type: 'message', time, author, isBot: Boolean(message.author?.bot || message.author?.isBot), text: message.content || '' };
+  });
+}
+
+// Helper: Normalized text for repeat detection (case, links, punctuation and spacing ignored)
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\S*(https?:\/\/|www\.)\S*/g, ' link ').replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+// Main function: community metrics and bot-like patterns from normalized events
+// options: DEFAULTS overrides plus { platform (label for flags), memberCount (current, when known),
+//   onlineCount, now (window end, unix seconds; defaults to the newest event), rulePack (community-* rule thresholds) }
+// Returns { platform, window: { from, to, days }, memberCount, onlineCount, memberGrowth, messages, activeMembers,
+//   messagesPerActiveMember, uniqueSpeakerRatio, activeMemberPercent, repeatedMessages, repeatedMessagePercent,
+//   joinWaves, joinWaveJoinPercent, linkMessagePercent, linkSpammers, pumpOnlyAccounts, pumpOnlyPercent, flags }
+function analyzeCommunity(events, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const platform = settings.platform || 'Community';
+  const times = events.map(event => event.time).filter(time => time !== null);
+  const end = settings.now || (times.length > 0 ? times.reduce((a, b) => Math.max(a, b)) : Math.floor(Date.now() / 1000));
+  const start = end - settings.windowDays * DAY_SECONDS;
+  const inWindow = events.filter(event => event.time !== null && event.time >= start && event.time <= end);
+  // Moderation bots (Combot, Rose, ...) post a lot by design; they are not community members
+  const messages = inWindow.filter(event => event.type === 'message' && !event.isBot && event.text);
+  const joins = inWindow.filter(event => event.type === 'join');
+  const leaves = inWindow.filter(event => event.type === 'leave');
+
+  // 1. Member growth (joins/leaves seen in the window; the current count when the platform gives one)
+  const net = joins.length - leaves.length;
+  const startCount = settings.memberCount != null ? settings.memberCount - net : null;
+  const memberGrowth = {
+    joins: joins.length,
+    leaves: leaves.length,
+    net,
+    perDay: round2(net / settings.windowDays),
+    percent: startCount > 0 ? round2((net / startCount) * 100) : null,
+  };
+
+  // 2. Engagement: messages per active member, unique speakers per message
+  const byAuthor = new Map();
+  messages.forEach(message => {
+    const key = message.author || 'unknown';
+    if (!byAuthor.has(key)) byAuthor.set(key, []);
+    byAuthor.get(key).push(message);
+  });
+  const activeMembers = byAuthor.size;
+
+  // 3. Repeated shill messages (same normalized text, repeatThreshold+ times)
+  const byText = new Map();
+  messages.forEach(message => {
+    const text = normalizeText(message.text);
+    if (text.length < settings.minRepeatLength) return;
+    if (!byText.has(text)) byText.set(text, { text: message.text.slice(0, 120), count: 0, authors: new Set() });
+    const entry = byText.get(text);
+    entry.count++;
+    entry.authors.add(message.author);
+  });
+  const repeated = [...byText.values()].filter(entry => entry.count >= settings.repeatThreshold).sort((a, b) => b.count - a.count);
+  const repeatedCount = repeated.reduce((sum, entry) => sum + entry.count, 0);
+
+  // 4. Join waves (joinWaveSize+ joins inside one joinWaveMinutes bucket)
+  const bucketSeconds = settings.joinWaveMinutes * 60;
+  const buckets = new Map();
+  joins.forEach(join => {
+    const bucket = join.time - (join.time % bucketSeconds);
+    buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+  });
+  const joinWaves = [...buckets.entries()]
+    .filter(([, count]) => count >= settings.joinWaveSize)
+    .map(([bucket, count]) => ({ start: new Date(bucket * 1000).toISOString(), joins: count }));
+  const waveJoins = joinWaves.reduce((sum, wave) => sum + wave.joins, 0);
+
+  // 5. Link spam and pump-only accounts
+  const linkMessages = messages.filter(message => LINK_PATTERN.test(message.text));
+  const linkSpammers = [];
+  const pumpOnlyAccounts = [];
+  byAuthor.forEach((posts, author) => {
+    const links = posts.filter(post => LINK_PATTERN.test(post.text)).length;
+    if (links >= settings.linkSpamMin && links / posts.length >= 0.5) linkSpammers.push({ author, messages: posts.length, links });
+    const lower = posts.map(post => post.text.toLowerCase());
+    if (posts.length >= settings.pumpOnlyMin && lower.every(text => PUMP_PHRASES.some(phrase => phrase.test(text)))) {
+      pumpOnlyAccounts.push({ author, messages: posts.length });
+    }
+  });
+
+  const result = {
+    platform,
+    window: { from: new Date(start * 1000).toISOString(), to: new Date(end * 1000).toISOString(), days: settings.windowDays },
+    memberCount: settings.memberCount ?? null,
+    onlineCount: settings.onlineCount ?? null,
+    memberGrowth,
+    messages: messages.length,
+    activeMembers,
+    messagesPerActiveMember: activeMembers > 0 ? round2(messages.length / activeMembers) : 0,
+    uniqueSpeakerRatio: messages.length > 0 ? round2(activeMembers / messages.length) : 0,
+    activeMemberPercent: settings.memberCount > 0 ? round2((activeMembers / settings.memberCount) * 100) : null,
+    repeatedMessages: repeated.slice(0, 10).map(entry => ({ text: entry.text, count: entry.count, authors: entry.authors.size })),
+    repeatedMessagePercent: messages.length > 0 ? round2((repeatedCount / messages.length) * 100) : 0,
+    joinWaves,
+    joinWaveJoinPercent: joins.length > 0 ? round2((waveJoins / joins.length) * 100) : 0,
+    linkMessagePercent: messages.length > 0 ? round2((linkMessages.length / messages.length) * 100) : 0,
+    linkSpammers,
+    pumpOnlyAccounts,
+    pumpOnlyPercent: activeMembers > 0 ? round2((pumpOnlyAccounts.length / activeMembers) * 100) : 0,
+    flags: [] // { rule, flag, points, value }
+  };
+
+  const rules = createRuleSession(settings.rulePack, 'social');
+  const enoughMessages = messages.length >= settings.minMessages;
+  if (enoughMessages) {
+    rules.check('community-shill-spam', result.repeatedMessagePercent, { platform, texts: repeated.length });
+  }
+  if (joinWaves.length > 0) {
+    rules.check('community-join-waves', result.joinWaveJoinPercent, {
+      platform,
+      waves: joinWaves.length,
+      size: settings.joinWaveSize,
+      minutes: settings.joinWaveMinutes,
+    });
+  }
+  if (enoughMessages) {
+    // One link-spam finding: a chat flooded with links, else several link-spamming accounts
+    const vars = { platform, linkPercent: result.linkMessagePercent, spammers: linkSpammers.length };
+    rules.check('community-link-spam', result.linkMessagePercent, vars) || rules.check('community-link-spammers', linkSpammers.length, vars);
+  }
+  if (activeMembers >= settings.minActiveMembers) {
+    rules.check('community-pump-only', result.pumpOnlyPercent, { platform, accounts: pumpOnlyAccounts.length });
+  }
+  result.flags = rules.flags();
+  return result;
+}
+
+// Helper: Read a JSON export file
+function readExport(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Main function: Telegram group events and member count over the Bot API; throws FetchError
+// The bot must be in the group (privacy mode off); getUpdates only returns the last 24h of unconfirmed updates,
+// at most TELEGRAM_UPDATES_LIMIT of them (complete: false when the limit was reached, i.e. the events are a sample)
+async function fetchTelegramCommunity(botToken, chat) {
+  const base = `https://api.telegram.org/bot${botToken}`;
+  const [updates, count] = await Promise.all([
+    fetchJson('telegram', `${base}/getUpdates?limit=${TELEGRAM_UPDATES_LIMIT}&allowed_updates=${encodeURIComponent('["message"]')}`),
+    fetchJson('telegram', `${base}/getChatMemberCount?chat_id=${encodeURIComponent(chat)}`),
+  ]);
+  const received = updates.result || [];
+  return {
+    events: parseTelegramUpdates(received, chat),
+    memberCount: count.result ?? null,
+    complete: received.length < TELEGRAM_UPDATES_LIMIT,
+  };
+}
+
+// Main function: Discord server events (channel messages, newest pages first) and invite member counts; throws FetchError
+// channels: channel ids the bot can read; invite: invite code for member/online counts (no token needed)
+async function fetchDiscordCommunity(botToken, channels = [], invite = null, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const headers = { Authorization: `Bot ${botToken}` };
+  const messages = [];
+  for (const channel of channels) {
+    let before = null;
+    for (let page = 0; page < settings.maxPages; page++) {
+      const query = `limit=100${before ? `&before=${before}` : ''}`;
+      const batch = await fetchJson('discord', `https://discord.com/api/v10/channels/${channel}/messages?${query}`, { headers });
+      messages.push(...batch);
+      if (batch.length < 100) break;
+      before = batch[batch.length - 1].id;
+    }
+  }
+  let counts = {};
+  if (invite) {
+    counts = await fetchJson('discord', `https://discord.com/api/v10/invites/${invite}?with_counts=true`);
+  }
+  return {
+    events: parseDiscordMessages(messages),
+    memberCount: counts.approximate_member_count ?? null,
+    onlineCount: counts.approximate_presence_count ?? null,
+  };
+}
+
+// Main function: Telegram community analytics (export file, else the Bot API); null when neither is configured
+// socialLinks.telegram: group link or @handle; apiKeys.telegramBot: bot token
+// options: DEFAULTS overrides plus { telegramExport (JSON export file, used instead of the Bot API) }
+async function analyzeTelegram(socialLinks = {}, apiKeys = {}, options = {}) {
+  if (options.telegramExport) {
+    const data = readExport(options.telegramExport);
+    return analyzeCommunity(parseTelegramExport(data), { ...options, platform: `Telegram (${data.name || 'export'})` });
+  }
+  if (!apiKeys.telegramBot || !socialLinks.telegram) return null;
+  const chat = telegramChat(socialLinks.telegram);
+  const live = await fetchTelegramCommunity(apiKeys.telegramBot, chat);
+  // getUpdates only reaches back 24h
+  const result = analyzeCommunity(live.events, {
+    ...options,
+    platform: `Telegram ${chat}`,
+    memberCount: live.memberCount,
+    windowDays: 1,
+    now: Math.floor(Date.now() / 1000),
+  });
+  result.complete = live.complete;
+  if (!live.complete) {
+    result.note = `Sampled: getUpdates returned its maximum of ${TELEGRAM_UPDATES_LIMIT} updates (the oldest of the last 24h), newer activity was not read`;
+  }
+  return result;
+}
+
+// Main function: Discord community analytics (export file, else the REST API); null when neither is configured
+// socialLinks.discord: invite link (member/online counts need no token); apiKeys.discordBot: bot token for messages
+// options: DEFAULTS overrides plus { discordExport (JSON export file), discordChannels (channel ids to read) }
+async function analyzeDiscord(socialLinks = {}, apiKeys = {}, options = {}) {
+  if (options.discordExport) {
+    const data = readExport(options.discordExport);
+    return analyzeCommunity(parseDiscordMessages(data), { ...options, platform: `Discord (${data.guild?.name || 'export'})` });
+  }
+  if (!socialLinks.discord) return null;
+  const invite = discordInvite(socialLinks.discord);
+  const channels = apiKeys.discordBot ? options.discordChannels || [] : [];
+  const live = await fetchDiscordCommunity(apiKeys.discordBot, channels, invite, options);
+  return analyzeCommunity(live.events, {
+    ...options,
+    platform: `Discord ${invite}`,
+    memberCount: live.memberCount,
+    onlineCount: live.onlineCount,
+    now: Math.floor(Date.now() / 1000),
+  });
+}
+
+module.exports = {
+  PUMP_PHRASES,
+  parseTelegramExport,
+  parseTelegramUpdates,
+  parseDiscordMessages,
+  analyzeCommunity,
+  fetchTelegramCommunity,
+  fetchDiscordCommunity,
+  analyzeTelegram,
+  analyzeDiscord,
+};
@@ -0,0 +1,178 @@
+// SolSentry Backend Feature: Deployer / Dev Wallet Profile
+// This module builds a profile of the wallet that created a token: where it got its SOL, whether it has sold or
+// moved the token since launch, and which other mints it deployed before and what happened to them
+// (liquidity pulled, price at zero). A deployer with several dead launches is flagged as a serial rugger.
+// If the creator is unknown, the fee payer of the mint's first transaction is used.
+// Uses DEXScreener (public API) for the fate of previous launches.
+// Install dependencies: npm install @solana/web3.js axios
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  getSignatureHistory,
+  getParsedTransactionsBatched,
+  allInstructions,
+  findFundingSource,
+  getWalletMintBalance,
+  mintBalanceDeltas,
+  soldForSol,
+} = require('./Wallets.js');
+const { fetchJson } = require('./Fetch.js');
+const { createRuleSession } = require('./Rules.js');
+
+// A previous launch counts as dead below this liquidity (USD)
+const DEAD_LIQUIDITY_USD = 1000;
+
+// Newest deployer transactions parsed per profile (each scan pays for them; raise for a deep profile)
+const MAX_PROFILE_TRANSACTIONS = 250;
+
+// Helper: Fetch DEXScreener pairs for up to 30 tokens per request
+// A pair is listed under each requested token on either side (a launch can be the quote token of its pool)
+async function getDexPairsForTokens(tokenAddresses) {
+  const pairsByToken = {};
+  for (let i = 0; i < tokenAddresses.length; i += 30) {
+    const batch = tokenAddresses.slice(i, i + 30);
+    try {
+      const body = await fetchJson('dexscreener', `https://api.dexscreener.com/latest/dex/tokens/${batch.join(',')}`);
+      (body.pairs || []).forEach(pair => {
+        [pair.baseToken?.address, pair.quoteToken?.address]
+          .filter(address => address && batch.includes(address))
+          .forEach(address => { pairsByToken[address] = (pairsByToken[address] || []).concat(pair); });
+      });
+    } catch (error) {
+      console.error('Error fetching DEXScreener pairs:', error.message);
+      batch.forEach(address => { pairsByToken[address] = null; }); // null = unknown, not "no pairs"
+    }
+  }
+  return pairsByToken;
+}
+
+// Helper: Classify what happened to a previous launch from its DEXScreener pairs
+// Price and FDV are the base token's, so only pairs where the launch is the base token are priced
+function classifyLaunchFate(pairs, mint) {
+  if (pairs === null || pairs === undefined) return 'unknown';
+  if (pairs.length === 0) return 'never-listed';
+  const liquidityUSD = pairs.reduce((sum, pair) => sum + (pair.liquidity?.usd || 0), 0);
+  if (liquidityUSD < DEAD_LIQUIDITY_USD) return 'liquidity-pulled';
+  const priced = mint ? pairs.filter(pair => pair.baseToken?.address === mint) : pairs;
+  if (priced.length === 0) return 'active';
+  const priceUsd = Math.max(...priced.map(pair => Number(pair.priceUsd) || 0));
+  if (priceUsd === 0 || priced.every(pair => (pair.fdv || 0) < 10000)) return 'price-at-zero';
+  return 'active';
+}
+
+// Helper: Fee payer of the mint's first transaction (creator fallback)
+async function findDeployer(connection, tokenAddress) {
+  const { signatures, complete } = await getSignatureHistory(connection, tokenAddress, 3);
+  if (!complete || signatures.length === 0) return null;
+  const [first] = await getParsedTransactionsBatched(connection, [signatures[signatures.length - 1].signature]);
+  const payer = first?.transaction?.message?.accountKeys?.[0];
+  return payer ? (payer.pubkey || payer).toString() : null;
+}
+
+// Main function: profile a deployer wallet
+// options: { maxPages (history pages of 1000 to scan, default 1), maxTransactions (newest transactions parsed),
+//   rulePack (serial-rugger, dev-sold, ... rule thresholds; see Rules.js) }
+// When the wallet has more history than was read, soldPercentOfReceived and deadLaunches are null and their rules skipped
+async function profileDeployer(connection, tokenAddress, creator, options = {}) {
+  const profile = {
+    wallet: creator || null,
+    source: creator ? 'token metadata' : 'first mint transaction',
+    funding: null,
+    tokenActivity: {},
+    previousLaunches: [],
+    deadLaunches: 0,
+    flags: [] // { rule, flag, points, value }
+  };
+  if (!profile.wallet) {
+    profile.wallet = await findDeployer(connection, tokenAddress);
+  }
+  if (!profile.wallet) {
+    profile.error = 'Deployer wallet could not be determined';
+    return profile;
+  }
+  const wallet = new PublicKey(profile.wallet).toBase58();
+
+  // 1. Funding source
+  try {
+    profile.funding = await findFundingSource(connection, wallet);
+  } catch (error) {
+    profile.funding = { error: `Funding lookup failed: ${error.message}` };
+  }
+
+  // 2. Wallet history: token outflows and mints created
+  const { signatures, complete } = await getSignatureHistory(connection, wallet, options.maxPages || 1);
+  const successful = signatures.filter(entry => !entry.err);
+  const parsed = successful.slice(0, options.maxTransactions || MAX_PROFILE_TRANSACTIONS);
+  const transactions = await getParsedTransactionsBatched(connection, parsed.map(entry => entry.signature));
+  let received = 0n, sold = 0n, transferred = 0n;
+  const createdMints = new Map(); // mint -> blockTime
+  transactions.forEach(transaction => {
+    if (!transaction) return;
+    const delta = mintBalanceDeltas(transaction, tokenAddress).get(wallet) || 0n;
+    if (delta > 0n) {
+      received += delta;
+    } else if (delta < 0n) {
+      // A sale returns SOL: wrapped SOL balance or lamports go up in the same transaction
+      if (soldForSol(transaction, wallet)) sold -= delta;
+      else transferred -= delta;
+    }
+    allInstructions(transaction)
+      .filter(ix => ['initializeMint', 'initializeMint2'].includes(ix.parsed?.type))
+      .forEach(ix => {
+        if (ix.parsed.info.mint !== tokenAddress && !createdMints.has(ix.parsed.info.mint)) {
+          createdMints.set(ix.parsed.info.mint, transaction.blockTime || null);
+        }
+      });
+  });
+  let currentBalance = null;
+  try {
+    currentBalance = await getWalletMintBalance(connection, wallet, tokenAddress);
+  } catch (error) {
+    // Balance is informational; the flows above still stand
+  }
+  // Without the full history the original receipt and older launches may be missing, so the shares below are unknown
+  const historyComplete = complete && parsed.length === successful.length;
+  profile.tokenActivity = {
+    historyComplete, // false: older launches and flows were not read
+    transactionsScanned: transactions.length,
+    received: received.toString(),
+    sold: sold.toString(),
+    transferredOut: transferred.toString(),
+    currentBalance: currentBalance !== null ? currentBalance.toString() : null,
+    soldPercentOfReceived: !historyComplete ? null : received > 0n ? Number((sold * 10000n) / received) / 100 : 0,
+  };
+
+  // 3. Previous launches and their fate
+  const mints = [...createdMints.keys()];
+  const pairsByToken = mints.length > 0 ? await getDexPairsForTokens(mints) : {};
+  profile.previousLaunches = mints.map(mint => ({
+    mint,
+    createdAt: createdMints.get(mint) ? new Date(createdMints.get(mint) * 1000).toISOString() : null,
+    fate: classifyLaunchFate(pairsByToken[mint] === undefined ? [] : pairsByToken[mint], mint),
+    liquidityUSD: (pairsByToken[mint] || []).reduce((sum, pair) => sum + (pair.liquidity?.usd || 0), 0),
+  }));
+  profile.deadLaunches = historyComplete
+    ? profile.previousLaunches.filter(launch => ['liquidity-pulled', 'price-at-zero'].includes(launch.fate)).length
+    : null;
+  if (!historyComplete) {
+    profile.note = `Wallet history is longer than the ${transactions.length} transactions read: sold % and dead launches unknown`;
+  }
+
+  // 4. Flags (tiered: serial rugger, else any dead launch); skipped when the history was cut off
+  const rules = createRuleSession(options.rulePack, 'security');
+  if (historyComplete) {
+    rules.check('serial-rugger', profile.deadLaunches) || rules.check('deployer-dead-launches', profile.deadLaunches);
+    rules.check('dev-sold', profile.tokenActivity.soldPercentOfReceived);
+  }
+  rules.check('dev-moved-tokens', transferred > 0n);
+  profile.flags = rules.flags();
+
+  return profile;
+}
+
+module.exports = {
+  getDexPairsForTokens,
+  classifyLaunchFate,
+  findDeployer,
+  profileDeployer,
+};
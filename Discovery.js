@@ -0,0 +1,306 @@
+// SolSentry Backend Feature: New-Launch Discovery Feed
+// This module subscribes to program logs for Pump.fun (token creation), Raydium LaunchLab (pool creation) and
+// Raydium AMM v4 (initialize2) and turns every new token into a launch record: mint, creator, name/symbol and the
+// launch parameters (curve reserves, creator's first buy, fundraising target, initial pool liquidity).
+// Each launch is queued for a quick first-pass security scan (authorities, Token-2022 extensions, deployer history,
+// creator's launch share) and the scored launches are kept as a ranked stream, lowest risk first.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios bs58
+
+const bs58 = require('bs58');
+const { fetchMintWithProgram, auditMintExtensions } = require('./Token-2022.js');
+const { profileDeployer } = require('./Deployer.js');
+const { RAYDIUM_AMM_V4_PROGRAM_ID } = require('./Pools.js');
+const { allInstructions } = require('./Wallets.js');
+const { createRuleSession } = require('./Rules.js');
+const {
+  PUMP_FUN_PROGRAM_ID,
+  LAUNCHLAB_PROGRAM_ID,
+  PUMP_FUN_TOTAL_SUPPLY,
+  PUMP_CREATE_EVENT,
+  PUMP_TRADE_EVENT,
+  LAUNCHLAB_POOL_CREATE_EVENT,
+  findEvents,
+  decodePumpCreateEvent,
+  decodePumpTradeEvent,
+  decodeLaunchLabPoolCreateEvent,
+  decodeLaunchLabPool,
+  decodeRaydiumInitLog,
+} = require('./Launchpads.js');
+const { WSOL_MINT, percentOf } = require('./Common.js');
+
+const SOURCES = ['pumpfun', 'launchlab', 'raydium'];
+
+const DEFAULTS = {
+  sources: SOURCES,
+  concurrency: 2, // Quick scans running at once
+  maxQueue: 200, // Launches waiting for a scan; the oldest are dropped beyond this
+  maxRanked: 100, // Scored launches kept in the ranked list
+  profileDeployer: true, // Deployer history lookup (the most RPC-heavy part of the quick scan)
+  maxSeen: 5000, // Mints remembered to skip repeats; the least recently seen are forgotten beyond this
+};
+
+// Raydium AMM v4 instruction tag of initialize2 (first byte of the instruction data)
+const RAYDIUM_INITIALIZE2_TAG = 1;
+
+// Helper: Pump.fun creation transaction -> launch record
+function parsePumpFunLaunch(logs, signature) {
+  const [payload] = findEvents(logs, PUMP_CREATE_EVENT);
+  if (!payload) return null;
+  const event = decodePumpCreateEvent(payload);
+  const creator = (event.creator || event.user).toBase58();
+  // The create transaction usually carries the creator's first buy
+  const creatorBuy = findEvents(logs, PUMP_TRADE_EVENT)
+    .map(decodePumpTradeEvent)
+    .filter(trade => trade.isBuy && trade.mint.equals(event.mint) && trade.user.toBase58() === creator)
+    .reduce((sum, trade) => ({ sol: sum.sol + trade.solAmount, tokens: sum.tokens + trade.tokenAmount }), { sol: 0n, tokens: 0n });
+  const totalSupply = event.tokenTotalSupply || PUMP_FUN_TOTAL_SUPPLY;
+  return {
+    source: 'pumpfun',
+    mint: event.mint.toBase58(),
+    creator,
+    signature,
+    name: event.name,
+    symbol: event.symbol,
+    uri: event.uri,
+    params: {
+      bondingCurve: event.bondingCurve.toBase58(),
+      totalSupply: totalSupply.toString(),
+      virtualSolReserves: event.virtualSolReserves != null ? event.virtualSolReserves.toString() : null,
+      virtualTokenReserves: event.virtualTokenReserves != null ? event.virtualTokenReserves.toString() : null,
+      creatorBuySol: Number(creatorBuy.sol) / 1e9,
+      creatorBuyPercent: percentOf(creatorBuy.tokens, totalSupply),
+    },
+  };
+}
+
+// Helper: LaunchLab pool creation -> launch record (base mint read from the new pool state)
+async function parseLaunchLabLaunch(connection, logs, signature) {
+  const [payload] = findEvents(logs, LAUNCHLAB_POOL_CREATE_EVENT);
+  if (!payload) return null;
+  const event = decodeLaunchLabPoolCreateEvent(payload);
+  const poolInfo = await connection.getAccountInfo(event.poolState);
+  if (!poolInfo) throw new Error(`LaunchLab pool ${event.poolState.toBase58()} not found`);
+  const pool = decodeLaunchLabPool(event.poolState, poolInfo.data);
+  return {
+    source: 'launchlab',
+    mint: pool.baseMint.toBase58(),
+    creator: event.creator.toBase58(),
+    signature,
+    name: event.name,
+    symbol: event.symbol,
+    uri: event.uri,
+    params: {
+      poolState: event.poolState.toBase58(),
+      quoteMint: pool.quoteMint.toBase58(),
+      curveType: event.curveType,
+      supply: event.supply.toString(),
+      totalBaseSell: event.totalBaseSell !== null ? event.totalBaseSell.toString() : null, // Constant curves only
+      totalQuoteFundRaising: event.totalQuoteFundRaising.toString(),
+      vestedAmount: pool.vesting.totalLockedAmount.toString(),
+    },
+  };
+}
+
+// Helper: Raydium AMM v4 initialize2 -> launch record
+// initialize2 accounts: 4 amm, 7 lp mint, 8 coin mint, 9 pc mint, 16 market, 17 user wallet
+async function parseRaydiumLaunch(connection, logs, signature) {
+  const initLog = decodeRaydiumInitLog(logs);
+  if (!initLog) return null;
+  const transaction = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+  // Unparsed instructions carry base58 data; the tag identifies initialize2 among the program's instructions
+  const instruction = allInstructions(transaction)
+    .find(ix => ix.programId?.equals?.(RAYDIUM_AMM_V4_PROGRAM_ID) && typeof ix.data === 'string'
+      && bs58.decode(ix.data)[0] === RAYDIUM_INITIALIZE2_TAG && (ix.accounts || []).length >= 18);
+  if (!instruction) throw new Error(`initialize2 instruction not found in ${signature}`);
+  const [coinMint, pcMint] = [instruction.accounts[8], instruction.accounts[9]];
+  const tokenIsCoin = !coinMint.equals(WSOL_MINT);
+  const quoteAmount = tokenIsCoin ? initLog.pcAmount : initLog.coinAmount;
+  return {
+    source: 'raydium',
+    mint: (tokenIsCoin ? coinMint : pcMint).toBase58(),
+    creator: instruction.accounts[17].toBase58(),
+    signature,
+    name: null,
+    symbol: null,
+    uri: null,
+    params: {
+      pool: instruction.accounts[4].toBase58(),
+      quoteMint: (tokenIsCoin ? pcMint : coinMint).toBase58(),
+      openTime: initLog.openTime ? new Date(initLog.openTime * 1000).toISOString() : null,
+      initialTokenAmount: (tokenIsCoin ? initLog.coinAmount : initLog.pcAmount).toString(),
+      initialQuoteAmount: quoteAmount.toString(),
+      initialLiquiditySol: (tokenIsCoin ? pcMint : coinMint).equals(WSOL_MINT) ? Number(quoteAmount) / 1e9 : null,
+    },
+  };
+}
+
+// Main function: first-pass risk for a fresh launch (fast checks only, no paid/indexer APIs)
+// options: { profileDeployer, rulePack (see Rules.js) }
+// Returns { score, riskLevel, authorities, flags, ruleBreakdown, deployer, error }
+async function quickScan(connection, launch, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'discovery');
+  const result = { score: 0, riskLevel: 'Low', authorities: {}, flags: [], ruleBreakdown: [], deployer: null };
+
+  // 1. Authorities and Token-2022 extensions
+  try {
+    const { mintInfo, programId } = await fetchMintWithProgram(connection, launch.mint);
+    const audit = auditMintExtensions(mintInfo, programId, { rulePack: rules.pack });
+    result.authorities = {
+      tokenProgram: audit.tokenProgram,
+      mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toBase58() : null,
+      freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toBase58() : null,
+      extensions: audit.extensions.map(extension => extension.type),
+    };
+    // Launchpad curves hold the mint authority until graduation, so only standalone mints are flagged for it
+    rules.check('mint-authority-active', Boolean(mintInfo.mintAuthority) && launch.source === 'raydium');
+    rules.check('freeze-authority-active', Boolean(mintInfo.freezeAuthority));
+    audit.flags.forEach(rules.add);
+  } catch (error) {
+    result.error = `Mint check failed: ${error.message}`;
+  }
+
+  // 2. Launch parameters
+  rules.check('creator-launch-buy', launch.params.creatorBuyPercent);
+  if (launch.params.initialLiquiditySol != null) {
+    rules.check('thin-initial-liquidity', launch.params.initialLiquiditySol);
+  }
+
+  // 3. Deployer history (one page of signatures keeps it quick)
+  if (options.profileDeployer !== false && launch.creator) {
+    try {
+      const profile = await profileDeployer(connection, launch.mint, launch.creator, { maxPages: 1, rulePack: rules.pack });
+      result.deployer = {
+        wallet: profile.wallet,
+        deadLaunches: profile.deadLaunches,
+        previousLaunches: profile.previousLaunches.length,
+        fundedBy: profile.funding?.funder || null,
+      };
+      profile.flags.forEach(rules.add);
+    } catch (error) {
+      result.deployer = { error: `Deployer profile failed: ${error.message}` };
+    }
+  }
+
+  result.score = rules.score();
+  result.riskLevel = rules.riskLevel();
+  result.flags = rules.messages();
+  result.ruleBreakdown = rules.breakdown();
+  return result;
+}
+
+// Main function: create the discovery feed
+// options: DEFAULTS overrides plus { onLaunch(launch, rank) } called for every scored launch, rulePack; undefined values keep the default
+// Returns { start(), stop(), ranked(), stats() }
+function createDiscoveryFeed(connection, options = {}) {
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const settings = { ...DEFAULTS, ...overrides };
+  const onLaunch = options.onLaunch || (() => {});
+  const subscriptions = [];
+  const seen = new Set(); // Insertion order = recency (a repeat is moved to the end)
+  const queue = [];
+  const ranked = [];
+  const stats = { detected: 0, scanned: 0, dropped: 0, errors: 0 };
+  let active = 0;
+
+  // Lowest score first; among equal scores, the newest launch first
+  const insertRanked = launch => {
+    ranked.push(launch);
+    ranked.sort((a, b) => a.quickScan.score - b.quickScan.score || b.detectedAt.localeCompare(a.detectedAt));
+    ranked.splice(settings.maxRanked);
+    return ranked.indexOf(launch) + 1;
+  };
+
+  const pump = () => {
+    while (active < settings.concurrency && queue.length > 0) {
+      const launch = queue.shift();
+      active++;
+      quickScan(connection, launch, settings)
+        .then(result => {
+          launch.quickScan = result;
+          stats.scanned++;
+          onLaunch(launch, insertRanked(launch));
+        })
+        .catch(error => {
+          stats.errors++;
+          console.error(`Error scanning ${launch.mint}:`, error.message);
+        })
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  };
+
+  const enqueue = launch => {
+    if (!launch) return;
+    if (seen.has(launch.mint)) {
+      seen.delete(launch.mint);
+      seen.add(launch.mint);
+      return;
+    }
+    seen.add(launch.mint);
+    if (seen.size > settings.maxSeen) seen.delete(seen.values().next().value);
+    stats.detected++;
+    launch.detectedAt = new Date().toISOString();
+    queue.push(launch);
+    if (queue.length > settings.maxQueue) {
+      queue.shift();
+      stats.dropped++;
+    }
+    pump();
+  };
+
+  // Log handlers: cheap string checks first, decoding (and any RPC call) only for creation transactions
+  const handlers = {
+    pumpfun: [PUMP_FUN_PROGRAM_ID, async ({ logs, signature }) => {
+      if (!logs.some(line => line === 'Program log: Instruction: Create')) return null;
+      return parsePumpFunLaunch(logs, signature);
+    }],
+    launchlab: [LAUNCHLAB_PROGRAM_ID, async ({ logs, signature }) => {
+      if (!logs.some(line => /Instruction: Initialize/.test(line))) return null;
+      return parseLaunchLabLaunch(connection, logs, signature);
+    }],
+    raydium: [RAYDIUM_AMM_V4_PROGRAM_ID, async ({ logs, signature }) => {
+      if (!logs.some(line => line.includes('initialize2'))) return null;
+      return parseRaydiumLaunch(connection, logs, signature);
+    }],
+  };
+
+  function start() {
+    settings.sources.forEach(source => {
+      if (!handlers[source]) throw new Error(`Unknown discovery source "${source}" (expected ${SOURCES.join(', ')})`);
+      const [programId, handler] = handlers[source];
+      subscriptions.push(connection.onLogs(programId, logInfo => {
+        if (logInfo.err) return;
+        handler(logInfo)
+          .then(enqueue)
+          .catch(error => {
+            stats.errors++;
+            console.error(`Error decoding ${source} launch ${logInfo.signature}:`, error.message);
+          });
+      }));
+    });
+  }
+
+  async function stop() {
+    await Promise.all(subscriptions.splice(0).map(id => connection.removeOnLogsListener(id)));
+    queue.length = 0;
+  }
+
+  return {
+    start,
+    stop,
+    ranked: () => ranked.slice(),
+    stats: () => ({ ...stats, queued: queue.length, scanning: active }),
+  };
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULTS,
+  parsePumpFunLaunch,
+  parseLaunchLabLaunch,
+  parseRaydiumLaunch,
+  quickScan,
+  createDiscoveryFeed,
+};
@@ -0,0 +1,204 @@
+// SolSentry Backend Feature: Exit Liquidity & Slippage
+// A market cap far above pool liquidity means one large sale crashes the price. This module reads the main pool's
+// reserves and simulates sells against them: our planned position, each top-10 wallet's full bag and the dev
+// wallet's balance, with the price impact of each, the largest sale that stays under a few impact limits, and the
+// market cap / liquidity ratio.
+// Constant-product pools (Raydium AMM v4, Raydium CPMM, Orca token-swap) are simulated from their vault balances
+// (x * y = k after the pool fee). Concentrated-liquidity pools (Whirlpool, DLMM) and pools without plain vaults
+// (Meteora DAMM, unsupported programs) are treated as a constant-product pool of the same reserves and marked
+// approximate: their real impact is lower near the current price and higher once a sale leaves the active range.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const { fetchPool, orientPool } = require('./Pools.js');
+const { round2 } = require('./Common.js');
+
+const DEFAULTS = {
+  impactLevels: [1, 5, 10], // Price impact limits (%) for the "largest safe exit" figures
+  holderCount: 10, // Top wallets whose full exit is simulated
+  defaultFeeBps: 25, // Pool fee when the pool layout does not carry one
+};
+
+const CONSTANT_PRODUCT_DEXES = ['raydium-amm-v4', 'raydium-cpmm', 'orca-token-swap'];
+
+// Helper: raw amount (BigInt or string) -> token units
+function toUnits(amount, decimals) {
+  return Number(BigInt(amount)) / 10 ** decimals;
+}
+
+// Helper: Reserves from the DEXScreener pair (liquidity.base / liquidity.quote, already in token units)
+function reservesFromPair(tokenAddress, pair) {
+  if (!pair?.liquidity?.base || !pair?.liquidity?.quote) return null;
+  const tokenIsBase = pair.baseToken?.address === tokenAddress;
+  return {
+    token: tokenIsBase ? pair.liquidity.base : pair.liquidity.quote,
+    quote: tokenIsBase ? pair.liquidity.quote : pair.liquidity.base,
+  };
+}
+
+// Main function: reserves of a pool in token units, read from its vaults on-chain
+// Falls back to the DEXScreener pair when the pool cannot be read from its vaults (reserveError says why)
+// Returns { source ('vaults' | 'dexscreener'), dex, model, approximate, feeBps, token, quote, quoteMint, decimals, reserveError }
+async function readReserves(connection, tokenAddress, pairAddress, pair, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  let reserveError = null;
+  try {
+    const pool = await fetchPool(connection, pairAddress);
+    const side = orientPool(pool, tokenAddress);
+    if (!side.tokenVault || !side.quoteVault) {
+      throw new Error(`${pool.dex} reserves are not held in plain token vaults`);
+    }
+    const [tokenBalance, quoteBalance] = await Promise.all([
+      connection.getTokenAccountBalance(side.tokenVault),
+      connection.getTokenAccountBalance(side.quoteVault),
+    ]);
+    const constantProduct = CONSTANT_PRODUCT_DEXES.includes(pool.dex);
+    return {
+      source: 'vaults',
+      dex: pool.dex,
+      model: constantProduct ? 'constant-product' : 'constant-product (approximation of concentrated liquidity)',
+      approximate: !constantProduct,
+      feeBps: pool.feeBps ?? settings.defaultFeeBps,
+      token: toUnits(tokenBalance.value.amount, tokenBalance.value.decimals),
+      quote: toUnits(quoteBalance.value.amount, quoteBalance.value.decimals),
+      quoteMint: side.quoteMint.toBase58(),
+      decimals: tokenBalance.value.decimals,
+      reserveError,
+    };
+  } catch (error) {
+    reserveError = error.message;
+  }
+  const reported = reservesFromPair(tokenAddress, pair);
+  if (!reported) {
+    throw new Error(`Pool reserves unavailable: ${reserveError}`);
+  }
+  return {
+    source: 'dexscreener',
+    dex: pair.dexId || null,
+    model: 'constant-product (approximation from reported liquidity)',
+    approximate: true,
+    feeBps: settings.defaultFeeBps,
+    token: reported.token,
+    quote: reported.quote,
+    quoteMint: (pair.baseToken?.address === tokenAddress ? pair.quoteToken : pair.baseToken)?.address || null,
+    decimals: null,
+    reserveError,
+  };
+}
+
+// Main function: sell `amount` tokens (token units) into constant-product reserves
+// Returns { amount, quoteOut, priceImpactPercent (average fill vs spot, fee included), priceDropPercent (pool price after the sale) }
+function simulateSell(reserves, amount) {
+  const fee = reserves.feeBps / 10000;
+  const spot = reserves.quote / reserves.token;
+  const amountAfterFee = amount * (1 - fee);
+  const quoteOut = (reserves.quote * amountAfterFee) / (reserves.token + amountAfterFee);
+  const priceAfter = (reserves.quote - quoteOut) / (reserves.token + amount);
+  return {
+    amount,
+    quoteOut,
+    priceImpactPercent: amount > 0 ? round2((1 - quoteOut / (amount * spot)) * 100) : 0,
+    priceDropPercent: round2((1 - priceAfter / spot) * 100),
+  };
+}
+
+// Main function: largest sale (token units) whose price impact stays at or under impactPercent
+// Solves 1 - (1 - fee) * x / (x + dx * (1 - fee)) = impact for dx; 0 when the fee alone exceeds the limit
+function maxSellForImpact(reserves, impactPercent) {
+  const fee = reserves.feeBps / 10000;
+  const impact = impactPercent / 100;
+  if (impact >= 1) return Infinity;
+  if (impact <= fee) return 0;
+  return (reserves.token * ((1 - fee) / (1 - impact) - 1)) / (1 - fee);
+}
+
+// Main function: exit slippage for a position, the top wallets and the dev wallet, plus market cap / liquidity
+// pair: the DEXScreener main pair ({ pairAddress, priceUsd, liquidity, marketCap, fdv, baseToken, quoteToken })
+// options: DEFAULTS overrides plus {
+//   positionUsd | positionTokens (our planned position), decimals (mint decimals, for raw holder balances),
+//   holders ([{ owner, amount (raw), tag }], e.g. Holders.js classification; only tag 'wallet' is simulated),
+//   devWallet ({ address, balance (raw) }) }
+// Returns { reserves, spotPriceUsd, quotePriceUsd, marketCap, liquidityUsd, marketCapToLiquidity, position, holders,
+//   worstHolderExit, devExit, safeExit: [{ maxImpactPercent, amount, valueUsd, percentOfPool }] }
+async function analyzeExitLiquidity(connection, tokenAddress, pair, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const reserves = await readReserves(connection, tokenAddress, pair.pairAddress, pair, settings);
+  if (!(reserves.token > 0) || !(reserves.quote > 0)) {
+    throw new Error('Pool has no reserves on one side');
+  }
+  const decimals = settings.decimals ?? reserves.decimals;
+  const priceUsd = Number(pair.priceUsd) || null;
+  // USD per quote token, implied by the pair price and the pool's spot price
+  const quotePriceUsd = priceUsd ? priceUsd / (reserves.quote / reserves.token) : null;
+  const usd = value => (quotePriceUsd ? round2(value * quotePriceUsd) : null);
+
+  // Helper: one sale with its USD value and proceeds
+  const sale = amount => {
+    const result = simulateSell(reserves, amount);
+    return {
+      amount: result.amount,
+      valueUsd: priceUsd ? round2(amount * priceUsd) : null, // At the current price, before impact
+      proceedsQuote: result.quoteOut,
+      proceedsUsd: usd(result.quoteOut),
+      priceImpactPercent: result.priceImpactPercent,
+      priceDropPercent: result.priceDropPercent,
+    };
+  };
+
+  // 1. Our planned position
+  let position = null;
+  if (settings.positionTokens) {
+    position = sale(Number(settings.positionTokens));
+  } else if (settings.positionUsd) {
+    position = priceUsd
+      ? { positionUsd: Number(settings.positionUsd), ...sale(Number(settings.positionUsd) / priceUsd) }
+      : { positionUsd: Number(settings.positionUsd), error: 'No USD price to size the position' };
+  }
+
+  // 2. Each top wallet's full bag (pools, burn, exchanges and lockers are not sellers)
+  const holders = decimals == null ? [] : (settings.holders || [])
+    .filter(holder => !holder.tag || holder.tag === 'wallet')
+    .slice(0, settings.holderCount)
+    .map(holder => ({ owner: holder.owner, ...sale(toUnits(holder.amount, decimals)) }));
+  const worstHolderExit = holders.reduce((worst, holder) => (!worst || holder.priceDropPercent > worst.priceDropPercent ? holder : worst), null);
+
+  // 3. Dev wallet's balance
+  const devExit = settings.devWallet?.balance != null && decimals != null && BigInt(settings.devWallet.balance) > 0n
+    ? { address: settings.devWallet.address || null, ...sale(toUnits(settings.devWallet.balance, decimals)) }
+    : null;
+
+  // 4. Largest exits under each impact limit
+  const safeExit = settings.impactLevels.map(level => {
+    const amount = maxSellForImpact(reserves, level);
+    return {
+      maxImpactPercent: level,
+      amount,
+      valueUsd: priceUsd ? round2(amount * priceUsd) : null,
+      percentOfPool: round2((amount / reserves.token) * 100),
+    };
+  });
+
+  // 5. Market cap vs liquidity
+  const marketCap = Number(pair.marketCap || pair.fdv) || null;
+  const liquidityUsd = Number(pair.liquidity?.usd) || null;
+
+  return {
+    reserves,
+    spotPriceUsd: priceUsd,
+    quotePriceUsd,
+    marketCap,
+    liquidityUsd,
+    marketCapToLiquidity: marketCap && liquidityUsd ? round2(marketCap / liquidityUsd) : null,
+    position,
+    holders,
+    worstHolderExit,
+    devExit,
+    safeExit,
+  };
+}
+
+module.exports = {
+  readReserves,
+  simulateSell,
+  maxSellForImpact,
+  analyzeExitLiquidity,
+};
@@ -0,0 +1,234 @@
+// SolSentry Backend Feature: Shared Fetch Layer
+// Every HTTP call to a data provider (Solscan, DEXScreener, GeckoTerminal, Birdeye, LunarCrush, Santiment, Jupiter,
+// metadata hosts, Telegram and Discord) goes through fetchJson:
+// a per-provider rate limit, a timeout, retries with exponential backoff on 429/5xx/network errors (honoring
+// Retry-After), a TTL cache in memory and optionally on disk (SOLSENTRY_CACHE_DIR), and one shared request for
+// identical calls in flight. The Solana RPC connection is throttled the same way through rpcFetchMiddleware.
+// Failures throw a FetchError, so "the provider could not be reached" never reads as "the provider found nothing".
+// Install dependencies: npm install axios
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Requests per second and cache lifetime per provider (free-tier friendly; raise them for paid plans)
+const PROVIDERS = {
+  solscan: { requestsPerSecond: 2, ttlMs: 5 * 60 * 1000 },
+  dexscreener: { requestsPerSecond: 4, ttlMs: 60 * 1000 },
+  birdeye: { requestsPerSecond: 1, ttlMs: 60 * 1000 },
+  lunarcrush: { requestsPerSecond: 1, ttlMs: 10 * 60 * 1000 },
+  santiment: { requestsPerSecond: 1, ttlMs: 60 * 60 * 1000 },
+  jupiter: { requestsPerSecond: 1, ttlMs: 24 * 60 * 60 * 1000 },
+  metadata: { requestsPerSecond: 5, ttlMs: 60 * 60 * 1000 }, // Off-chain token metadata JSON (IPFS/Arweave gateways, project hosts)
+  telegram: { requestsPerSecond: 5, ttlMs: 5 * 60 * 1000 }, // Bot API (community analytics)
+  discord: { requestsPerSecond: 2, ttlMs: 5 * 60 * 1000 }, // REST API (community analytics)
+  geckoterminal: { requestsPerSecond: 0.5, ttlMs: 10 * 60 * 1000 }, // Public API (30 calls/min): daily pool OHLCV
+  rpc: { requestsPerSecond: Number(process.env.SOLSENTRY_RPC_RPS) || 10, ttlMs: 0 },
+};
+
+const settings = {
+  timeoutMs: 15000,
+  retries: 3,
+  backoffMs: 500,
+  cacheDir: process.env.SOLSENTRY_CACHE_DIR || null, // Disk cache off unless set
+  maxMemoryEntries: 2000, // Memory cache bound (long-running watch/serve/discover processes); oldest entries go first
+};
+
+const memoryCache = new Map(); // key -> { expires, value }, oldest write first
+const inFlight = new Map(); // key -> Promise
+const nextSlot = new Map(); // provider -> earliest time (ms) the next request may start
+
+// Failures without an HTTP status that a retry cannot fix (body over maxContentLength, too many redirects, a host
+// refused by the caller's lookup/beforeRedirect policy, which throws errors with code EBLOCKEDHOST)
+const FINAL_ERROR_CODES = new Set(['ERR_BAD_RESPONSE', 'ERR_FR_TOO_MANY_REDIRECTS', 'EBLOCKEDHOST']);
+
+class FetchError extends Error {
+  constructor(message, { provider, url, status = null, code = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.provider = provider;
+    this.url = url;
+    this.status = status;
+    this.code = code;
+    this.attempts = attempts;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper: Change fetch settings at runtime
+// ({ timeoutMs, retries, backoffMs, cacheDir, maxMemoryEntries, providers: { name: { requestsPerSecond, ttlMs } } })
+function configureFetch(overrides = {}) {
+  const { providers, ...rest } = overrides;
+  Object.assign(settings, rest);
+  Object.entries(providers || {}).forEach(([name, config]) => {
+    PROVIDERS[name] = { ...(PROVIDERS[name] || {}), ...config };
+  });
+  return { ...settings, providers: PROVIDERS };
+}
+
+// Helper: Wait for the provider's next request slot (evenly spaced at requestsPerSecond)
+async function throttle(provider) {
+  const perSecond = PROVIDERS[provider]?.requestsPerSecond;
+  if (!perSecond) return;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot.get(provider) || 0);
+  nextSlot.set(provider, slot + 1000 / perSecond);
+  if (slot > now) await sleep(slot - now);
+}
+
+// Helper: Disk cache file for a key (hashed, so API keys in URLs never land in file names)
+function cacheFile(key) {
+  return path.join(settings.cacheDir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+// Helper: Keep an entry in the memory cache: expired entries are pruned once the bound is reached, then the oldest
+function rememberEntry(key, entry) {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  if (memoryCache.size <= settings.maxMemoryEntries) return;
+  const now = Date.now();
+  memoryCache.forEach((cached, cachedKey) => {
+    if (cached.expires <= now) memoryCache.delete(cachedKey);
+  });
+  for (const oldest of memoryCache.keys()) {
+    if (memoryCache.size <= settings.maxMemoryEntries) break;
+    memoryCache.delete(oldest);
+  }
+}
+
+function readCache(key) {
+  const cached = memoryCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached;
+  if (cached) memoryCache.delete(key);
+  if (!settings.cacheDir) return null;
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+    if (entry.expires > Date.now()) {
+      rememberEntry(key, entry);
+      return entry;
+    }
+  } catch (error) {
+    // Missing or unreadable cache file: fetch fresh
+  }
+  return null;
+}
+
+function writeCache(key, value, ttlMs) {
+  const entry = { expires: Date.now() + ttlMs, value };
+  rememberEntry(key, entry);
+  if (!settings.cacheDir) return;
+  try {
+    fs.mkdirSync(settings.cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile(key), JSON.stringify(entry));
+  } catch (error) {
+    console.error('Error writing fetch cache:', error.message);
+  }
+}
+
+// Helper: Error code of a failed request; a redirect refused by beforeRedirect reports the code the callback threw
+function errorCode(error) {
+  let cause = error;
+  while (cause.code === 'ERR_FR_REDIRECTION_FAILURE' && cause.cause) cause = cause.cause;
+  return cause.code || null;
+}
+
+// Helper: Delay before the next attempt (Retry-After when the provider sent one, else exponential backoff with jitter)
+function retryDelay(error, attempt) {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return settings.backoffMs * 2 ** attempt + Math.random() * settings.backoffMs;
+}
+
+// Helper: Rate-limited request with retries; throws FetchError after the last attempt
+async function request(provider, url, options) {
+  const retries = options.retries ?? settings.retries;
+  for (let attempt = 0; ; attempt++) {
+    await throttle(provider);
+    try {
+      const response = await axios({
+        method: options.method || 'get',
+        url,
+        data: options.body,
+        headers: options.headers || {},
+        timeout: options.timeoutMs || settings.timeoutMs,
+        ...(options.lookup && { lookup: options.lookup }),
+        ...(options.beforeRedirect && { beforeRedirect: options.beforeRedirect }),
+        ...(options.maxRedirects !== undefined && { maxRedirects: options.maxRedirects }),
+        ...(options.maxContentLength !== undefined && { maxContentLength: options.maxContentLength }),
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || null;
+      const code = errorCode(error);
+      const retryable = status ? status === 429 || status >= 500 : !FINAL_ERROR_CODES.has(code);
+      if (!retryable || attempt >= retries) {
+        const reason = status ? `HTTP ${status}` : code || error.message;
+        throw new FetchError(`${provider} request failed (${reason}) after ${attempt + 1} attempt(s)`, {
+          provider, url, status, code, attempts: attempt + 1,
+        });
+      }
+      await sleep(retryDelay(error, attempt));
+    }
+  }
+}
+
+// Main function: fetch a JSON response from a provider
+// options: { method ('get' or 'post'), body, headers, ttlMs (0 = no cache; default per provider), retries, timeoutMs,
+//   lookup / beforeRedirect / maxRedirects / maxContentLength (passed to axios; e.g. to fetch URLs taken from chain) }
+// Throws FetchError when the provider cannot be reached or keeps failing
+async function fetchJson(provider, url, options = {}) {
+  const ttlMs = options.ttlMs ?? PROVIDERS[provider]?.ttlMs ?? 0;
+  const key = `${provider} ${options.method || 'get'} ${url} ${options.body ? JSON.stringify(options.body) : ''}`;
+  if (ttlMs > 0) {
+    const cached = readCache(key);
+    if (cached) return cached.value;
+  }
+  if (inFlight.has(key)) return inFlight.get(key);
+  const pending = request(provider, url, options)
+    .then(value => {
+      if (ttlMs > 0) writeCache(key, value, ttlMs);
+      return value;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Helper: @solana/web3.js Connection fetchMiddleware that applies the 'rpc' rate limit
+// (the Connection itself retries HTTP 429 with backoff)
+function rpcFetchMiddleware(info, init, next) {
+  throttle('rpc').then(() => next(info, init));
+}
+
+// Helper: An analyzer input: prefetched in data (Scan.js) or fetched now; rethrows the error of a failed prefetch
+async function inputFrom(data, key, fetch) {
+  if (data.fetchErrors && data.fetchErrors[key]) throw data.fetchErrors[key];
+  return key in data ? data[key] : fetch();
+}
+
+// Helper: Report entry for an input that could not be fetched ({ input, provider, status, message })
+function describeFetchError(input, error) {
+  return {
+    input,
+    provider: error.provider || null,
+    status: error.status || null,
+    message: error.message,
+  };
+}
+
+function clearFetchCache() {
+  memoryCache.clear();
+}
+
+module.exports = {
+  PROVIDERS,
+  FetchError,
+  configureFetch,
+  fetchJson,
+  rpcFetchMiddleware,
+  inputFrom,
+  describeFetchError,
+  clearFetchCache,
+};
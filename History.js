@@ -0,0 +1,227 @@
+// SolSentry Backend Feature: Scan History
+// This module stores every composite scan in a local SQLite database so a mint can be tracked over time:
+// each row keeps the headline metrics (risk score, holders, liquidity, top-10 concentration, authorities,
+// LP status, social metrics, fired rules) next to the full report. Any two scans can be diffed into readable
+// changes ("mint authority revoked", "liquidity -60%", "holder count +3,200").
+// The database path defaults to ./solsentry-history.db (override with SOLSENTRY_DB).
+// better-sqlite3 is a native module and optional: without it the CLI and API server skip saving scans.
+// Install dependencies: npm install better-sqlite3
+
+const DEFAULT_DB_PATH = process.env.SOLSENTRY_DB || 'solsentry-history.db';
+
+// Numeric metrics compared in diffs: field -> { label, kind ('percent' change, 'count' delta, 'points' delta) }
+const TRACKED_METRICS = {
+  score: { label: 'risk score', kind: 'score' },
+  holderCount: { label: 'holder count', kind: 'count' },
+  liquidityUSD: { label: 'liquidity', kind: 'percent' },
+  volume24h: { label: '24h volume', kind: 'percent' },
+  organicVolumePercent: { label: 'organic volume share', kind: 'points' },
+  top10Percent: { label: 'top-10 concentration', kind: 'points' },
+  lpBurnedPercent: { label: 'LP burned', kind: 'points' },
+  lpLockedPercent: { label: 'LP locked', kind: 'points' },
+  galaxyScore: { label: 'galaxy score', kind: 'score' },
+  socialVolume: { label: 'social volume', kind: 'percent' },
+  tweetCount: { label: 'tweet count', kind: 'count' },
+  twitterSentiment: { label: 'Twitter sentiment', kind: 'score' },
+  twitterWeighted: { label: 'weighted Twitter sentiment', kind: 'score' },
+};
+
+// Helper: Number or null (reports use 'Unknown' and undefined for missing values)
+function numberOrNull(value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+}
+
+// Helper: Active/renounced from the authority wording used by the analyzers (null when unknown)
+function authorityActive(text) {
+  if (typeof text !== 'string') return null;
+  return text.startsWith('Active');
+}
+
+// Main function: flatten a composite report (Scan.js) into the metrics kept per scan
+function snapshotFromReport(report) {
+  const security = report.sections?.security?.report || {};
+  const tokenomics = report.sections?.tokenomics?.report || {};
+  const social = report.sections?.social?.report || {};
+  const lpLock = security.lpHealth?.lpLock || {};
+  return {
+    mint: report.mint,
+    scannedAt: report.scannedAt,
+    score: report.score,
+    riskLevel: report.riskLevel,
+    rulePack: report.rulePack || null,
+    complete: report.complete !== false, // false when inputs could not be fetched (missing data, not a clean result)
+    securityScore: report.sections?.security?.score ?? null,
+    tokenomicsScore: report.sections?.tokenomics?.score ?? null,
+    socialScore: report.sections?.social?.score ?? null,
+    holderCount: numberOrNull(tokenomics.supplyMetrics?.holderCount ?? security.tokenDistribution?.holderCount),
+    top10Percent: numberOrNull(security.tokenDistribution?.top10HoldersPercent),
+    liquidityUSD: numberOrNull(security.lpHealth?.liquidityUSD),
+    volume24h: numberOrNull(security.lpHealth?.volume24h),
+    organicVolumePercent: numberOrNull(security.volumeAnalysis?.organicVolumePercent),
+    preLiquidity: Boolean(security.lpHealth?.preLiquidity),
+    mintAuthorityActive: authorityActive(security.authorities?.mintAuthority),
+    freezeAuthorityActive: authorityActive(security.authorities?.freezeAuthority),
+    lpStatus: lpLock.status || null,
+    lpBurnedPercent: numberOrNull(lpLock.burnedPercent),
+    lpLockedPercent: numberOrNull(lpLock.lockedPercent),
+    galaxyScore: numberOrNull(social.sentiment?.galaxyScore),
+    socialVolume: numberOrNull(social.community?.socialVolume),
+    tweetCount: numberOrNull(social.community?.tweetCount),
+    twitterSentiment: numberOrNull(social.sentiment?.twitterAverage),
+    twitterWeighted: numberOrNull(social.sentiment?.twitterWeighted),
+    redFlags: (report.redFlags || []).map(({ section, rule, flag }) => ({ section, rule: rule || null, flag })),
+  };
+}
+
+// Helper: Signed number with thousands separators ("+3,200", "-12.5")
+function signed(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return `${rounded > 0 ? '+' : ''}${rounded.toLocaleString('en-US')}`;
+}
+
+// Main function: readable changes between two snapshots (older first)
+// Returns [{ field, from, to, message }]
+function diffSnapshots(older, newer) {
+  const changes = [];
+  const push = (field, message) => changes.push({ field, from: older[field] ?? null, to: newer[field] ?? null, message });
+
+  // Authorities and LP status
+  [['mintAuthorityActive', 'mint authority'], ['freezeAuthorityActive', 'freeze authority']].forEach(([field, label]) => {
+    if (older[field] === null || newer[field] === null || older[field] === newer[field]) return;
+    push(field, newer[field] ? `${label} re-enabled` : `${label} revoked`);
+  });
+  if (older.lpStatus !== newer.lpStatus && (older.lpStatus || newer.lpStatus)) {
+    push('lpStatus', `LP status ${older.lpStatus || 'unknown'} -> ${newer.lpStatus || 'unknown'}`);
+  }
+  if (older.preLiquidity && !newer.preLiquidity) {
+    push('preLiquidity', 'graduated from the bonding curve');
+  }
+  if (older.complete !== false && newer.complete === false) {
+    push('complete', 'latest scan is incomplete (some data could not be fetched; changes may reflect missing data)');
+  }
+  if (older.riskLevel !== newer.riskLevel) {
+    push('riskLevel', `risk level ${older.riskLevel} -> ${newer.riskLevel}`);
+  }
+
+  // Numeric metrics
+  Object.entries(TRACKED_METRICS).forEach(([field, { label, kind }]) => {
+    const from = older[field], to = newer[field];
+    if (from === null || from === undefined || to === null || to === undefined || from === to) return;
+    if (kind === 'percent') {
+      push(field, from !== 0 ? `${label} ${signed(((to - from) / from) * 100)}%` : `${label} ${from} -> ${to}`);
+    } else if (kind === 'points') {
+      push(field, `${label} ${signed(to - from)} pts (${from}% -> ${to}%)`);
+    } else if (kind === 'count') {
+      push(field, `${label} ${signed(to - from)}`);
+    } else {
+      push(field, `${label} ${from} -> ${to}`);
+    }
+  });
+
+  // Rules that started or stopped firing
+  const key = entry => `${entry.section}:${entry.rule || entry.flag}`;
+  const olderFlags = new Map((older.redFlags || []).map(entry => [key(entry), entry]));
+  const newerFlags = new Map((newer.redFlags || []).map(entry => [key(entry), entry]));
+  newerFlags.forEach((entry, id) => {
+    if (!olderFlags.has(id)) changes.push({ field: 'redFlags', from: null, to: entry.flag, message: `new flag [${entry.section}]: ${entry.flag}` });
+  });
+  olderFlags.forEach((entry, id) => {
+    if (!newerFlags.has(id)) changes.push({ field: 'redFlags', from: entry.flag, to: null, message: `flag cleared [${entry.section}]: ${entry.flag}` });
+  });
+
+  return changes;
+}
+
+// Helper: Whether better-sqlite3 is installed (history is skipped, not an error, when it is not)
+function historyAvailable() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Main function: open (or create) the history database
+// Returns { saveScan(report), listScans(mint, { limit }), getScan(id), timeSeries(mint, field), diff(mint, idA, idB), close() }
+function openHistoryStore(file = DEFAULT_DB_PATH) {
+  if (!historyAvailable()) {
+    throw new Error('Scan history needs better-sqlite3 (npm install better-sqlite3)');
+  }
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      scanned_at TEXT NOT NULL,
+      score INTEGER,
+      risk_level TEXT,
+      metrics TEXT NOT NULL,
+      report TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS scans_mint_time ON scans (mint, scanned_at);
+  `);
+  const insert = db.prepare('INSERT INTO scans (mint, scanned_at, score, risk_level, metrics, report) VALUES (?, ?, ?, ?, ?, ?)');
+  const selectByMint = db.prepare('SELECT id, metrics FROM scans WHERE mint = ? ORDER BY scanned_at DESC, id DESC LIMIT ?');
+  const selectById = db.prepare('SELECT id, mint, metrics, report FROM scans WHERE id = ?');
+
+  const rowSnapshot = row => ({ id: row.id, ...JSON.parse(row.metrics) });
+
+  // Store one composite report; returns the new scan id
+  function saveScan(report) {
+    const snapshot = snapshotFromReport(report);
+    const result = insert.run(report.mint, report.scannedAt, report.score, report.riskLevel, JSON.stringify(snapshot), JSON.stringify(report));
+    return Number(result.lastInsertRowid);
+  }
+
+  // Snapshots of a mint, newest first
+  function listScans(mint, options = {}) {
+    return selectByMint.all(mint, options.limit || 50).map(rowSnapshot);
+  }
+
+  function getScan(id) {
+    const row = selectById.get(id);
+    return row ? { ...rowSnapshot(row), report: JSON.parse(row.report) } : null;
+  }
+
+  // One metric over time, oldest first: [{ id, scannedAt, value }]
+  function timeSeries(mint, field, options = {}) {
+    return listScans(mint, { limit: options.limit || 500 }).reverse()
+      .map(snapshot => ({ id: snapshot.id, scannedAt: snapshot.scannedAt, value: snapshot[field] ?? null }));
+  }
+
+  // Diff two scans of a mint (defaults: the latest scan against the one before it)
+  function diff(mint, olderId, newerId) {
+    let older, newer;
+    if (olderId !== undefined && newerId !== undefined) {
+      [older, newer] = [getScan(olderId), getScan(newerId)];
+      if (!older || !newer) throw new Error(`Scan ${!older ? olderId : newerId} not found`);
+      if (older.mint !== mint || newer.mint !== mint) throw new Error(`Scans ${olderId} and ${newerId} are not both scans of ${mint}`);
+    } else {
+      [newer, older] = listScans(mint, { limit: 2 });
+      if (!older) throw new Error(`Need at least two scans of ${mint} to diff`);
+    }
+    return { older: older.id, newer: newer.id, from: older.scannedAt, to: newer.scannedAt, changes: diffSnapshots(older, newer) };
+  }
+
+  return {
+    saveScan,
+    listScans,
+    getScan,
+    timeSeries,
+    diff,
+    close: () => db.close(),
+  };
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  TRACKED_METRICS,
+  snapshotFromReport,
+  diffSnapshots,
+  historyAvailable,
+  openHistoryStore,
+};
@@ -0,0 +1,149 @@
+// SolSentry Backend Feature: Holder Classification
+// This module tags each top holder as a liquidity pool vault, burn/incinerator address, known CEX wallet,
+// locker/vesting program escrow, or regular wallet, and computes concentration over regular wallets only.
+// Without it the AMM vault (usually the #1 holder) makes healthy tokens look ">50% concentrated".
+// Pool vaults are found from the decoded pools of the token's DEX pairs and from the owning program of
+// each holder's owner account (AMM authorities and pool PDAs own the vaults).
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  RAYDIUM_CPMM_PROGRAM_ID,
+  ORCA_WHIRLPOOL_PROGRAM_ID,
+  ORCA_TOKEN_SWAP_PROGRAM_ID,
+  METEORA_DAMM_PROGRAM_ID,
+  METEORA_DLMM_PROGRAM_ID,
+  fetchPool,
+} = require('./Pools.js');
+const { isBurnAddress, resolveLock } = require('./Lockers.js');
+const { LAUNCHLAB_PROGRAM_ID } = require('./Launchpads.js');
+const { percentOf } = require('./Common.js');
+
+// Programs whose accounts own pool/bonding-curve vaults
+const POOL_OWNER_PROGRAMS = new Set([
+  RAYDIUM_AMM_V4_PROGRAM_ID.toBase58(),
+  RAYDIUM_CPMM_PROGRAM_ID.toBase58(),
+  ORCA_WHIRLPOOL_PROGRAM_ID.toBase58(),
+  ORCA_TOKEN_SWAP_PROGRAM_ID.toBase58(),
+  METEORA_DAMM_PROGRAM_ID.toBase58(),
+  METEORA_DLMM_PROGRAM_ID.toBase58(),
+  '24Uqj9JCLxUeoC3hGfh5W3s9FM9uCHDS2SG3LYwBpyTi', // Meteora vault (DAMM reserves)
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', // Pump.fun bonding curve
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA', // PumpSwap AMM
+]);
+
+// Pool authorities that hold vaults directly (PDAs with no account data)
+const POOL_AUTHORITIES = new Set([
+  PublicKey.findProgramAddressSync([Buffer.from('amm authority')], RAYDIUM_AMM_V4_PROGRAM_ID)[0].toBase58(),
+  PublicKey.findProgramAddressSync([Buffer.from('vault_and_lp_mint_auth_seed')], RAYDIUM_CPMM_PROGRAM_ID)[0].toBase58(),
+  PublicKey.findProgramAddressSync([Buffer.from('vault_auth_seed')], LAUNCHLAB_PROGRAM_ID)[0].toBase58(), // LaunchLab curve vaults
+]);
+
+// Well-known exchange hot wallets (extend via options.knownExchanges)
+const KNOWN_EXCHANGES = {
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Binance',
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase',
+  '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm': 'Coinbase',
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': 'OKX',
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': 'Bybit',
+  'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': 'Kraken',
+  'u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w': 'Gate.io',
+  'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ': 'MEXC',
+  'BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6': 'KuCoin',
+};
+
+// Helper: Token vault addresses of the token's DEX pools (highest-liquidity pairs first)
+async function collectPoolVaults(connection, pairs, maxPools = 5) {
+  const vaults = new Set();
+  const sorted = [...(pairs || [])].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+  for (const pair of sorted.slice(0, maxPools)) {
+    try {
+      const pool = await fetchPool(connection, pair.pairAddress);
+      [pool.baseVault, pool.quoteVault].filter(Boolean).forEach(vault => vaults.add(vault.toBase58()));
+    } catch (error) {
+      // Unsupported or missing pool: the owner-program check below still catches most vaults
+    }
+  }
+  return vaults;
+}
+
+// Main function: tag holders and compute concentration
+// holders: Solscan-style entries { address (token account), owner, amount (raw) }
+// options: { totalSupply (BigInt raw), pairs (DEXScreener), knownExchanges: { address: label } }
+// Returns { holders: [...tagged], top10HoldersPercent, top10WalletsPercent, excludedPercent: { tag: percent } }
+async function classifyHolders(connection, holders, options = {}) {
+  const totalSupply = BigInt(options.totalSupply || 0);
+  const exchanges = { ...KNOWN_EXCHANGES, ...(options.knownExchanges || {}) };
+  const poolVaults = await collectPoolVaults(connection, options.pairs);
+
+  // Resolve owners where the data source did not include them
+  const missingOwner = holders.filter(holder => !holder.owner && holder.address);
+  if (missingOwner.length > 0) {
+    const infos = await connection.getMultipleAccountsInfo(missingOwner.map(holder => new PublicKey(holder.address)));
+    infos.forEach((info, i) => {
+      if (info) missingOwner[i].owner = new PublicKey(info.data.subarray(32, 64)).toBase58();
+    });
+  }
+  const ownerKeys = holders.map(holder => (holder.owner ? new PublicKey(holder.owner) : null));
+  const ownerInfos = await connection.getMultipleAccountsInfo(ownerKeys.filter(Boolean));
+
+  const tagged = [];
+  let ownerIndex = 0;
+  for (let i = 0; i < holders.length; i++) {
+    const holder = holders[i];
+    const owner = ownerKeys[i];
+    const ownerInfo = owner ? ownerInfos[ownerIndex++] : null;
+    const amount = BigInt(holder.amount);
+    const entry = {
+      rank: i + 1,
+      tokenAccount: holder.address || null,
+      owner: holder.owner || null,
+      amount: amount.toString(),
+      percent: percentOf(amount, totalSupply),
+      tag: 'wallet',
+      label: null
+    };
+
+    if (poolVaults.has(entry.tokenAccount) || (entry.owner && POOL_AUTHORITIES.has(entry.owner))
+      || (ownerInfo && POOL_OWNER_PROGRAMS.has(ownerInfo.owner.toBase58()))) {
+      entry.tag = 'pool';
+      entry.label = ownerInfo && POOL_OWNER_PROGRAMS.has(ownerInfo.owner.toBase58())
+        ? `Pool vault (${ownerInfo.owner.toBase58()})`
+        : 'Pool vault';
+    } else if (owner && isBurnAddress(owner)) {
+      entry.tag = 'burn';
+      entry.label = 'Burn/incinerator';
+    } else if (entry.owner && exchanges[entry.owner]) {
+      entry.tag = 'exchange';
+      entry.label = exchanges[entry.owner];
+    } else if (owner && entry.tokenAccount) {
+      const lock = await resolveLock(connection, entry.tokenAccount, owner, ownerInfo);
+      if (lock) {
+        entry.tag = 'locker';
+        entry.label = lock.locker;
+        entry.unlockAt = lock.unlockAt ? new Date(lock.unlockAt * 1000).toISOString() : null;
+      }
+    }
+    tagged.push(entry);
+  }
+
+  const sumPercent = list => percentOf(list.reduce((sum, entry) => sum + BigInt(entry.amount), 0n), totalSupply);
+  const excludedPercent = {};
+  ['pool', 'burn', 'exchange', 'locker'].forEach(tag => {
+    excludedPercent[tag] = sumPercent(tagged.filter(entry => entry.tag === tag));
+  });
+
+  return {
+    holders: tagged,
+    top10HoldersPercent: sumPercent(tagged.slice(0, 10)), // Raw, every holder type
+    top10WalletsPercent: sumPercent(tagged.filter(entry => entry.tag === 'wallet').slice(0, 10)), // Regular wallets only
+    excludedPercent
+  };
+}
+
+module.exports = {
+  KNOWN_EXCHANGES,
+  classifyHolders,
+};
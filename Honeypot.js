@@ -0,0 +1,281 @@
+// SolSentry Backend Feature: Honeypot Detection (Buy-then-Sell Simulation)
+// This module implements the checklist's "test-sell before buying" step without spending funds: it builds a
+// SOL -> token buy and a token -> SOL sell against the main pool and runs them through simulateTransaction.
+// Step 1 simulates the buy alone to learn how many tokens arrive; step 2 simulates buy + sell of that amount
+// in one transaction so the sell executes on the post-buy state. Signatures are not verified, so the payer only
+// needs a SOL balance (any funded address on mainnet, or a funded keypair on a local validator).
+// Offline testing: run solana-test-validator with the pool accounts cloned (see listAccountsToClone) and point
+// the connection at http://127.0.0.1:8899.
+// Supported pools: Raydium AMM v4 and Raydium CPMM with a SOL quote side (see Pools.js).
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const crypto = require('crypto');
+const {
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+  LAMPORTS_PER_SOL,
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+} = require('@solana/spl-token');
+const {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  RAYDIUM_CPMM_PROGRAM_ID,
+  fetchPool,
+  orientPool,
+} = require('./Pools.js');
+const { WSOL_MINT } = require('./Common.js');
+
+// Default simulated buy size
+const DEFAULT_BUY_SOL = 0.1;
+
+// Helper: Anchor instruction discriminator
+function anchorDiscriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+// Helper: u64 little-endian buffer
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+// Helper: OpenBook/Serum market accounts needed by AMM v4 swaps (MARKET_STATE_LAYOUT_V3 offsets)
+async function fetchSerumMarket(connection, marketId, marketProgramId) {
+  const marketInfo = await connection.getAccountInfo(marketId);
+  if (!marketInfo) {
+    throw new Error(`Serum market ${marketId.toBase58()} not found`);
+  }
+  const data = marketInfo.data;
+  const key = offset => new PublicKey(data.subarray(offset, offset + 32));
+  const vaultSignerNonce = data.readBigUInt64LE(45);
+  return {
+    baseVault: key(117),
+    quoteVault: key(165),
+    eventQueue: key(253),
+    bids: key(285),
+    asks: key(317),
+    vaultSigner: PublicKey.createProgramAddressSync([marketId.toBuffer(), u64(vaultSignerNonce)], marketProgramId),
+  };
+}
+
+// Helper: Raydium AMM v4 swap_base_in (instruction 9, min out 0)
+function buildAmmV4Swap(pool, market, source, destination, owner, amountIn) {
+  const [authority] = PublicKey.findProgramAddressSync([Buffer.from('amm authority')], RAYDIUM_AMM_V4_PROGRAM_ID);
+  const keys = [
+    [TOKEN_PROGRAM_ID, false],
+    [pool.address, true],
+    [authority, false],
+    [pool.openOrders, true],
+    [pool.targetOrders, true],
+    [pool.baseVault, true],
+    [pool.quoteVault, true],
+    [pool.marketProgramId, false],
+    [pool.marketId, true],
+    [market.bids, true],
+    [market.asks, true],
+    [market.eventQueue, true],
+    [market.baseVault, true],
+    [market.quoteVault, true],
+    [market.vaultSigner, false],
+    [source, true],
+    [destination, true],
+  ].map(([pubkey, isWritable]) => ({ pubkey, isSigner: false, isWritable }));
+  keys.push({ pubkey: owner, isSigner: true, isWritable: false });
+  return new TransactionInstruction({
+    programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+    keys,
+    data: Buffer.concat([Buffer.from([9]), u64(amountIn), u64(0)]),
+  });
+}
+
+// Helper: Raydium CPMM swap_base_input (min out 0)
+function buildCpmmSwap(pool, side, source, destination, owner, amountIn) {
+  const [authority] = PublicKey.findProgramAddressSync([Buffer.from('vault_and_lp_mint_auth_seed')], RAYDIUM_CPMM_PROGRAM_ID);
+  const input = side === 'buy'
+    ? { vault: pool.oriented.quoteVault, program: pool.oriented.quoteProgram, mint: pool.oriented.quoteMint }
+    : { vault: pool.oriented.tokenVault, program: pool.oriented.tokenProgram, mint: pool.oriented.tokenMint };
+  const output = side === 'buy'
+    ? { vault: pool.oriented.tokenVault, program: pool.oriented.tokenProgram, mint: pool.oriented.tokenMint }
+    : { vault: pool.oriented.quoteVault, program: pool.oriented.quoteProgram, mint: pool.oriented.quoteMint };
+  return new TransactionInstruction({
+    programId: RAYDIUM_CPMM_PROGRAM_ID,
+    keys: [
+      { pubkey: owner, isSigner: true, isWritable: false },
+      { pubkey: authority, isSigner: false, isWritable: false },
+      { pubkey: pool.ammConfig, isSigner: false, isWritable: false },
+      { pubkey: pool.address, isSigner: false, isWritable: true },
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: input.vault, isSigner: false, isWritable: true },
+      { pubkey: output.vault, isSigner: false, isWritable: true },
+      { pubkey: input.program, isSigner: false, isWritable: false },
+      { pubkey: output.program, isSigner: false, isWritable: false },
+      { pubkey: input.mint, isSigner: false, isWritable: false },
+      { pubkey: output.mint, isSigner: false, isWritable: false },
+      { pubkey: pool.observationKey, isSigner: false, isWritable: true },
+    ],
+    data: Buffer.concat([anchorDiscriminator('swap_base_input'), u64(amountIn), u64(0)]),
+  });
+}
+
+// Helper: Token amount from a raw token account returned by simulateTransaction (amount at offset 64)
+function simulatedTokenAmount(account) {
+  if (!account || !account.data) return 0n;
+  const data = Buffer.from(account.data[0], 'base64');
+  return data.length >= 72 ? data.readBigUInt64LE(64) : 0n;
+}
+
+// Helper: Current balance of a token account (0 if it does not exist yet)
+async function currentTokenAmount(connection, address) {
+  const accountInfo = await connection.getAccountInfo(address);
+  return accountInfo && accountInfo.data.length >= 72 ? accountInfo.data.readBigUInt64LE(64) : 0n;
+}
+
+// Helper: Keep only the log lines that explain a failure
+function errorLogs(logs) {
+  return (logs || []).filter(line => /error|failed|insufficient|custom program/i.test(line));
+}
+
+// Helper: Simulate a set of instructions and return the post-state of the watched token accounts
+async function simulate(connection, payer, instructions, watched) {
+  const { blockhash } = await connection.getLatestBlockhash();
+  const message = new TransactionMessage({ payerKey: payer, recentBlockhash: blockhash, instructions }).compileToV0Message();
+  const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    accounts: { encoding: 'base64', addresses: watched.map(key => key.toBase58()) },
+  });
+  return value;
+}
+
+// Helper: Accounts a local validator must clone for an offline simulation of this pool
+async function listAccountsToClone(connection, pairAddress) {
+  const pool = await fetchPool(connection, pairAddress);
+  if (pool.dex !== 'raydium-amm-v4' && pool.dex !== 'raydium-cpmm') {
+    throw new Error(`Swap simulation not implemented for ${pool.dex}`);
+  }
+  const accounts = [pool.address, pool.baseVault, pool.quoteVault, pool.baseMint, pool.quoteMint];
+  if (pool.dex === 'raydium-amm-v4') {
+    const market = await fetchSerumMarket(connection, pool.marketId, pool.marketProgramId);
+    accounts.push(pool.openOrders, pool.targetOrders, pool.marketId, market.bids, market.asks, market.eventQueue,
+      market.baseVault, market.quoteVault);
+  } else {
+    accounts.push(pool.ammConfig, pool.observationKey);
+  }
+  return {
+    accounts: accounts.map(key => key.toBase58()),
+    programs: [pool.programId.toBase58()].concat(pool.dex === 'raydium-amm-v4' ? [pool.marketProgramId.toBase58()] : []),
+  };
+}
+
+// Main function: simulate buy-then-sell against a pool
+// options: { payer (funded address, required), buyAmountSol }
+// Returns { supported, sellSucceeded, inconclusive, roundTripLossPercent, poolFeePercent, effectiveTaxPercent, programErrors, ... }
+// sellSucceeded stays null when the round trip could not be tested (inconclusive: true), which is not a failed sell
+async function simulateRoundTrip(connection, tokenAddress, pairAddress, options = {}) {
+  const result = {
+    pairAddress,
+    dex: null,
+    supported: false,
+    buySucceeded: null,
+    sellSucceeded: null,
+    inconclusive: false,
+    buyAmountSol: options.buyAmountSol || DEFAULT_BUY_SOL,
+    tokensReceived: null,
+    solReturned: null,
+    roundTripLossPercent: null,
+    poolFeePercent: null,
+    effectiveTaxPercent: null,
+    programErrors: []
+  };
+  if (!options.payer) {
+    result.error = 'No simulation payer configured (set a funded wallet address)';
+    return result;
+  }
+
+  const pool = await fetchPool(connection, pairAddress);
+  result.dex = pool.dex;
+  if (pool.dex !== 'raydium-amm-v4' && pool.dex !== 'raydium-cpmm') {
+    result.error = `Swap simulation not implemented for ${pool.dex}`;
+    return result;
+  }
+  pool.oriented = orientPool(pool, tokenAddress);
+  if (!pool.oriented.quoteMint.equals(WSOL_MINT)) {
+    result.error = 'Main pool is not quoted in SOL; round trip not simulated';
+    return result;
+  }
+  result.supported = true;
+  // Two legs of the pool fee are expected in any round trip
+  result.poolFeePercent = pool.feeBps != null ? (pool.feeBps / 100) * 2 : null;
+
+  const payer = new PublicKey(options.payer);
+  const lamportsIn = BigInt(Math.round(result.buyAmountSol * LAMPORTS_PER_SOL));
+  const wsolAccount = getAssociatedTokenAddressSync(WSOL_MINT, payer, true, TOKEN_PROGRAM_ID);
+  const tokenAccount = getAssociatedTokenAddressSync(pool.oriented.tokenMint, payer, true, pool.oriented.tokenProgram);
+  const [wsolBefore, tokenBefore] = await Promise.all([
+    currentTokenAmount(connection, wsolAccount),
+    currentTokenAmount(connection, tokenAccount),
+  ]);
+
+  const market = pool.dex === 'raydium-amm-v4'
+    ? await fetchSerumMarket(connection, pool.marketId, pool.marketProgramId)
+    : null;
+  const swap = (side, amountIn) => {
+    const [source, destination] = side === 'buy' ? [wsolAccount, tokenAccount] : [tokenAccount, wsolAccount];
+    return market
+      ? buildAmmV4Swap(pool, market, source, destination, payer, amountIn)
+      : buildCpmmSwap(pool, side, source, destination, payer, amountIn);
+  };
+  const setup = [
+    createAssociatedTokenAccountIdempotentInstruction(payer, wsolAccount, payer, WSOL_MINT, TOKEN_PROGRAM_ID),
+    createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccount, payer, pool.oriented.tokenMint, pool.oriented.tokenProgram),
+    SystemProgram.transfer({ fromPubkey: payer, toPubkey: wsolAccount, lamports: lamportsIn }),
+    createSyncNativeInstruction(wsolAccount),
+  ];
+
+  // Step 1: buy alone
+  const buy = await simulate(connection, payer, [...setup, swap('buy', lamportsIn)], [tokenAccount]);
+  result.buySucceeded = !buy.err;
+  if (buy.err) {
+    result.programErrors = errorLogs(buy.logs);
+    result.error = `Buy simulation failed: ${JSON.stringify(buy.err)}`;
+    return result;
+  }
+  const tokensReceived = simulatedTokenAmount(buy.accounts?.[0]) - tokenBefore;
+  result.tokensReceived = tokensReceived.toString();
+  if (tokensReceived <= 0n) {
+    // Nothing to sell: the token may still be sellable, so the sell is left untested
+    result.inconclusive = true;
+    result.error = 'Buy simulation returned no tokens (round trip inconclusive)';
+    return result;
+  }
+
+  // Step 2: buy + sell everything received, in one transaction
+  const roundTrip = await simulate(connection, payer, [...setup, swap('buy', lamportsIn), swap('sell', tokensReceived)], [wsolAccount]);
+  result.sellSucceeded = !roundTrip.err;
+  if (roundTrip.err) {
+    result.programErrors = errorLogs(roundTrip.logs);
+    result.error = `Sell simulation failed: ${JSON.stringify(roundTrip.err)}`;
+    return result;
+  }
+  const lamportsOut = simulatedTokenAmount(roundTrip.accounts?.[0]) - wsolBefore;
+  result.solReturned = Number(lamportsOut) / LAMPORTS_PER_SOL;
+  result.roundTripLossPercent = Number(((lamportsIn - lamportsOut) * 10000n) / lamportsIn) / 100;
+  result.effectiveTaxPercent = Math.max(0, result.roundTripLossPercent - (result.poolFeePercent || 0));
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_BUY_SOL,
+  listAccountsToClone,
+  simulateRoundTrip,
+};
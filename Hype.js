@@ -0,0 +1,313 @@
+// SolSentry Backend Feature: Social vs On-Chain Hype Divergence
+// Social buzz only means something when on-chain activity follows it, but the social and on-chain reports never
+// see each other. This module lines them up over the same UTC days for one mint:
+// - social: LunarCrush social volume and sentiment, Santiment weighted sentiment (santimentTrend), tweets per day;
+// - on-chain: main-pool price and volume (GeckoTerminal daily OHLCV), holder counts (scan history plus today's
+//   count) and insider sells (the dev wallet, launch snipers and top wallets selling the mint for SOL).
+// It finds the day mentions peaked and classifies the hype:
+// - organic: the mention spike came with new holders (or, without holder history, with extra volume);
+// - engineered: mentions spiked with no new holders (or no extra volume);
+// - distribution: insiders sold into the days around the peak.
+// Install dependencies: npm install @solana/web3.js axios
+
+const { PublicKey } = require('@solana/web3.js');
+const { fetchJson, describeFetchError } = require('./Fetch.js');
+const { createRuleSession } = require('./Rules.js');
+const { getParsedTransactionsBatched, mintBalanceDeltas, soldForSol } = require('./Wallets.js');
+const { DAY_SECONDS, round2 } = require('./Common.js');
+
+const DEFAULTS = {
+  windowDays: 7, // UTC days lined up, ending today
+  spikeRatio: 2, // Peak-day mentions at least this multiple of the other days' median make a spike
+  maxInsiders: 15, // Insider wallets whose sells are read
+  insiderSignatures: 100, // Newest signatures read per insider wallet
+  minSocialDays: 3, // Days with mention data needed to look for a spike
+};
+
+// Helper: UTC date ("2024-05-01") of unix seconds
+function dateOf(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+// Helper: Mean of the numbers in a list (null when there are none)
+function mean(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+// Helper: Median of a list of numbers
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Helper: Daily social volume and sentiment from LunarCrush (requires API key); throws FetchError
+async function getLunarCrushSeries(symbol, apiKey, days) {
+  const body = await fetchJson('lunarcrush', `https://api.lunarcrush.com/v2?data=assets&symbol=${symbol}&interval=day&data_points=${days}&key=${apiKey}`);
+  return ((body.data || [])[0]?.timeSeries || []).map(point => ({
+    time: point.time,
+    socialVolume: point.social_volume ?? null,
+    sentiment: point.average_sentiment ?? null,
+  }));
+}
+
+// Helper: Daily close price and USD volume of a pool from GeckoTerminal (public API); throws FetchError
+async function getPoolOhlcv(pairAddress, days) {
+  const body = await fetchJson('geckoterminal', `https://api.geckoterminal.com/api/v2/networks/solana/pools/${pairAddress}/ohlcv/day?aggregate=1&limit=${days}&currency=usd`);
+  // Rows are [time, open, high, low, close, volume]
+  return (body.data?.attributes?.ohlcv_list || []).map(([time, , , , close, volume]) => ({ time, close, volumeUsd: volume }));
+}
+
+// Main function: tokens each insider wallet sold for SOL since a time (newest insiderSignatures per wallet)
+// A sale is an outflow of the mint with wrapped SOL or lamports coming back in the same transaction
+// Returns { byDate: Map(date -> raw BigInt), wallets: [{ wallet, role, sold, sells, complete, error }] }
+async function insiderSells(connection, tokenAddress, insiders, since, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const byDate = new Map();
+  const wallets = [];
+  for (const { wallet, role } of insiders) {
+    const entry = { wallet, role, sold: '0', sells: 0, complete: true, error: null };
+    wallets.push(entry);
+    try {
+      const signatures = await connection.getSignaturesForAddress(new PublicKey(wallet), { limit: settings.insiderSignatures });
+      const inWindow = signatures.filter(info => !info.err && info.blockTime && info.blockTime >= since);
+      // A full page still inside the window means older sells in the window were not read
+      entry.complete = signatures.length < settings.insiderSignatures || inWindow.length < signatures.length;
+      const transactions = await getParsedTransactionsBatched(connection, inWindow.map(info => info.signature));
+      let sold = 0n;
+      transactions.forEach(transaction => {
+        if (!transaction?.blockTime) return;
+        const delta = mintBalanceDeltas(transaction, tokenAddress).get(wallet) || 0n;
+        if (delta >= 0n) return;
+        if (!soldForSol(transaction, wallet)) return; // A plain transfer, not a sale
+        sold -= delta;
+        entry.sells++;
+        const date = dateOf(transaction.blockTime);
+        byDate.set(date, (byDate.get(date) || 0n) - delta);
+      });
+      entry.sold = sold.toString();
+    } catch (error) {
+      entry.error = error.message;
+    }
+  }
+  return { byDate, wallets };
+}
+
+// Helper: Insider wallets of a security report: the dev wallet, launch snipers, then top regular wallets
+function insiderWallets(security, limit) {
+  const insiders = new Map();
+  const add = (wallet, role) => {
+    if (wallet && !insiders.has(wallet)) insiders.set(wallet, { wallet, role });
+  };
+  add(security?.adminKeys?.devProfile?.wallet, 'dev');
+  (security?.launchAnalysis?.snipers || []).forEach(sniper => add(sniper.wallet, 'sniper'));
+  (security?.tokenDistribution?.holders || []).filter(holder => holder.tag === 'wallet').forEach(holder => add(holder.owner, 'top-holder'));
+  return [...insiders.values()].slice(0, limit);
+}
+
+// Main function: line up social and on-chain series and classify the hype
+// inputs: { symbol, social (Social sentiment.js report), security (On-chain.js report), pairAddress (main pool),
+//   totalSupply (raw, for insider sells as % of supply), holderHistory ([{ scannedAt, value }], e.g. History.js
+//   timeSeries(mint, 'holderCount')), apiKeys: { lunarCrush } }
+// options: DEFAULTS overrides plus { rulePack (see Rules.js), now (unix seconds) }
+// Returns { window, series: [{ date, lunarCrushVolume, tweets, lunarCrushSentiment, santimentSentiment, twitterSentiment,
+//   socialIndex, priceUsd, volumeUsd, holders, insiderSoldPercent }], socialPeak, hypeWindow, evidence, classification
+//   ('organic' | 'engineered' | 'distribution' | 'no-spike' | 'unconfirmed' | 'insufficient-data'), insiders,
+//   flags, riskScore, ruleBreakdown, notes, dataErrors }
+async function analyzeHypeDivergence(connection, tokenAddress, inputs = {}, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const rules = createRuleSession(settings.rulePack, 'hype');
+  const now = settings.now || Math.floor(Date.now() / 1000);
+  const lastDay = now - (now % DAY_SECONDS);
+  const firstDay = lastDay - (settings.windowDays - 1) * DAY_SECONDS;
+  const dates = Array.from({ length: settings.windowDays }, (_, i) => dateOf(firstDay + i * DAY_SECONDS));
+  const series = dates.map(date => ({
+    date,
+    lunarCrushVolume: null,
+    tweets: null,
+    lunarCrushSentiment: null,
+    santimentSentiment: null,
+    twitterSentiment: null,
+    socialIndex: null, // Mentions relative to the window's average (1 = a usual day)
+    priceUsd: null,
+    volumeUsd: null,
+    holders: null,
+    insiderSoldPercent: null,
+  }));
+  const byDate = new Map(series.map(day => [day.date, day]));
+  const report = {
+    window: { from: dates[0], to: dates[dates.length - 1], days: settings.windowDays },
+    series,
+    socialPeak: null, // { date, socialIndex, ratio (peak vs the other days' median) }
+    hypeWindow: null, // { from, to }: the peak day and the days either side
+    evidence: { holderGrowthPercent: null, volumeRatio: null, priceChangePercent: null, insiderSoldPercent: null },
+    classification: 'insufficient-data',
+    insiders: [],
+    flags: [], // Messages of the fired rules
+    riskScore: 0,
+    ruleBreakdown: [],
+    notes: [],
+    dataErrors: [] // Providers that could not be reached ({ input, provider, status, message })
+  };
+  const fetchInput = async (input, fetch) => {
+    try {
+      return await fetch();
+    } catch (error) {
+      report.dataErrors.push(describeFetchError(input, error));
+      return undefined;
+    }
+  };
+
+  // 1. Social series: LunarCrush, Santiment, tweets per day
+  if (inputs.apiKeys?.lunarCrush && inputs.symbol) {
+    const lunarCrush = await fetchInput('lunarCrushSeries', () => getLunarCrushSeries(inputs.symbol, inputs.apiKeys.lunarCrush, settings.windowDays));
+    (lunarCrush || []).forEach(point => {
+      const day = byDate.get(dateOf(point.time));
+      if (!day) return;
+      day.lunarCrushVolume = point.socialVolume;
+      day.lunarCrushSentiment = point.sentiment;
+    });
+  }
+  (inputs.social?.sentiment?.santimentTrend || []).forEach(point => {
+    const day = byDate.get(String(point.datetime).slice(0, 10));
+    if (day) day.santimentSentiment = point.value;
+  });
+  const twitter = inputs.social?.community?.twitter;
+  if (twitter?.daily?.length > 0) {
+    // A search that hit its cap only reached back to its oldest tweet: earlier days are unknown, that day is partial
+    const oldest = twitter.daily[0].date;
+    const capped = twitter.complete === false;
+    series.filter(day => !capped || day.date > oldest).forEach(day => {
+      day.tweets = 0;
+    });
+    twitter.daily.filter(day => !capped || day.date !== oldest).forEach(({ date, tweets, weightedScore }) => {
+      const day = byDate.get(date);
+      if (!day) return;
+      day.tweets = tweets;
+      day.twitterSentiment = weightedScore;
+    });
+  }
+
+  // 2. On-chain series: pool price and volume, holder counts, insider sells
+  if (inputs.pairAddress) {
+    const ohlcv = await fetchInput('poolOhlcv', () => getPoolOhlcv(inputs.pairAddress, settings.windowDays));
+    (ohlcv || []).forEach(candle => {
+      const day = byDate.get(dateOf(candle.time));
+      if (!day) return;
+      day.priceUsd = candle.close;
+      day.volumeUsd = candle.volumeUsd;
+    });
+  }
+  const holderPoints = (inputs.holderHistory || []).filter(point => typeof point.value === 'number')
+    .map(point => ({ date: String(point.scannedAt).slice(0, 10), value: point.value }));
+  const currentHolders = inputs.security?.tokenDistribution?.holderCount;
+  if (typeof currentHolders === 'number') holderPoints.push({ date: dateOf(now), value: currentHolders });
+  holderPoints.forEach(point => {
+    const day = byDate.get(point.date);
+    if (day) day.holders = point.value; // Oldest first, so the day keeps its last count
+  });
+  const totalSupply = BigInt(inputs.totalSupply || 0);
+  const insiders = insiderWallets(inputs.security, settings.maxInsiders);
+  if (connection && insiders.length > 0 && totalSupply > 0n) {
+    const sells = await insiderSells(connection, tokenAddress, insiders, firstDay, settings);
+    report.insiders = sells.wallets;
+    series.forEach(day => {
+      const sold = sells.byDate.get(day.date) || 0n;
+      day.insiderSoldPercent = Number((sold * 1000000n) / totalSupply) / 10000;
+    });
+    if (sells.wallets.some(wallet => !wallet.complete)) {
+      report.notes.push(`Some insider wallets traded more than ${settings.insiderSignatures} times in the window; their older sells were not read`);
+    }
+  }
+
+  // 3. Social index: each mention source relative to its own window average, averaged across sources
+  ['lunarCrushVolume', 'tweets'].forEach(source => {
+    const average = mean(series.map(day => day[source]));
+    if (!average) return;
+    series.forEach(day => {
+      if (typeof day[source] !== 'number') return;
+      day.socialIndex = (day.socialIndex || 0) + day[source] / average;
+      day.sources = (day.sources || 0) + 1;
+    });
+  });
+  series.forEach(day => {
+    if (day.sources) day.socialIndex = round2(day.socialIndex / day.sources);
+    delete day.sources;
+  });
+  const socialDays = series.filter(day => day.socialIndex !== null);
+  if (socialDays.length < settings.minSocialDays) {
+    report.notes.push(`Hype divergence needs mention counts on ${settings.minSocialDays}+ days (LunarCrush key or Twitter keys); found ${socialDays.length}`);
+    return finish(report, rules);
+  }
+
+  // 4. Social peak and the hype window around it
+  const peak = socialDays.reduce((best, day) => (day.socialIndex > best.socialIndex ? day : best));
+  const baseline = median(socialDays.filter(day => day !== peak).map(day => day.socialIndex));
+  const ratio = baseline > 0 ? round2(peak.socialIndex / baseline) : null;
+  report.socialPeak = { date: peak.date, socialIndex: peak.socialIndex, ratio };
+  if (ratio !== null && ratio < settings.spikeRatio) {
+    report.classification = 'no-spike';
+    report.notes.push(`No mention spike: the busiest day (${peak.date}) is ${ratio}x the usual day`);
+    return finish(report, rules);
+  }
+  const peakIndex = series.indexOf(peak);
+  const windowDays = series.slice(Math.max(0, peakIndex - 1), peakIndex + 2);
+  const before = series.slice(0, Math.max(0, peakIndex - 1));
+  const others = series.filter(day => !windowDays.includes(day));
+  report.hypeWindow = { from: windowDays[0].date, to: windowDays[windowDays.length - 1].date };
+
+  // 5. Evidence: holder growth, volume, price and insider sells over the hype window
+  const lastKnown = (days, field) => days.map(day => day[field]).filter(value => typeof value === 'number').pop();
+  const after = series.slice(peakIndex + 2);
+  const holdersBefore = lastKnown(before, 'holders');
+  // Last count inside the window, else the first one after it (often today's scan)
+  const holdersAfter = lastKnown(windowDays, 'holders') ?? after.map(day => day.holders).find(value => typeof value === 'number');
+  const evidence = report.evidence;
+  if (holdersBefore > 0 && holdersAfter !== undefined) {
+    evidence.holderGrowthPercent = round2(((holdersAfter - holdersBefore) / holdersBefore) * 100);
+  }
+  const windowVolume = mean(windowDays.map(day => day.volumeUsd));
+  const otherVolume = mean(others.map(day => day.volumeUsd));
+  if (windowVolume !== null && otherVolume > 0) evidence.volumeRatio = round2(windowVolume / otherVolume);
+  const priceBefore = lastKnown(before, 'priceUsd');
+  const priceAfter = lastKnown(windowDays, 'priceUsd');
+  if (priceBefore > 0 && priceAfter !== undefined) evidence.priceChangePercent = round2(((priceAfter - priceBefore) / priceBefore) * 100);
+  if (windowDays.some(day => day.insiderSoldPercent !== null)) {
+    evidence.insiderSoldPercent = round2(windowDays.reduce((sum, day) => sum + (day.insiderSoldPercent || 0), 0));
+  }
+
+  // 6. Classification (insider selling outweighs everything else); thresholds come from the hype-* rules
+  const spike = `${ratio ? `${ratio}x` : 'a'} mention spike on ${peak.date}`;
+  const backing = evidence.holderGrowthPercent !== null
+    ? `${evidence.holderGrowthPercent}% holder growth`
+    : `${evidence.volumeRatio}x the usual volume (no holder history)`;
+  if (evidence.insiderSoldPercent !== null && rules.check('hype-distribution', evidence.insiderSoldPercent, { spike })) {
+    report.classification = 'distribution';
+  } else if (evidence.holderGrowthPercent === null && evidence.volumeRatio === null) {
+    report.classification = 'unconfirmed';
+    report.notes.push(`The ${spike} could not be checked against holders or volume (no scan history, no pool OHLCV)`);
+  } else if (evidence.holderGrowthPercent !== null
+    ? rules.check('hype-engineered', evidence.holderGrowthPercent, { spike })
+    : rules.check('hype-engineered-volume', evidence.volumeRatio, { spike })) {
+    report.classification = 'engineered';
+  } else {
+    report.classification = 'organic';
+    rules.check('hype-organic', true, { spike, backing });
+  }
+  return finish(report, rules);
+}
+
+// Helper: Score and breakdown from the rule session
+function finish(report, rules) {
+  report.flags = rules.messages();
+  report.riskScore = rules.score();
+  report.ruleBreakdown = rules.breakdown();
+  return report;
+}
+
+module.exports = {
+  getPoolOhlcv,
+  insiderSells,
+  analyzeHypeDivergence,
+};
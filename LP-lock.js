@@ -0,0 +1,116 @@
+// SolSentry Backend Feature: LP Lock & Burn Verification
+// This module replaces the "check LP lock manually on Solscan" note with an on-chain answer: it finds the pool's
+// LP mint (Raydium AMM v4/CPMM, Orca token-swap, Meteora DAMM), reads who holds the LP supply and classifies each
+// holder as burned, locked in a known locker program (with unlock time), held by the dev wallet, or unlocked.
+// LP burned with an SPL burn no longer shows up in holders, so burned share is measured against the LP the pool
+// issued (tracked in the pool account) rather than the current LP mint supply.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const { PublicKey } = require('@solana/web3.js');
+const { getMint } = require('@solana/spl-token');
+const { fetchPool } = require('./Pools.js');
+const { isBurnAddress, resolveLock } = require('./Lockers.js');
+const { createRuleSession } = require('./Rules.js');
+const { DAY_SECONDS, round2, percentOf } = require('./Common.js');
+
+// Main function: verify LP lock/burn status for a pool
+// options: { devWallets: [addresses treated as the dev], now: unix seconds, rulePack (lp-* rule thresholds; see Rules.js) }
+// Returns { lpMint, status, burnedPercent, lockedPercent, devHeldPercent, unlockedPercent, lockExpiry, holders, flags }
+async function verifyLpLock(connection, pairAddress, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'security');
+  const now = options.now || Math.floor(Date.now() / 1000);
+  const devWallets = new Set((options.devWallets || []).filter(Boolean).map(String));
+  const pool = await fetchPool(connection, pairAddress);
+
+  const result = {
+    dex: pool.dex,
+    lpMint: pool.lpMint ? pool.lpMint.toBase58() : null,
+    status: 'Unknown',
+    burnedPercent: 0,
+    lockedPercent: 0,
+    devHeldPercent: 0,
+    unlockedPercent: 0,
+    lockExpiry: null, // Earliest unlock among time-locked holders (ISO date)
+    holders: [],
+    flags: [] // { rule, flag, points, value }
+  };
+  if (!pool.lpMint) {
+    result.status = 'Not applicable';
+    result.note = 'Concentrated-liquidity pool: liquidity is held as position NFTs, there is no LP mint to lock or burn';
+    return result;
+  }
+
+  const lpMintInfo = await getMint(connection, pool.lpMint);
+  const circulating = lpMintInfo.supply;
+  // Pools that track issued LP let us see LP removed by an SPL burn
+  const issued = pool.lpReserve && pool.lpReserve > circulating ? pool.lpReserve : circulating;
+  let burned = issued - circulating;
+  let locked = 0n, devHeld = 0n;
+
+  const { value: largest } = await connection.getTokenLargestAccounts(pool.lpMint);
+  const accounts = largest.filter(account => BigInt(account.amount) > 0n);
+  const tokenInfos = await connection.getMultipleAccountsInfo(accounts.map(account => account.address));
+  const owners = tokenInfos.map(info => (info ? new PublicKey(info.data.subarray(32, 64)) : null));
+  const ownerInfos = await connection.getMultipleAccountsInfo(owners.filter(Boolean));
+
+  let ownerIndex = 0;
+  for (let i = 0; i < accounts.length; i++) {
+    const amount = BigInt(accounts[i].amount);
+    const owner = owners[i];
+    const ownerInfo = owner ? ownerInfos[ownerIndex++] : null;
+    const holder = {
+      tokenAccount: accounts[i].address.toBase58(),
+      owner: owner ? owner.toBase58() : null,
+      amount: accounts[i].uiAmountString,
+      percent: percentOf(amount, issued),
+      status: 'unlocked'
+    };
+    if (owner && isBurnAddress(owner)) {
+      holder.status = 'burned';
+      burned += amount;
+    } else if (owner && devWallets.has(holder.owner)) {
+      holder.status = 'dev-wallet';
+      devHeld += amount;
+    } else if (owner) {
+      const lock = await resolveLock(connection, accounts[i].address, owner, ownerInfo);
+      if (lock) {
+        holder.status = 'locked';
+        holder.locker = lock.locker;
+        holder.permanent = lock.permanent;
+        holder.unlockAt = lock.unlockAt ? new Date(lock.unlockAt * 1000).toISOString() : null;
+        locked += amount;
+        if (!lock.permanent && lock.unlockAt && (result.lockExpiry === null || lock.unlockAt < result.lockExpiry)) {
+          result.lockExpiry = lock.unlockAt;
+        }
+      }
+    }
+    result.holders.push(holder);
+  }
+
+  result.burnedPercent = percentOf(burned, issued);
+  result.lockedPercent = percentOf(locked, issued);
+  result.devHeldPercent = percentOf(devHeld, issued);
+  result.unlockedPercent = Math.max(0, round2(100 - result.burnedPercent - result.lockedPercent));
+  const safePercent = result.burnedPercent + result.lockedPercent;
+  result.status = result.burnedPercent >= 95 ? 'Burned'
+    : safePercent >= 95 ? 'Locked'
+    : safePercent > 0 ? 'Partially locked'
+    : 'Unlocked';
+
+  rules.check('lp-dev-held', result.devHeldPercent);
+  rules.check('lp-unlocked', result.unlockedPercent);
+  if (result.lockExpiry !== null) {
+    // Short locks are flagged in days left (checklist: "a one-week lock is meaningless")
+    const daysLeft = round2((result.lockExpiry - now) / DAY_SECONDS);
+    const days = Math.max(0, Math.floor(daysLeft));
+    rules.check('lp-short-lock', daysLeft, { days: `${days} day${days === 1 ? '' : 's'}` });
+    result.lockExpiry = new Date(result.lockExpiry * 1000).toISOString();
+  }
+
+  result.flags = rules.flags();
+  return result;
+}
+
+module.exports = {
+  verifyLpLock,
+};
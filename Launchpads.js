@@ -0,0 +1,277 @@
+// SolSentry Backend Feature: Launchpad Decoding
+// This module decodes what the launchpad programs write on-chain: Pump.fun create/trade events, Raydium LaunchLab
+// pool-creation events and pool state, and the Raydium AMM v4 "ray_log" emitted when a pool is initialized.
+// Anchor events arrive as base64 "Program data:" log lines prefixed with sha256("event:<Name>")[0..8].
+// It also reads the bonding-curve accounts of tokens that have not graduated yet (price, raised, progress).
+// Install dependencies: npm install @solana/web3.js
+
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { WSOL_MINT } = require('./Common.js');
+
+const PUMP_FUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const LAUNCHLAB_PROGRAM_ID = new PublicKey('LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj');
+
+// Pump.fun mints a fixed 1B supply with 6 decimals
+const PUMP_FUN_TOTAL_SUPPLY = 1000000000n * 1000000n;
+
+// Pump.fun curve at creation: virtual reserves set the starting price, real tokens are what the curve can sell
+const PUMP_INITIAL_VIRTUAL_TOKEN_RESERVES = 1073000000n * 1000000n;
+const PUMP_INITIAL_VIRTUAL_SOL_RESERVES = 30n * 1000000000n;
+const PUMP_INITIAL_REAL_TOKEN_RESERVES = 793100000n * 1000000n;
+
+// Helper: Anchor event discriminator
+function eventDiscriminator(name) {
+  return crypto.createHash('sha256').update(`event:${name}`).digest().subarray(0, 8);
+}
+
+const PUMP_CREATE_EVENT = eventDiscriminator('CreateEvent');
+const PUMP_TRADE_EVENT = eventDiscriminator('TradeEvent');
+const LAUNCHLAB_POOL_CREATE_EVENT = eventDiscriminator('PoolCreateEvent');
+
+// Helper: Sequential Borsh reader over a buffer
+function createReader(data) {
+  let offset = 0;
+  const take = size => {
+    if (offset + size > data.length) throw new Error('Unexpected end of data');
+    const slice = data.subarray(offset, offset + size);
+    offset += size;
+    return slice;
+  };
+  return {
+    u8: () => take(1)[0],
+    bool: () => take(1)[0] === 1,
+    u16: () => take(2).readUInt16LE(0),
+    u32: () => take(4).readUInt32LE(0),
+    u64: () => take(8).readBigUInt64LE(0),
+    i64: () => take(8).readBigInt64LE(0),
+    key: () => new PublicKey(take(32)),
+    string: () => take(take(4).readUInt32LE(0)).toString('utf8'),
+    remaining: () => data.length - offset,
+  };
+}
+
+// Helper: Decoded payloads of every "Program data:" line whose discriminator matches
+function findEvents(logs, discriminator) {
+  return (logs || [])
+    .filter(line => line.startsWith('Program data: '))
+    .map(line => Buffer.from(line.slice('Program data: '.length), 'base64'))
+    .filter(data => data.length > 8 && data.subarray(0, 8).equals(discriminator))
+    .map(data => data.subarray(8));
+}
+
+// Decode a Pump.fun CreateEvent (creator, timestamp and reserves were appended in later program versions)
+function decodePumpCreateEvent(data) {
+  const reader = createReader(data);
+  const event = {
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string(),
+    mint: reader.key(),
+    bondingCurve: reader.key(),
+    user: reader.key(),
+  };
+  if (reader.remaining() >= 32 + 8 + 32) {
+    event.creator = reader.key();
+    event.timestamp = Number(reader.i64());
+    event.virtualTokenReserves = reader.u64();
+    event.virtualSolReserves = reader.u64();
+    event.realTokenReserves = reader.u64();
+    event.tokenTotalSupply = reader.u64();
+  }
+  return event;
+}
+
+// Decode the leading fields of a Pump.fun TradeEvent
+function decodePumpTradeEvent(data) {
+  const reader = createReader(data);
+  return {
+    mint: reader.key(),
+    solAmount: reader.u64(),
+    tokenAmount: reader.u64(),
+    isBuy: reader.bool(),
+    user: reader.key(),
+    timestamp: Number(reader.i64()),
+    virtualSolReserves: reader.u64(),
+    virtualTokenReserves: reader.u64(),
+  };
+}
+
+// Decode a LaunchLab PoolCreateEvent (the base mint is not in the event: read it from the pool state)
+function decodeLaunchLabPoolCreateEvent(data) {
+  const reader = createReader(data);
+  const event = {
+    poolState: reader.key(),
+    creator: reader.key(),
+    config: reader.key(),
+    decimals: reader.u8(),
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string(),
+  };
+  // CurveParams enum: Constant { supply, totalBaseSell, totalQuoteFundRaising, migrateType };
+  // Fixed and Linear { supply, totalQuoteFundRaising, migrateType } (no base-sell amount)
+  const curveType = reader.u8();
+  event.curveType = ['constant', 'fixed', 'linear'][curveType];
+  if (!event.curveType) throw new Error(`Unknown LaunchLab curve type ${curveType}`);
+  event.supply = reader.u64();
+  event.totalBaseSell = event.curveType === 'constant' ? reader.u64() : null;
+  event.totalQuoteFundRaising = reader.u64();
+  event.migrateType = reader.u8();
+  return event;
+}
+
+// Decode a LaunchLab PoolState account (8-byte discriminator, then fixed-size fields)
+function decodeLaunchLabPool(address, data) {
+  const readKey = offset => new PublicKey(data.subarray(offset, offset + 32));
+  return {
+    launchpad: 'raydium-launchlab',
+    address: new PublicKey(address),
+    status: data[17], // 0 = trading on the curve, 1 = migrating, 2 = migrated
+    baseDecimals: data[18],
+    quoteDecimals: data[19],
+    migrateType: data[20],
+    supply: data.readBigUInt64LE(21),
+    totalBaseSell: data.readBigUInt64LE(29),
+    virtualBase: data.readBigUInt64LE(37),
+    virtualQuote: data.readBigUInt64LE(45),
+    realBase: data.readBigUInt64LE(53),
+    realQuote: data.readBigUInt64LE(61),
+    totalQuoteFundRaising: data.readBigUInt64LE(69),
+    vesting: {
+      totalLockedAmount: data.readBigUInt64LE(101),
+      cliffPeriod: Number(data.readBigUInt64LE(109)),
+      unlockPeriod: Number(data.readBigUInt64LE(117)),
+      startTime: Number(data.readBigUInt64LE(125)),
+    },
+    globalConfig: readKey(141),
+    platformConfig: readKey(173),
+    baseMint: readKey(205),
+    quoteMint: readKey(237),
+    baseVault: readKey(269),
+    quoteVault: readKey(301),
+    creator: readKey(333),
+  };
+}
+
+// Decode a Pump.fun BondingCurve account (creator was appended in later program versions)
+function decodePumpBondingCurve(address, data) {
+  return {
+    launchpad: 'pumpfun',
+    address: new PublicKey(address),
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    tokenTotalSupply: data.readBigUInt64LE(40),
+    complete: data[48] === 1,
+    creator: data.length >= 81 ? new PublicKey(data.subarray(49, 81)) : null,
+  };
+}
+
+// Helper: Curve PDAs for a mint (Pump.fun "bonding-curve"; LaunchLab "pool" paired with the quote mint)
+function bondingCurveAddresses(tokenAddress, quoteMints = [WSOL_MINT]) {
+  const mint = new PublicKey(tokenAddress);
+  return {
+    pumpfun: PublicKey.findProgramAddressSync([Buffer.from('bonding-curve'), mint.toBuffer()], PUMP_FUN_PROGRAM_ID)[0],
+    launchlab: quoteMints.map(quoteMint => PublicKey.findProgramAddressSync(
+      [Buffer.from('pool'), mint.toBuffer(), new PublicKey(quoteMint).toBuffer()], LAUNCHLAB_PROGRAM_ID)[0]),
+  };
+}
+
+// Helper: Quote-per-token price from reserves, decimal-adjusted
+function reservePrice(quoteReserve, tokenReserve, quoteDecimals, tokenDecimals) {
+  if (tokenReserve <= 0n) return null;
+  return (Number(quoteReserve) / 10 ** quoteDecimals) / (Number(tokenReserve) / 10 ** tokenDecimals);
+}
+
+// Main function: read a token's launchpad bonding curve, if it has one
+// Returns a normalized curve { launchpad, address, quoteMint, graduated, price, raised, graduationTarget,
+// progressPercent, creator, tokenSupply, tokenDecimals } (amounts in quote units, e.g. SOL),
+// or null when the mint has no known curve
+async function fetchBondingCurve(connection, tokenAddress, options = {}) {
+  const addresses = bondingCurveAddresses(tokenAddress, options.quoteMints);
+  const keys = [addresses.pumpfun, ...addresses.launchlab];
+  const infos = await connection.getMultipleAccountsInfo(keys);
+
+  const pumpInfo = infos[0];
+  if (pumpInfo && pumpInfo.owner.equals(PUMP_FUN_PROGRAM_ID)) {
+    const curve = decodePumpBondingCurve(addresses.pumpfun, pumpInfo.data);
+    const targetSol = PUMP_INITIAL_VIRTUAL_SOL_RESERVES * PUMP_INITIAL_VIRTUAL_TOKEN_RESERVES
+      / (PUMP_INITIAL_VIRTUAL_TOKEN_RESERVES - PUMP_INITIAL_REAL_TOKEN_RESERVES) - PUMP_INITIAL_VIRTUAL_SOL_RESERVES;
+    const sold = PUMP_INITIAL_REAL_TOKEN_RESERVES - curve.realTokenReserves;
+    return {
+      launchpad: 'pumpfun',
+      address: curve.address.toBase58(),
+      quoteMint: WSOL_MINT.toBase58(),
+      graduated: curve.complete,
+      price: reservePrice(curve.virtualSolReserves, curve.virtualTokenReserves, 9, 6),
+      raised: Number(curve.realSolReserves) / 1e9,
+      graduationTarget: Number(targetSol) / 1e9,
+      progressPercent: curve.complete ? 100 : Math.max(0, Number((sold * 10000n) / PUMP_INITIAL_REAL_TOKEN_RESERVES) / 100),
+      creator: curve.creator ? curve.creator.toBase58() : null,
+      tokenSupply: curve.tokenTotalSupply.toString(),
+      tokenDecimals: 6,
+    };
+  }
+
+  const index = infos.slice(1).findIndex(info => info && info.owner.equals(LAUNCHLAB_PROGRAM_ID));
+  if (index >= 0) {
+    const pool = decodeLaunchLabPool(addresses.launchlab[index], infos[index + 1].data);
+    // Constant-product view of the curve (fixed-price and linear curves are approximated by it)
+    return {
+      launchpad: 'raydium-launchlab',
+      address: pool.address.toBase58(),
+      quoteMint: pool.quoteMint.toBase58(),
+      graduated: pool.status !== 0,
+      price: reservePrice(pool.virtualQuote + pool.realQuote, pool.virtualBase - pool.realBase, pool.quoteDecimals, pool.baseDecimals),
+      raised: Number(pool.realQuote) / 10 ** pool.quoteDecimals,
+      graduationTarget: Number(pool.totalQuoteFundRaising) / 10 ** pool.quoteDecimals,
+      progressPercent: pool.status !== 0 ? 100
+        : pool.totalQuoteFundRaising > 0n ? Number((pool.realQuote * 10000n) / pool.totalQuoteFundRaising) / 100 : 0,
+      creator: pool.creator.toBase58(),
+      tokenSupply: pool.supply.toString(),
+      tokenDecimals: pool.baseDecimals,
+    };
+  }
+  return null;
+}
+
+// Decode the Raydium AMM v4 InitLog (ray_log with log_type 0) written by initialize2
+// Returns null for any other ray_log (swaps, deposits, withdrawals)
+function decodeRaydiumInitLog(logs) {
+  const line = (logs || []).find(entry => entry.includes('ray_log: '));
+  if (!line) return null;
+  const data = Buffer.from(line.split('ray_log: ')[1].trim(), 'base64');
+  if (data.length < 75 || data[0] !== 0) return null;
+  const reader = createReader(data.subarray(1));
+  return {
+    openTime: Number(reader.u64()),
+    pcDecimals: reader.u8(),
+    coinDecimals: reader.u8(),
+    pcLotSize: reader.u64(),
+    coinLotSize: reader.u64(),
+    pcAmount: reader.u64(),
+    coinAmount: reader.u64(),
+    market: reader.key(),
+  };
+}
+
+module.exports = {
+  PUMP_FUN_PROGRAM_ID,
+  LAUNCHLAB_PROGRAM_ID,
+  PUMP_FUN_TOTAL_SUPPLY,
+  PUMP_CREATE_EVENT,
+  PUMP_TRADE_EVENT,
+  LAUNCHLAB_POOL_CREATE_EVENT,
+  createReader,
+  findEvents,
+  decodePumpCreateEvent,
+  decodePumpTradeEvent,
+  decodeLaunchLabPoolCreateEvent,
+  decodeLaunchLabPool,
+  decodePumpBondingCurve,
+  decodeRaydiumInitLog,
+  bondingCurveAddresses,
+  fetchBondingCurve,
+};
@@ -0,0 +1,404 @@
+// SolSentry Backend Feature: Metadata Integrity & Copycat Detection
+// This module reads a mint's Metaplex metadata account (or the Token-2022 metadata extension) and reports whether
+// the metadata is mutable and who can change it. It fetches and validates the off-chain URI JSON (name, symbol,
+// image, socials, and whether it sits on content-addressed storage or a server that can swap it), and looks for
+// impersonation: a name or symbol equal or close to an established token's on a different mint.
+// Established tokens: a built-in list of major Solana mints plus Jupiter's verified token search.
+// The metadata URI is chosen by whoever created the token, so it is only fetched from public http(s) hosts: the host
+// is resolved first, loopback/private/link-local addresses are refused (on every redirect and connection too), and
+// redirects and response size are capped.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios
+
+const dns = require('dns');
+const net = require('net');
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, unpackMint } = require('@solana/spl-token');
+const { FetchError, fetchJson } = require('./Fetch.js');
+const { createRuleSession } = require('./Rules.js');
+const { metadataAddress, decodeMetadata, decodeToken2022Metadata } = require('./RpcData.js');
+
+// Established Solana tokens that copycats imitate (extend with options.knownTokens)
+const KNOWN_TOKENS = [
+  { mint: 'So11111111111111111111111111111111111111112', symbol: 'SOL', name: 'Wrapped SOL' },
+  { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', name: 'USD Coin' },
+  { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', name: 'USDT' },
+  { mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', symbol: 'JUP', name: 'Jupiter' },
+  { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'Bonk', name: 'Bonk' },
+  { mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', symbol: 'WIF', name: 'dogwifhat' },
+  { mint: '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr', symbol: 'POPCAT', name: 'POPCAT' },
+  { mint: 'ukHH6c7mMyiWCf1b9pnWe25TSpkDDt3H5pQZgZ74J82', symbol: 'BOME', name: 'BOOK OF MEME' },
+  { mint: '6p6xgHyF7AeE6TZkSmFsko444wqoP15icUSqi2jfGiPN', symbol: 'TRUMP', name: 'OFFICIAL TRUMP' },
+  { mint: '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump', symbol: 'Fartcoin', name: 'Fartcoin' },
+  { mint: '2zMMhcVQEXDtdE6vsFS7S7D5oUodfJHE8vd1gnBouauv', symbol: 'PENGU', name: 'Pudgy Penguins' },
+  { mint: 'ED5nyyWEzpPPiWimP8vYm7sD7TD3LAt3Q3gRTWHzPJBY', symbol: 'MOODENG', name: 'Moo Deng' },
+  { mint: 'CzLSujWBLFsSjncfkh59rUFqvafWcY5tzedWJSuypump', symbol: 'GOAT', name: 'Goatseus Maximus' },
+  { mint: 'MEW1gQWJ3nEXg2qgERiKu7FAFj79PHvQVREQUzScPP5', symbol: 'MEW', name: 'cat in a dogs world' },
+  { mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', symbol: 'PYTH', name: 'Pyth Network' },
+  { mint: 'jtojtomepa8beP8AuQc6eXt5FriJwfFMwQx2v2f9mCL', symbol: 'JTO', name: 'Jito' },
+  { mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', symbol: 'RAY', name: 'Raydium' },
+  { mint: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', symbol: 'ORCA', name: 'Orca' },
+  { mint: '85VBFQZC9TZkfaptBWjvUw7YbZjy52A6mjtPGjstQAmQ', symbol: 'W', name: 'Wormhole' },
+  { mint: 'rndrizKT3MK1iimdxRdWabcF7Zg7AR5T4nud4EkHBof', symbol: 'RENDER', name: 'Render Token' },
+  { mint: 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux', symbol: 'HNT', name: 'Helium Network Token' },
+  { mint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', symbol: 'mSOL', name: 'Marinade staked SOL' },
+  { mint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', symbol: 'JitoSOL', name: 'Jito Staked SOL' },
+];
+
+const DEFAULTS = {
+  similarity: 0.8, // Minimum similarity (1 - edit distance / length) for a lookalike name or symbol
+  minFuzzyLength: 4, // Shorter names/symbols only count on an exact match
+  ipfsGateway: 'https://ipfs.io/ipfs/',
+  arweaveGateway: 'https://arweave.net/',
+  maxRedirects: 3, // Redirects followed when fetching the off-chain JSON
+  maxMetadataBytes: 1024 * 1024, // Larger off-chain JSON responses are refused
+};
+
+// Addresses a metadata URI may not point at: unspecified, loopback, private, carrier-grade NAT, link-local,
+// benchmarking, multicast/reserved and IPv6 unique-local (BlockList checks IPv4-mapped IPv6 against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Hosts that serve content-addressed data (the JSON cannot change behind the same URI)
+const IMMUTABLE_HOSTS = [
+  { pattern: /(^|\.)arweave\.net$|(^|\.)ar-io\.dev$|^gateway\.irys\.xyz$|^node\d\.irys\.xyz$/, storage: 'arweave' },
+  { pattern: /\.ipfs\.|^ipfs\.io$|^cf-ipfs\.com$|^nftstorage\.link$|\.mypinata\.cloud$|^gateway\.pinata\.cloud$|^dweb\.link$/, storage: 'ipfs' },
+];
+
+// Characters copycats swap in for Latin letters (Cyrillic/Greek homoglyphs, digits)
+const HOMOGLYPHS = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ѕ': 's', 'к': 'k', 'м': 'm', 'т': 't', 'в': 'b', 'н': 'h',
+  'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'τ': 't', 'ι': 'i', 'κ': 'k',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '$': 's', '!': 'i', '|': 'i', 'l': 'i',
+};
+
+// Helper: Comparison skeleton of a name/symbol (case, accents, homoglyphs, leading $ and punctuation removed)
+function skeleton(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^\$/, '')
+    .replace(/./g, char => HOMOGLYPHS[char] || char)
+    .replace(/[^a-z]/g, '');
+}
+
+// Helper: Levenshtein distance
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Helper: 1 for identical skeletons, down to 0
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 0 : 1 - editDistance(a, b) / length;
+}
+
+// Main function: the mint's on-chain metadata (Metaplex account, else Token-2022 metadata extension)
+// Returns { source, updateAuthority, isMutable, name, symbol, uri, creators, sellerFeeBasisPoints } or null when
+// the mint has no metadata; throws FetchError when the RPC fails
+async function readTokenMetadata(connection, tokenAddress) {
+  const mintKey = new PublicKey(tokenAddress);
+  let mintAccount, metadataAccount;
+  try {
+    [mintAccount, metadataAccount] = await connection.getMultipleAccountsInfo([mintKey, metadataAddress(tokenAddress)]);
+  } catch (error) {
+    throw new FetchError(`RPC metadata lookup failed: ${error.message}`, { provider: 'rpc' });
+  }
+  if (metadataAccount) {
+    const metadata = decodeMetadata(metadataAccount.data);
+    return {
+      source: 'metaplex',
+      updateAuthority: metadata.updateAuthority,
+      isMutable: metadata.isMutable,
+      name: metadata.name,
+      symbol: metadata.symbol,
+      uri: metadata.uri,
+      creators: metadata.creators,
+      sellerFeeBasisPoints: metadata.sellerFeeBasisPoints,
+    };
+  }
+  if (mintAccount && mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    const metadata = decodeToken2022Metadata(unpackMint(mintKey, mintAccount, TOKEN_2022_PROGRAM_ID));
+    if (metadata) {
+      return { source: 'token-2022', ...metadata, sellerFeeBasisPoints: null };
+    }
+  }
+  return null;
+}
+
+// Helper: HTTP(S) URL for a metadata or image URI (ipfs:// and ar:// go through a gateway)
+function resolveUri(uri, settings = DEFAULTS) {
+  if (uri.startsWith('ipfs://')) return settings.ipfsGateway + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  if (uri.startsWith('ar://')) return settings.arweaveGateway + uri.slice('ar://'.length);
+  return uri;
+}
+
+// Helper: Where a URI is stored: { host, storage ('ipfs', 'arweave', 'web' or null), immutable }
+function classifyHost(uri) {
+  if (/^ipfs:\/\//.test(uri)) return { host: 'ipfs', storage: 'ipfs', immutable: true };
+  if (/^ar:\/\//.test(uri)) return { host: 'arweave', storage: 'arweave', immutable: true };
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return { host: null, storage: null, immutable: false };
+  }
+  const host = url.hostname.toLowerCase();
+  const match = IMMUTABLE_HOSTS.find(entry => entry.pattern.test(host));
+  // Any gateway serving /ipfs/<cid> is content-addressed, whatever its host
+  if (match || /^\/ipfs\/[a-z0-9]+/i.test(url.pathname)) {
+    return { host, storage: match ? match.storage : 'ipfs', immutable: true };
+  }
+  return { host, storage: 'web', immutable: false };
+}
+
+// Helper: Error for a metadata host that resolves to a non-public address (FetchError code EBLOCKEDHOST)
+function blockedHostError(host, address) {
+  const error = new Error(host === address ? `${address} is not a public address` : `${host} resolves to a non-public address (${address})`);
+  error.code = 'EBLOCKEDHOST';
+  return error;
+}
+
+// Helper: Throw when an IP address is loopback, private, link-local or otherwise not public
+function assertPublicAddress(host, address) {
+  const family = net.isIP(address);
+  if (family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6')) {
+    throw blockedHostError(host, address);
+  }
+}
+
+// Helper: dns.lookup replacement for metadata requests: every connection (redirects included) must reach a public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      addresses.forEach(entry => assertPublicAddress(hostname, entry.address));
+    } catch (blocked) {
+      return callback(blocked);
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Helper: Refuse redirects to non-http(s) URLs or to IP literals in blocked ranges (host names go through publicLookup)
+function checkRedirect(redirect) {
+  if (!/^https?:$/.test(redirect.protocol)) {
+    const error = new Error(`Redirect to a ${redirect.protocol} URL`);
+    error.code = 'EBLOCKEDHOST';
+    throw error;
+  }
+  const host = redirect.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) assertPublicAddress(host, host);
+}
+
+// Helper: Resolve a metadata URL's host before fetching it; returns a problem message, or null when it is public
+async function checkPublicUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return 'URI is not a valid URL';
+  }
+  try {
+    if (net.isIP(host)) {
+      assertPublicAddress(host, host);
+    } else {
+      const addresses = await dns.promises.lookup(host, { all: true });
+      addresses.forEach(entry => assertPublicAddress(host, entry.address));
+    }
+  } catch (error) {
+    if (error.code === 'EBLOCKEDHOST') return `URI host is not public: ${error.message}`;
+    throw new FetchError(`metadata host lookup failed (${error.code || error.message})`, { provider: 'metadata', url, code: error.code });
+  }
+  return null;
+}
+
+// Helper: Social links from the common off-chain JSON layouts (extensions, properties.links, top-level fields)
+function extractSocials(json) {
+  const sources = [json, json.extensions, json.properties?.links, json.links].filter(value => value && typeof value === 'object');
+  const socials = {};
+  ['website', 'twitter', 'telegram', 'discord'].forEach(key => {
+    const found = sources.map(source => source[key]).find(value => typeof value === 'string' && value.trim());
+    if (found) socials[key] = found.trim();
+  });
+  return socials;
+}
+
+// Main function: fetch and validate the off-chain metadata JSON
+// expected: on-chain { name, symbol } to compare against
+// Returns { uri, url, host, storage, immutableHost, name, symbol, description, image, imageHost, socials, valid, problems };
+// a URI that answers 404/410 or non-JSON is invalid (a finding), other failures throw FetchError (data unavailable)
+async function fetchOffChainMetadata(uri, expected = {}, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const location = classifyHost(uri);
+  const result = {
+    uri,
+    url: resolveUri(uri, settings),
+    host: location.host,
+    storage: location.storage,
+    immutableHost: location.immutable,
+    socials: {},
+    valid: false,
+    problems: [],
+  };
+  if (!/^https?:\/\/[^/]/.test(result.url)) {
+    result.problems.push(`URI is not a fetchable URL (${uri || 'empty'})`);
+    return result;
+  }
+  const hostProblem = await checkPublicUrl(result.url);
+  if (hostProblem) {
+    result.problems.push(hostProblem);
+    return result;
+  }
+  let json;
+  try {
+    json = await fetchJson('metadata', result.url, {
+      lookup: publicLookup,
+      beforeRedirect: checkRedirect,
+      maxRedirects: settings.maxRedirects,
+      maxContentLength: settings.maxMetadataBytes,
+    });
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      result.problems.push(`URI returns HTTP ${error.status}`);
+      return result;
+    }
+    if (error.code === 'EBLOCKEDHOST') {
+      result.problems.push('URI leads to a non-public address or URL when fetched (redirect or changed DNS answer)');
+      return result;
+    }
+    if (error.code === 'ERR_BAD_RESPONSE' || error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+      result.problems.push(error.code === 'ERR_BAD_RESPONSE'
+        ? `URI response is larger than ${settings.maxMetadataBytes} bytes`
+        : `URI redirects more than ${settings.maxRedirects} times`);
+      return result;
+    }
+    throw error;
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    result.problems.push('URI does not return a JSON object');
+    return result;
+  }
+  result.name = typeof json.name === 'string' ? json.name.trim() : null;
+  result.symbol = typeof json.symbol === 'string' ? json.symbol.trim() : null;
+  result.description = typeof json.description === 'string' ? json.description : null;
+  result.image = typeof json.image === 'string' ? json.image.trim() : null;
+  result.socials = extractSocials(json);
+  if (!result.name) result.problems.push('Missing name');
+  if (!result.symbol) result.problems.push('Missing symbol');
+  if (!result.image) {
+    result.problems.push('Missing image');
+  } else {
+    const imageLocation = classifyHost(result.image);
+    result.imageHost = imageLocation.host;
+    result.imageImmutableHost = imageLocation.immutable;
+    if (!/^(https?|ipfs|ar):\/\//.test(result.image)) result.problems.push('Image is not a URL');
+  }
+  if (result.name && expected.name && result.name !== expected.name) {
+    result.problems.push(`Name differs from on-chain ("${result.name}" vs "${expected.name}")`);
+  }
+  if (result.symbol && expected.symbol && result.symbol !== expected.symbol) {
+    result.problems.push(`Symbol differs from on-chain ("${result.symbol}" vs "${expected.symbol}")`);
+  }
+  result.valid = result.problems.length === 0;
+  return result;
+}
+
+// Main function: verified tokens (Jupiter token search) whose symbol or name matches the given metadata
+// Returns [{ mint, symbol, name }]; throws FetchError when the search fails
+async function searchVerifiedTokens({ name, symbol }) {
+  const queries = [...new Set([symbol, name].map(text => (text || '').replace(/^\$/, '').trim()).filter(Boolean))];
+  const found = new Map();
+  for (const query of queries) {
+    const tokens = await fetchJson('jupiter', `https://lite-api.jup.ag/tokens/v2/search?query=${encodeURIComponent(query)}`);
+    (Array.isArray(tokens) ? tokens : [])
+      .filter(token => token.isVerified || (token.tags || []).includes('verified'))
+      .forEach(token => found.set(token.id, { mint: token.id, symbol: token.symbol, name: token.name }));
+  }
+  return [...found.values()];
+}
+
+// Helper: Established tokens whose name or symbol this token copies or closely resembles
+// Returns [{ mint, symbol, name, match ('symbol', 'name'), exact, similarity }], exact matches first
+function findLookalikes(tokenAddress, { name, symbol }, candidates, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const own = { name: skeleton(name), symbol: skeleton(symbol) };
+  const matches = new Map();
+  candidates.forEach(candidate => {
+    if (!candidate.mint || candidate.mint === tokenAddress || matches.has(candidate.mint)) return;
+    const best = ['symbol', 'name']
+      .map(field => {
+        const theirs = skeleton(candidate[field]);
+        if (!own[field] || !theirs) return null;
+        if (own[field] === theirs) return { match: field, exact: true, similarity: 1 };
+        if (Math.min(own[field].length, theirs.length) < settings.minFuzzyLength) return null;
+        const score = similarity(own[field], theirs);
+        return score >= settings.similarity ? { match: field, exact: false, similarity: Math.round(score * 100) / 100 } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity)[0];
+    if (best) matches.set(candidate.mint, { mint: candidate.mint, symbol: candidate.symbol, name: candidate.name, ...best });
+  });
+  return [...matches.values()].sort((a, b) => b.similarity - a.similarity);
+}
+
+// Main function: metadata integrity report with flags
+// metadata: readTokenMetadata result; offChain: fetchOffChainMetadata result (undefined when it could not be fetched);
+// verifiedTokens: searchVerifiedTokens result (undefined when the search failed; the built-in list is always used)
+// options: DEFAULTS overrides plus { knownTokens: [{ mint, symbol, name }], rulePack (metadata and copycat rule thresholds) }
+// Returns { source, updateAuthority, isMutable, name, symbol, uri, verified, offChain, lookalikes, flags: [{ rule, flag, points, value }] }
+function auditMetadata(tokenAddress, metadata, offChain, verifiedTokens, options = {}) {
+  const candidates = KNOWN_TOKENS.concat(options.knownTokens || [], verifiedTokens || []);
+  // An established token sharing a symbol with another one is not impersonating it
+  const verified = candidates.some(candidate => candidate.mint === tokenAddress);
+  const report = {
+    source: metadata.source,
+    updateAuthority: metadata.updateAuthority,
+    isMutable: metadata.isMutable,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    creators: metadata.creators,
+    verified,
+    offChain: offChain || null,
+    lookalikes: findLookalikes(tokenAddress, metadata, candidates, options),
+    flags: [], // { rule, flag, points, value }
+  };
+
+  const rules = createRuleSession(options.rulePack, 'security');
+  rules.check('metadata-mutable', metadata.isMutable, { authority: metadata.updateAuthority || 'unknown' });
+  if (offChain) {
+    rules.check('metadata-mutable-host', !offChain.immutableHost && Boolean(offChain.host), { host: offChain.host });
+    rules.check('metadata-invalid', !offChain.valid, { problems: offChain.problems.join('; ') });
+  }
+  const exact = report.lookalikes.find(entry => entry.exact);
+  const close = report.lookalikes.find(entry => !entry.exact);
+  if (!verified) {
+    if (exact) {
+      rules.check('copycat-token', true, { match: exact.match, symbol: exact.symbol, name: exact.name, mint: exact.mint });
+    } else if (close) {
+      rules.check('lookalike-token', close.similarity, { match: close.match, symbol: close.symbol, name: close.name, mint: close.mint });
+    }
+  }
+  report.flags = rules.flags();
+  return report;
+}
+
+module.exports = {
+  KNOWN_TOKENS,
+  readTokenMetadata,
+  fetchOffChainMetadata,
+  searchVerifiedTokens,
+  findLookalikes,
+  auditMetadata,
+};
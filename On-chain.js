@@ -1,166 +1,283 @@
 // SolSentry Backend Feature: On-Chain Heuristics (Security Checks)
 // This module implements security checks for Solana tokens based on the provided research.
 // It uses free public APIs from Solscan and DEXScreener, along with @solana/web3.js for on-chain queries.
+// Token meta, holders and transactions can come from Solscan or from plain RPC (RpcData.js); see DATA_SOURCES.
 // For advanced features like full rug checks, consider integrating paid APIs (e.g., SolSniffer, Birdeye with API key).
-// Note: This is a basic implementation. In a production app, handle errors, rate limits, and caching.
+// HTTP calls go through the shared fetch layer (Fetch.js: rate limits, retries, caching); inputs that could not be
+// fetched are listed in report.dataErrors and skip their checks instead of scoring as a negative result.
 // Install dependencies: npm install @solana/web3.js @solana/spl-token axios
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getMint, getTokenLargestAccounts } = require('@solana/spl-token');
-const axios = require('axios');
+const { Connection } = require('@solana/web3.js');
+const { fetchMintWithProgram, auditMintExtensions } = require('./Token-2022.js');
+const { simulateRoundTrip } = require('./Honeypot.js');
+const { verifyLpLock } = require('./LP-lock.js');
+const { classifyHolders } = require('./Holders.js');
+const { analyzeLaunch } = require('./Snipers.js');
+const { analyzeVolume } = require('./WashTrading.js');
+const { analyzeExitLiquidity } = require('./ExitLiquidity.js');
+const { profileDeployer } = require('./Deployer.js');
+const { analyzeBondingCurve } = require('./BondingCurve.js');
+const { createRuleSession } = require('./Rules.js');
+const { readTokenMetadata, fetchOffChainMetadata, searchVerifiedTokens, auditMetadata } = require('./Metadata.js');
+const { getTokenMetaRpc, getTopHoldersRpc, getRecentTransactionsRpc } = require('./RpcData.js');
+const { fetchJson, rpcFetchMiddleware, inputFrom, describeFetchError } = require('./Fetch.js');
 
 // Solana mainnet RPC (use your own for better performance, e.g., Helius or QuickNode)
-const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
+// Override with SOLANA_RPC_URL, e.g., http://127.0.0.1:8899 for a local solana-test-validator
+// RPC calls are throttled by the 'rpc' rate limit in Fetch.js (SOLSENTRY_RPC_RPS)
+const connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com', {
+  commitment: 'confirmed',
+  fetchMiddleware: rpcFetchMiddleware,
+});
 
-// Helper function to fetch token metadata from Solscan (public API, rate-limited)
-async function getTokenMeta(tokenAddress) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/meta?address=${tokenAddress}`);
-    return response.data.data || null;
-  } catch (error) {
-    console.error('Error fetching Solscan token meta:', error.message);
-    return null;
+// Where token meta, holders and transactions come from: 'solscan', 'rpc' (plain RPC only), or 'auto'
+// (Solscan first, RPC when Solscan returns nothing). Override with SOLSENTRY_DATA_SOURCE or options.dataSource.
+const DATA_SOURCES = ['auto', 'solscan', 'rpc'];
+const DEFAULT_DATA_SOURCE = process.env.SOLSENTRY_DATA_SOURCE || 'auto';
+
+// Helper: Try each provider of a data source in order until one returns data (null and [] count as nothing)
+// Throws the last FetchError only when no provider answered at all
+async function fromDataSource(dataSource = DEFAULT_DATA_SOURCE, fetchers) {
+  if (!DATA_SOURCES.includes(dataSource)) {
+    throw new Error(`Unknown data source "${dataSource}" (expected ${DATA_SOURCES.join(', ')})`);
   }
+  const order = dataSource === 'auto' ? ['solscan', 'rpc'] : [dataSource];
+  let result = null, failure = null, answered = false;
+  for (const source of order) {
+    try {
+      const value = await fetchers[source]();
+      if (value && value.length !== 0) return value;
+      result = value;
+      answered = true;
+    } catch (error) {
+      failure = error;
+      if (source !== order[order.length - 1]) console.error(`${error.message}; trying the next data source`);
+    }
+  }
+  if (!answered) throw failure;
+  return result;
+}
+
+// Helper function to fetch token metadata from Solscan (public API, rate-limited)
+async function getSolscanTokenMeta(tokenAddress) {
+  const body = await fetchJson('solscan', `https://api.solscan.io/v2.0/token/meta?address=${tokenAddress}`);
+  return body.data || null;
 }
 
 // Helper function to fetch top holders from Solscan (public API)
-async function getTopHolders(tokenAddress, limit = 10) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/holders?address=${tokenAddress}&page=1&page_size=${limit}`);
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching Solscan holders:', error.message);
-    return [];
-  }
+async function getSolscanTopHolders(tokenAddress, limit = 10) {
+  const body = await fetchJson('solscan', `https://api.solscan.io/v2.0/token/holders?address=${tokenAddress}&page=1&page_size=${limit}`);
+  return body.data || [];
 }
 
-// Helper function to fetch pairs from DEXScreener (public API, rate-limited)
+// Helper function to fetch pairs from DEXScreener (public API, rate-limited); throws FetchError when unreachable
 async function getDexPairs(tokenAddress) {
-  try {
-    const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-    return response.data.pairs || [];
-  } catch (error) {
-    console.error('Error fetching DEXScreener pairs:', error.message);
-    return [];
-  }
+  const body = await fetchJson('dexscreener', `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
+  return body.pairs || [];
 }
 
 // Helper function to fetch recent transactions from Solscan (for pattern analysis)
-async function getRecentTransactions(tokenAddress, limit = 20) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/txns?address=${tokenAddress}&limit=${limit}`);
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching Solscan transactions:', error.message);
-    return [];
-  }
+async function getSolscanTransactions(tokenAddress, limit = 20) {
+  const body = await fetchJson('solscan', `https://api.solscan.io/v2.0/token/txns?address=${tokenAddress}&limit=${limit}`);
+  return body.data || [];
+}
+
+// Helper function to fetch token metadata (Solscan's shape) from the configured data source
+// These three return null/[] for a genuine "nothing found" and throw FetchError when no source could be reached
+// options: { dataSource ('auto', 'solscan', 'rpc'), countHolders (RPC holder count via getProgramAccounts) }
+async function getTokenMeta(tokenAddress, options = {}) {
+  return fromDataSource(options.dataSource, {
+    solscan: () => getSolscanTokenMeta(tokenAddress),
+    rpc: () => getTokenMetaRpc(connection, tokenAddress, options),
+  });
+}
+
+// Helper function to fetch top holders from the configured data source (RPC returns at most 20)
+async function getTopHolders(tokenAddress, limit = 10, options = {}) {
+  return fromDataSource(options.dataSource, {
+    solscan: () => getSolscanTopHolders(tokenAddress, limit),
+    rpc: () => getTopHoldersRpc(connection, tokenAddress, limit),
+  });
+}
+
+// Helper function to fetch recent transactions from the configured data source
+async function getRecentTransactions(tokenAddress, limit = 20, options = {}) {
+  return fromDataSource(options.dataSource, {
+    solscan: () => getSolscanTransactions(tokenAddress, limit),
+    rpc: () => getRecentTransactionsRpc(connection, tokenAddress, limit),
+  });
 }
 
 // Main function to perform security checks on a token
-async function performSecurityChecks(tokenAddress) {
+// data: optional prefetched inputs { mintInfo, mintProgramId, tokenMeta, topHolders, holderClassification, pairs, lpLock, bondingCurve, recentTx } (e.g., shared by Scan.js)
+// options: { simulationPayer (funded wallet address for the honeypot simulation), simulationAmountSol, launchWindowSlots,
+//   rulePack (name, path or loaded pack; see Rules.js), dataSource ('auto', 'solscan', 'rpc'; see DATA_SOURCES),
+//   knownTokens (extra established tokens for copycat checks: [{ mint, symbol, name }]),
+//   positionUsd / positionTokens (planned position for the exit-slippage simulation) }
+async function performSecurityChecks(tokenAddress, data = {}, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'security');
   const report = {
     authorities: {},
     adminKeys: {},
     lpHealth: {},
     tokenDistribution: {},
     transactionPatterns: {},
-    riskScore: 0, // Simple score: 0-100 (higher = riskier)
-    flags: [] // Red flags
+    honeypot: {},
+    launchAnalysis: {},
+    exitLiquidity: {}, // Price impact of selling the planned position, top-10 bags and the dev balance (ExitLiquidity.js)
+    volumeAnalysis: {}, // Wash trading / organic volume share on the main pair (WashTrading.js)
+    metadata: {}, // Metaplex/Token-2022 metadata, off-chain JSON, lookalike tokens (Metadata.js)
+    riskScore: 0, // Sum of fired rule points, capped at 100 (higher = riskier)
+    flags: [], // Red flags (messages of the fired rules)
+    ruleBreakdown: [], // { rule, section, severity, points, message, value, threshold }
+    dataErrors: [] // Inputs that could not be fetched ({ input, provider, status, message }); their checks were skipped
+  };
+  // Helper: an input from data or fetched now; undefined (and a dataErrors entry) when it could not be fetched
+  const fetchInput = async (key, fetch) => {
+    try {
+      return await inputFrom(data, key, fetch);
+    } catch (error) {
+      report.dataErrors.push(describeFetchError(key, error));
+      return undefined;
+    }
   };
 
   // 1. Mint/Freeze/Upgrade Authorities (using on-chain data for accuracy)
+  let mintSupply = null;
+  let mintDecimals;
   try {
-    const tokenMint = new PublicKey(tokenAddress);
-    const mintInfo = await getMint(connection, tokenMint);
+    const { mintInfo, programId } = data.mintInfo
+      ? { mintInfo: data.mintInfo, programId: data.mintProgramId }
+      : await fetchMintWithProgram(connection, tokenAddress);
+    mintSupply = mintInfo.supply;
+    mintDecimals = mintInfo.decimals;
+    // Token-2022: every mint extension with its authority (transfer fee, hooks, permanent delegate, ...)
+    const extensionAudit = auditMintExtensions(mintInfo, programId, { rulePack: rules.pack });
     report.authorities = {
+      tokenProgram: extensionAudit.tokenProgram,
       mintAuthority: mintInfo.mintAuthority ? 'Active (Risk: Can mint more tokens)' : 'Renounced (Safe)',
       freezeAuthority: mintInfo.freezeAuthority ? 'Active (Risk: Can freeze tokens)' : 'Renounced (Safe)',
+      extensions: extensionAudit.extensions,
       // Upgrade authority not applicable for standard SPL tokens; for programs, use separate check if needed
     };
-    if (mintInfo.mintAuthority) {
-      report.flags.push('Mint authority active');
-      report.riskScore += 30;
-    }
-    if (mintInfo.freezeAuthority) {
-      report.flags.push('Freeze authority active');
-      report.riskScore += 20;
-    }
+    rules.check('mint-authority-active', Boolean(mintInfo.mintAuthority));
+    rules.check('freeze-authority-active', Boolean(mintInfo.freezeAuthority));
+    extensionAudit.flags.forEach(rules.add);
   } catch (error) {
     report.authorities.error = 'Failed to fetch on-chain mint info';
+    report.dataErrors.push(describeFetchError('mintInfo', error));
   }
 
-  // 2. Admin/Owner Keys (using Solscan meta for creator/owner info)
-  const tokenMeta = await getTokenMeta(tokenAddress);
+  // 2. Admin/Owner Keys (using token meta for creator/owner info)
+  const tokenMeta = await fetchInput('tokenMeta', () => getTokenMeta(tokenAddress, options));
   if (tokenMeta) {
+    // RPC token meta: a failed creator balance leaves the share unknown
+    report.dataErrors.push(...(tokenMeta.dataErrors || []).filter(entry => entry.input === 'creatorBalance'));
     report.adminKeys = {
-      creator: tokenMeta.creator ? `${tokenMeta.creator.address} (${tokenMeta.creator.share}% share)` : 'Unknown',
+      creator: tokenMeta.creator ? `${tokenMeta.creator.address} (${tokenMeta.creator.share ?? 'unknown'}% share)` : 'Unknown',
       // For admin rights, infer from authorities (as SPL doesn't have separate owner unless custom)
-      note: 'Check if creator wallet has multisig or renounced control (manual review recommended)'
     };
     // Heuristic: If creator holds significant share, flag
-    if (tokenMeta.creator && tokenMeta.creator.share > 10) {
-      report.flags.push('Creator holds >10% share');
-      report.riskScore += 15;
+    if (tokenMeta.creator) {
+      rules.check('creator-large-share', tokenMeta.creator.share);
     }
   } else {
-    report.adminKeys.error = 'Failed to fetch token meta';
+    report.adminKeys.error = tokenMeta === undefined ? 'Failed to fetch token meta' : 'No token meta found';
+  }
+  // Dev wallet profile: funding source, sells/moves since launch, previous launches (falls back to the mint's first fee payer)
+  try {
+    report.adminKeys.devProfile = await profileDeployer(connection, tokenAddress, tokenMeta?.creator?.address, { rulePack: rules.pack });
+    report.adminKeys.devProfile.flags.forEach(rules.add);
+  } catch (error) {
+    report.adminKeys.devProfile = { error: `Deployer profile failed: ${error.message}` };
   }
 
   // 3. Liquidity Pool (LP) Health (using DEXScreener for pairs and liquidity)
-  const pairs = await getDexPairs(tokenAddress);
-  if (pairs.length > 0) {
+  const pairs = await fetchInput('pairs', () => getDexPairs(tokenAddress));
+  if (pairs === undefined) {
+    // Unknown, not "no liquidity": pool checks are skipped
+    report.lpHealth.error = 'Failed to fetch DEX pairs (liquidity checks skipped)';
+  } else if (pairs.length > 0) {
     // Select the pair with highest liquidity (assume main SOL pair)
     const mainPair = pairs.reduce((prev, curr) => (curr.liquidity?.usd > prev.liquidity?.usd ? curr : prev), pairs[0]);
     report.lpHealth = {
       dex: mainPair.dexId,
       liquidityUSD: mainPair.liquidity?.usd || 0,
-      volume24h: mainPair.volume?.h24 || 0,
+      volume24h: mainPair.volume?.h24 || 0, // As reported (see volumeAnalysis for the organic share)
+      priceUsd: Number(mainPair.priceUsd) || null,
+      marketCap: mainPair.marketCap || mainPair.fdv || null,
       pairAddress: mainPair.pairAddress,
-      note: 'LP lock status: Use manual check on Solscan for LP mint supply/burns (advanced: integrate SolSniffer API)'
     };
-    // Heuristics from research
-    if (report.lpHealth.liquidityUSD < 20000) {
-      report.flags.push('Tiny LP (<$20k)');
-      report.riskScore += 25;
+    // LP lock status: who holds the LP supply (burned, locker program, dev wallet)
+    try {
+      report.lpHealth.lpLock = 'lpLock' in data
+        ? data.lpLock
+        : await verifyLpLock(connection, mainPair.pairAddress, { devWallets: [tokenMeta?.creator?.address], rulePack: rules.pack });
+    } catch (error) {
+      report.lpHealth.lpLock = { error: `LP lock check failed: ${error.message}` };
     }
+    (report.lpHealth.lpLock.flags || []).forEach(rules.add);
+    // Heuristics from research (tiered: tiny LP, else shallow LP)
+    rules.check('tiny-liquidity', report.lpHealth.liquidityUSD) || rules.check('low-liquidity', report.lpHealth.liquidityUSD);
     // For lock status, approximate by checking if mint authority renounced (prevents new mints affecting LP)
-    if (report.authorities.mintAuthority.includes('Active')) {
-      report.flags.push('Potential LP risk due to active mint');
-      report.riskScore += 10;
-    }
+    rules.check('active-mint-lp-risk', Boolean(report.authorities.mintAuthority?.includes('Active')));
   } else {
-    report.lpHealth.error = 'No DEX pairs found';
-    report.flags.push('No liquidity pools detected');
-    report.riskScore += 30;
+    // No DEX pair yet: a token still trading on a launchpad bonding curve is pre-liquidity, not illiquid
+    let bondingCurve = null;
+    try {
+      bondingCurve = 'bondingCurve' in data
+        ? data.bondingCurve
+        : await analyzeBondingCurve(connection, tokenAddress, { creator: tokenMeta?.creator?.address, rulePack: rules.pack });
+    } catch (error) {
+      report.lpHealth.bondingCurveError = `Bonding curve check failed: ${error.message}`;
+    }
+    if (bondingCurve && bondingCurve.onCurve) {
+      report.lpHealth.preLiquidity = true;
+      report.lpHealth.bondingCurve = bondingCurve;
+      bondingCurve.flags.forEach(rules.add);
+    } else {
+      report.lpHealth.error = 'No DEX pairs found';
+      rules.check('no-liquidity', true);
+    }
   }
 
-  // 4. Token Distribution (top holders concentration)
-  const topHolders = await getTopHolders(tokenAddress);
-  if (topHolders.length > 0) {
-    const totalSupply = BigInt(tokenMeta?.supply || 0); // From meta
+  // 4. Token Distribution (top holders concentration, excluding pools/burn/CEX/lockers)
+  // Fetch beyond 10 so ten regular wallets remain after pool vaults etc. are excluded
+  const topHolders = await fetchInput('topHolders', () => getTopHolders(tokenAddress, 50, options));
+  if (topHolders && topHolders.length > 0) {
+    const totalSupply = BigInt(tokenMeta?.supply || mintSupply || 0); // From meta, else on-chain
     let top10Percent = 0;
-    topHolders.forEach(holder => {
-      const balance = BigInt(holder.amount);
-      top10Percent += Number((balance * 100n) / totalSupply);
-    });
-    report.tokenDistribution = {
-      top10HoldersPercent: top10Percent,
-      holderCount: tokenMeta?.holder || 'Unknown'
-    };
-    if (top10Percent > 50) {
-      report.flags.push('High concentration (>50% in top 10)');
-      report.riskScore += 25;
-    } else if (top10Percent > 20) {
-      report.flags.push('Moderate concentration (>20% in top 10)');
-      report.riskScore += 10;
+    try {
+      const classification = 'holderClassification' in data
+        ? data.holderClassification
+        : await classifyHolders(connection, topHolders, { totalSupply, pairs: pairs || [] });
+      top10Percent = classification.top10WalletsPercent;
+      report.tokenDistribution = {
+        top10HoldersPercent: top10Percent, // Regular wallets only
+        top10AllHoldersPercent: classification.top10HoldersPercent,
+        excludedPercent: classification.excludedPercent,
+        holderCount: tokenMeta?.holder || 'Unknown',
+        holders: classification.holders.slice(0, 20)
+      };
+    } catch (error) {
+      // Classification needs RPC; fall back to raw balances so the section still reports
+      topHolders.slice(0, 10).forEach(holder => {
+        top10Percent += totalSupply > 0n ? Number((BigInt(holder.amount) * 100n) / totalSupply) : 0;
+      });
+      report.tokenDistribution = {
+        top10HoldersPercent: top10Percent,
+        holderCount: tokenMeta?.holder || 'Unknown',
+        classificationError: `Holder classification failed (raw balances used): ${error.message}`
+      };
     }
+    rules.check('high-concentration', top10Percent) || rules.check('moderate-concentration', top10Percent);
   } else {
-    report.tokenDistribution.error = 'Failed to fetch holders';
+    report.tokenDistribution.error = topHolders === undefined ? 'Failed to fetch holders' : 'No holders found';
   }
 
   // 5. Transaction Patterns (basic analysis of recent tx)
-  const recentTx = await getRecentTransactions(tokenAddress);
-  if (recentTx.length > 0) {
+  const recentTx = (await fetchInput('recentTx', () => getRecentTransactions(tokenAddress, 20, options)))?.slice(0, 20);
+  if (recentTx && recentTx.length > 0) {
     // Simple heuristics: count buys/sells, look for large dumps
     let sellCount = 0, largeDumps = 0;
     recentTx.forEach(tx => {
@@ -173,18 +290,103 @@ async function performSecurityChecks(tokenAddress) {
     report.transactionPatterns = {
       recentTxCount: recentTx.length,
       potentialDumps: largeDumps,
-      note: 'Advanced: Analyze for bot patterns or unnatural spikes (integrate Birdeye API for volume trends)'
     };
-    if (largeDumps > 2) {
-      report.flags.push('Recent large dumps detected');
-      report.riskScore += 20;
+    rules.check('large-dumps', largeDumps);
+  } else {
+    report.transactionPatterns.error = recentTx === undefined ? 'Failed to fetch transactions' : 'No recent transactions found';
+  }
+
+  // 6. Honeypot Simulation (buy-then-sell round trip against the main pair)
+  if (report.lpHealth.pairAddress && options.simulationPayer) {
+    try {
+      report.honeypot = await simulateRoundTrip(connection, tokenAddress, report.lpHealth.pairAddress, {
+        payer: options.simulationPayer,
+        buyAmountSol: options.simulationAmountSol,
+      });
+      rules.check('honeypot-sell-failed', report.honeypot.buySucceeded && report.honeypot.sellSucceeded === false)
+        || rules.check('high-sell-tax', report.honeypot.effectiveTaxPercent);
+    } catch (error) {
+      report.honeypot.error = `Honeypot simulation failed to run: ${error.message}`;
     }
   } else {
-    report.transactionPatterns.error = 'Failed to fetch transactions';
+    report.honeypot.note = report.lpHealth.pairAddress
+      ? 'Provide a simulation payer (funded wallet address) to test-sell via simulateTransaction'
+      : report.lpHealth.preLiquidity ? 'Token is still on its bonding curve (no pool to simulate against)' : 'No pool to simulate against';
   }
 
-  // Cap risk score at 100
-  report.riskScore = Math.min(report.riskScore, 100);
+  // 7. Launch Snipers & Bundles (buys in the first slots after pool creation)
+  if (report.lpHealth.pairAddress) {
+    try {
+      report.launchAnalysis = await analyzeLaunch(connection, tokenAddress, report.lpHealth.pairAddress, {
+        totalSupply: BigInt(tokenMeta?.supply || mintSupply || 0),
+        windowSlots: options.launchWindowSlots,
+        rulePack: rules.pack,
+      });
+      report.launchAnalysis.flags.forEach(rules.add);
+    } catch (error) {
+      report.launchAnalysis.error = `Launch analysis failed: ${error.message}`;
+    }
+  } else {
+    report.launchAnalysis.note = report.lpHealth.preLiquidity ? 'Token is still on its bonding curve (no pool launch yet)' : 'No pool to analyze';
+  }
+
+  // 8. Volume Authenticity (self-trades, circular trades, buy/sell imbalance, volume vs holder growth)
+  if (report.lpHealth.pairAddress) {
+    try {
+      report.volumeAnalysis = await analyzeVolume(connection, tokenAddress, report.lpHealth.pairAddress, {
+        priceUsd: report.lpHealth.priceUsd,
+        reportedVolume24h: report.lpHealth.volume24h,
+        rulePack: rules.pack,
+      });
+      report.volumeAnalysis.flags.forEach(rules.add);
+    } catch (error) {
+      report.volumeAnalysis.error = `Volume analysis failed: ${error.message}`;
+    }
+  } else {
+    report.volumeAnalysis.note = 'No pool to analyze';
+  }
+
+  // 9. Metadata Integrity (mutability, off-chain JSON, copycat names)
+  const metadata = await fetchInput('metadata', () => readTokenMetadata(connection, tokenAddress));
+  if (metadata) {
+    const offChain = metadata.uri
+      ? await fetchInput('metadataUri', () => fetchOffChainMetadata(metadata.uri, metadata))
+      : { uri: '', valid: false, problems: ['No metadata URI'], socials: {} };
+    const verifiedTokens = await fetchInput('verifiedTokens', () => searchVerifiedTokens(metadata));
+    report.metadata = auditMetadata(tokenAddress, metadata, offChain, verifiedTokens, { knownTokens: options.knownTokens, rulePack: rules.pack });
+    report.metadata.flags.forEach(rules.add);
+  } else {
+    report.metadata.error = metadata === undefined ? 'Failed to fetch metadata' : 'No metadata account found';
+    rules.check('metadata-missing', metadata === null);
+  }
+
+  // 10. Exit Liquidity (price impact of selling into the main pool: our position, top-10 wallets, dev wallet)
+  if (report.lpHealth.pairAddress) {
+    const mainPair = pairs.find(pair => pair.pairAddress === report.lpHealth.pairAddress);
+    const devProfile = report.adminKeys.devProfile || {};
+    try {
+      report.exitLiquidity = await analyzeExitLiquidity(connection, tokenAddress, mainPair, {
+        positionUsd: options.positionUsd,
+        positionTokens: options.positionTokens,
+        decimals: mintDecimals,
+        holders: report.tokenDistribution.holders || [],
+        devWallet: devProfile.wallet ? { address: devProfile.wallet, balance: devProfile.tokenActivity?.currentBalance } : null,
+      });
+      const { worstHolderExit, devExit, marketCapToLiquidity } = report.exitLiquidity;
+      if (worstHolderExit) rules.check('whale-exit-impact', worstHolderExit.priceDropPercent, { holder: worstHolderExit.owner });
+      if (devExit) rules.check('dev-exit-impact', devExit.priceDropPercent);
+      if (marketCapToLiquidity !== null) rules.check('high-mcap-liquidity-ratio', marketCapToLiquidity);
+    } catch (error) {
+      report.exitLiquidity.error = `Exit liquidity analysis failed: ${error.message}`;
+    }
+  } else {
+    report.exitLiquidity.note = 'No pool to sell into';
+  }
+
+  // Score = fired rule points, capped at 100
+  report.riskScore = rules.score();
+  report.flags = rules.messages();
+  report.ruleBreakdown = rules.breakdown();
 
   // Additional integrations (commented): For full features, add API keys
   // e.g., SolSniffer: Requires signup at solsniffer.com/api-service
@@ -195,9 +397,21 @@ async function performSecurityChecks(tokenAddress) {
   return report;
 }
 
-// Example usage (run with node)
-(async () => {
-  const tokenAddress = 'Pumpui3xvBFpX4vvVBy42SYLiR8Kwg8tr6V3TaBQM7b'; // Example: Replace with real token mint
-  const report = await performSecurityChecks(tokenAddress);
-  console.log(JSON.stringify(report, null, 2));
-})();
\ No newline at end of file
+module.exports = {
+  connection,
+  DATA_SOURCES,
+  getTokenMeta,
+  getTopHolders,
+  getDexPairs,
+  getRecentTransactions,
+  performSecurityChecks,
+};
+
+// Example usage (run with node On-chain.js)
+if (require.main === module) {
+  (async () => {
+    const tokenAddress = 'Pumpui3xvBFpX4vvVBy42SYLiR8Kwg8tr6V3TaBQM7b'; // Example: Replace with real token mint
+    const report = await performSecurityChecks(tokenAddress);
+    console.log(JSON.stringify(report, null, 2));
+  })();
+}
\ No newline at end of file
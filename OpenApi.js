@@ -0,0 +1,479 @@
+// SolSentry Backend Feature: OpenAPI Description
+// OpenAPI 3.0 description of the HTTP API (Server.js) and of the report schemas it returns: the composite scan
+// (Scan.js), the security (On-chain.js), tokenomics (Tokenomics.js) and social (Social sentiment.js) reports, batch
+// results, wallet portfolios (Portfolio.js) and jobs. Served at /openapi.json. Nested analyzer sections are described down to their main fields;
+// each points at the module that fills it.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios (through On-chain.js, for DATA_SOURCES)
+
+const { SEVERITIES } = require('./Rules.js');
+const { DATA_SOURCES } = require('./On-chain.js');
+
+// Helper: $ref to a component schema
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Helper: $ref that may be null (OpenAPI 3.0 ignores siblings of $ref, so it is wrapped in allOf)
+function nullableRef(name) {
+  return { allOf: [ref(name)], nullable: true };
+}
+
+// Helper: object schema with described properties (extra fields allowed: analyzers add detail over time)
+function object(description, properties = {}, required) {
+  return { type: 'object', description, properties, ...(required ? { required } : {}), additionalProperties: true };
+}
+
+const nullableNumber = description => ({ type: 'number', nullable: true, description });
+const nullableString = description => ({ type: 'string', nullable: true, description });
+const stringList = description => ({ type: 'array', items: { type: 'string' }, description });
+
+const schemas = {
+  Error: object('Error response', { error: { type: 'string' } }, ['error']),
+  ApiKeys: object('Provider API keys for this request (override the server config)', {
+    birdeye: { type: 'string' },
+    lunarCrush: { type: 'string' },
+    telegramBot: { type: 'string', description: 'Telegram bot token (bot in the project group)' },
+    discordBot: { type: 'string', description: 'Discord bot token (reads discordChannels)' },
+    twitter: object('Twitter/X app credentials', {
+      appKey: { type: 'string' },
+      appSecret: { type: 'string' },
+      accessToken: { type: 'string' },
+      accessSecret: { type: 'string' },
+    }),
+  }),
+  ScanRequest: object('Scan options (POST body; the same scalar fields are accepted as GET query parameters)', {
+    async: { type: 'boolean', description: 'Run as a job and answer 202 with the job instead of waiting' },
+    rules: { type: 'string', description: 'Built-in rule pack: default, conservative or degen' },
+    dataSource: { type: 'string', enum: DATA_SOURCES },
+    countHolders: { type: 'boolean', description: 'Count holders with getProgramAccounts in RPC mode' },
+    skipSocial: { type: 'boolean' },
+    ledgerPages: { type: 'integer', minimum: 1, description: 'Pages of 1000 mint signatures for the supply ledger' },
+    positionUsd: { type: 'number', description: 'Planned position (USD) for the exit-slippage simulation' },
+    positionTokens: { type: 'number', description: 'Planned position in token units (instead of positionUsd)' },
+    maxTweets: { type: 'integer', minimum: 10, description: 'Tweets collected for Twitter/X sentiment (default 500)' },
+    symbol: { type: 'string', description: 'social only: token symbol (resolved from metadata when omitted)' },
+    name: { type: 'string', description: 'social only: token name' },
+    socialLinks: object('Project social links', {
+      twitter: { type: 'string' },
+      telegram: { type: 'string' },
+      discord: { type: 'string' },
+    }),
+    discordChannels: stringList('Discord channel ids read with the discordBot token (community analytics)'),
+    knownVestingWallets: stringList('Treasury/team wallets excluded from circulating supply'),
+    knownTokens: {
+      type: 'array',
+      description: 'Extra established tokens for copycat checks',
+      items: object('Known token', { mint: { type: 'string' }, symbol: { type: 'string' }, name: { type: 'string' } }),
+    },
+    apiKeys: ref('ApiKeys'),
+  }),
+  BatchRequest: {
+    allOf: [ref('ScanRequest'), object('Batch of mints', {
+      mints: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 100 },
+      concurrency: { type: 'integer', minimum: 1, description: 'Scans running at once (default 3)' },
+    }, ['mints'])],
+  },
+  PortfolioRequest: {
+    allOf: [ref('ScanRequest'), object('Wallet portfolio options', {
+      minValueUsd: { type: 'number', minimum: 0, description: 'Positions worth less are listed but not scanned (default 1)' },
+      maxScans: { type: 'integer', minimum: 1, maximum: 100, description: 'Largest positions scanned (default 25)' },
+    })],
+  },
+
+  DataError: object('An input that could not be fetched; its checks were skipped', {
+    section: { type: 'string', description: 'Composite scan only' },
+    input: { type: 'string' },
+    provider: { type: 'string' },
+    status: { type: 'integer', nullable: true },
+    message: { type: 'string' },
+  }, ['input', 'message']),
+  RuleHit: object('A fired rule (Rules.js)', {
+    rule: { type: 'string' },
+    section: { type: 'string' },
+    severity: { type: 'string', enum: SEVERITIES },
+    points: { type: 'number' },
+    message: { type: 'string' },
+    value: { description: 'The checked value' },
+    threshold: { type: 'number', nullable: true },
+  }, ['rule', 'severity', 'points', 'message']),
+  RedFlag: object('A fired rule in the composite report', {
+    section: { type: 'string' },
+    rule: { type: 'string' },
+    severity: { type: 'string', enum: SEVERITIES },
+    points: { type: 'number' },
+    flag: { type: 'string' },
+  }, ['section', 'rule', 'severity', 'points', 'flag']),
+  Sale: object('One simulated sale into the main pool (ExitLiquidity.js)', {
+    amount: { type: 'number', description: 'Token units' },
+    valueUsd: nullableNumber('Value at the current price'),
+    proceedsQuote: { type: 'number' },
+    proceedsUsd: nullableNumber(),
+    priceImpactPercent: { type: 'number', description: 'Average fill against the spot price, fee included' },
+    priceDropPercent: { type: 'number', description: 'Pool price after the sale against before' },
+  }),
+
+  SecurityReport: object('On-chain security checks (On-chain.js)', {
+    authorities: object('Mint/freeze authorities and Token-2022 extensions'),
+    adminKeys: object('Creator and deployer profile (Deployer.js)', { devProfile: object('Deployer.js profile') }),
+    lpHealth: object('Main pair liquidity and LP lock (LP-lock.js), or the bonding curve before graduation', {
+      dex: { type: 'string' },
+      liquidityUSD: { type: 'number' },
+      volume24h: { type: 'number', description: 'As reported by DEXScreener' },
+      priceUsd: nullableNumber(),
+      marketCap: nullableNumber('Market cap, else FDV'),
+      pairAddress: { type: 'string' },
+      lpLock: object('LP lock status (LP-lock.js)'),
+      preLiquidity: { type: 'boolean' },
+      bondingCurve: object('Launchpad bonding curve (BondingCurve.js)'),
+      error: { type: 'string' },
+    }),
+    tokenDistribution: object('Top holder concentration (Holders.js)', {
+      top10HoldersPercent: { type: 'number', description: 'Regular wallets only' },
+      top10AllHoldersPercent: { type: 'number' },
+      excludedPercent: object('Percent held by pool, burn, exchange and locker accounts'),
+      holders: { type: 'array', items: object('Tagged holder', { owner: nullableString(), amount: { type: 'string' }, percent: { type: 'number' }, tag: { type: 'string' } }) },
+    }),
+    transactionPatterns: object('Recent transaction patterns'),
+    honeypot: object('Buy/sell round-trip simulation (Honeypot.js)'),
+    launchAnalysis: object('Launch snipers and bundles (Snipers.js)'),
+    exitLiquidity: object('Exit slippage against the main pool (ExitLiquidity.js)', {
+      reserves: object('Pool reserves and pricing model', { source: { type: 'string', enum: ['vaults', 'dexscreener'] }, approximate: { type: 'boolean' } }),
+      marketCapToLiquidity: nullableNumber(),
+      position: nullableRef('Sale'),
+      holders: { type: 'array', items: ref('Sale') },
+      worstHolderExit: nullableRef('Sale'),
+      devExit: nullableRef('Sale'),
+      safeExit: { type: 'array', items: object('Largest sale under an impact limit', { maxImpactPercent: { type: 'number' }, amount: { type: 'number' }, valueUsd: nullableNumber() }) },
+    }),
+    volumeAnalysis: object('Wash trading and organic volume share (WashTrading.js)', {
+      organicVolumePercent: { type: 'number' },
+      estimatedOrganicVolume24h: nullableNumber(),
+      top10WalletsVolumePercent: { type: 'number' },
+    }),
+    metadata: object('Metadata integrity and lookalike tokens (Metadata.js)'),
+    riskScore: { type: 'number', minimum: 0, maximum: 100 },
+    flags: stringList('Messages of the fired rules'),
+    ruleBreakdown: { type: 'array', items: ref('RuleHit') },
+    dataErrors: { type: 'array', items: ref('DataError') },
+  }, ['riskScore', 'flags', 'ruleBreakdown', 'dataErrors']),
+
+  TokenomicsReport: object('Supply, distribution and unlocks (Tokenomics.js)', {
+    basicInfo: object('Decimals, supply, authorities'),
+    supplyMetrics: object('Total and circulating supply'),
+    authorities: object('Mint/freeze authorities'),
+    distribution: object('Holder distribution'),
+    lpAnalysis: object('Liquidity'),
+    burnAndMintActivity: object('Supply ledger (SupplyLedger.js)', {
+      complete: { type: 'boolean' },
+      minted: { type: 'string' },
+      burned: { type: 'string' },
+      totalBurned: { type: 'string' },
+      reconciled: { type: 'boolean', nullable: true },
+      discrepancy: nullableString(),
+      mintsAfterRevocation: { type: 'array', items: object('Mint after revocation') },
+    }),
+    vesting: object('Lock contracts and unlock calendar (Vesting.js)', {
+      lockedAmount: { type: 'string' },
+      lockedPercent: { type: 'number' },
+      calendar: { type: 'array', items: object('Unlocks on one day', { date: { type: 'string' }, amount: { type: 'string' }, percent: { type: 'number' } }) },
+    }),
+    estimatedCirculatingSupply: { type: 'number' },
+    riskIndicators: stringList('Messages of the fired rules'),
+    riskScore: { type: 'number', minimum: 0, maximum: 100 },
+    ruleBreakdown: { type: 'array', items: ref('RuleHit') },
+    notes: stringList(),
+    dataErrors: { type: 'array', items: ref('DataError') },
+  }, ['riskScore', 'riskIndicators', 'ruleBreakdown', 'dataErrors']),
+
+  Community: object('Telegram or Discord community analytics (Community.js)', {
+    platform: { type: 'string' },
+    window: object('Activity window', { from: { type: 'string', format: 'date-time' }, to: { type: 'string', format: 'date-time' }, days: { type: 'number' } }),
+    memberCount: nullableNumber(),
+    onlineCount: nullableNumber('Discord only'),
+    memberGrowth: object('Joins and leaves in the window', { joins: { type: 'integer' }, leaves: { type: 'integer' }, net: { type: 'integer' }, perDay: { type: 'number' }, percent: nullableNumber() }),
+    messages: { type: 'integer' },
+    activeMembers: { type: 'integer' },
+    messagesPerActiveMember: { type: 'number' },
+    uniqueSpeakerRatio: { type: 'number', description: 'Distinct authors per message (0-1)' },
+    activeMemberPercent: nullableNumber(),
+    repeatedMessages: { type: 'array', items: object('Repeated text', { text: { type: 'string' }, count: { type: 'integer' }, authors: { type: 'integer' } }) },
+    repeatedMessagePercent: { type: 'number' },
+    joinWaves: { type: 'array', items: object('Join wave', { start: { type: 'string', format: 'date-time' }, joins: { type: 'integer' } }) },
+    joinWaveJoinPercent: { type: 'number' },
+    linkMessagePercent: { type: 'number' },
+    linkSpammers: { type: 'array', items: object('Link-spamming account') },
+    pumpOnlyAccounts: { type: 'array', items: object('Account posting only pump phrases') },
+    pumpOnlyPercent: { type: 'number' },
+  }),
+
+  Twitter: object('Twitter/X sentiment and bot-network analysis (Twitter.js)', {
+    query: { type: 'string' },
+    tweetCount: { type: 'integer' },
+    authorCount: { type: 'integer' },
+    averageScore: { type: 'number', description: 'Plain average of the crypto-lexicon tweet scores' },
+    weightedScore: { type: 'number', description: 'Engagement-weighted average, suspicious accounts discounted' },
+    daily: { type: 'array', items: object('Tweets of one UTC day', { date: { type: 'string', format: 'date' }, tweets: { type: 'integer' }, weightedScore: { type: 'number' } }) },
+    nearDuplicates: { type: 'integer', description: 'Tweets that repeat an earlier text with small changes' },
+    duplicatePercent: { type: 'number' },
+    duplicateTexts: { type: 'array', items: object('Near-duplicate text', { text: { type: 'string' }, tweets: { type: 'integer' }, accounts: { type: 'integer' } }) },
+    suspiciousAccounts: { type: 'array', items: object('New, low-follower or spree-posting account') },
+    suspiciousAccountCount: { type: 'integer' },
+    suspiciousTweetPercent: { type: 'number' },
+    bursts: { type: 'array', items: object('Posting burst', { start: { type: 'string', format: 'date-time' }, tweets: { type: 'integer' } }) },
+    burstTweetPercent: { type: 'number' },
+    shillRings: { type: 'array', items: object('Same text from several accounts', { text: { type: 'string' }, tweets: { type: 'integer' }, accountCount: { type: 'integer' }, accounts: stringList(), suspiciousAccounts: { type: 'integer' }, spanMinutes: { type: 'number' } }) },
+    influencers: { type: 'array', items: object('Author ranked by reach', { username: nullableString(), id: { type: 'string' }, verified: { type: 'boolean' }, followers: nullableNumber(), tweets: { type: 'integer' }, engagement: { type: 'integer' }, reach: { type: 'number' }, averageScore: { type: 'number' }, suspicious: { type: 'boolean' } }) },
+    complete: { type: 'boolean', description: 'Every matching tweet of the last 7 days was read (maxTweets not reached)' },
+    paginationError: nullableString('Set when collection stopped early (rate limit)'),
+  }),
+
+  SocialReport: object('Social sentiment and community strength (Social sentiment.js)', {
+    sentiment: object('LunarCrush, Santiment and Twitter/X sentiment (twitterAverage, twitterWeighted)'),
+    community: object('Social volume and engagement; Twitter/X (Twitter.js) and Telegram/Discord analytics (Community.js)', {
+      twitter: ref('Twitter'),
+      telegram: ref('Community'),
+      discord: ref('Community'),
+    }),
+    influencers: { type: 'array', items: object('Influencer') },
+    hypeIndicators: object('Hype signals'),
+    riskFlags: stringList('Messages of the fired rules'),
+    riskScore: { type: 'number', minimum: 0, maximum: 100 },
+    ruleBreakdown: { type: 'array', items: ref('RuleHit') },
+    notes: stringList(),
+    dataErrors: { type: 'array', items: ref('DataError') },
+  }, ['riskScore', 'riskFlags', 'ruleBreakdown', 'dataErrors']),
+
+  HypeReport: object('Social buzz lined up with on-chain activity (Hype.js)', {
+    window: object('UTC days compared', { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' }, days: { type: 'integer' } }),
+    series: { type: 'array', items: object('One UTC day', {
+      date: { type: 'string', format: 'date' },
+      lunarCrushVolume: nullableNumber(),
+      tweets: nullableNumber(),
+      lunarCrushSentiment: nullableNumber(),
+      santimentSentiment: nullableNumber(),
+      twitterSentiment: nullableNumber(),
+      socialIndex: nullableNumber('Mentions relative to the window average (1 = a usual day)'),
+      priceUsd: nullableNumber(),
+      volumeUsd: nullableNumber(),
+      holders: nullableNumber('From scan history'),
+      insiderSoldPercent: nullableNumber('Supply sold by the dev, snipers and top wallets that day'),
+    }) },
+    socialPeak: object('Busiest mention day', { date: { type: 'string', format: 'date' }, socialIndex: { type: 'number' }, ratio: nullableNumber('Peak vs the median day') }),
+    hypeWindow: object('Peak day and the days either side', { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' } }),
+    evidence: object('On-chain activity over the hype window', {
+      holderGrowthPercent: nullableNumber(),
+      volumeRatio: nullableNumber('Hype-window volume vs the other days'),
+      priceChangePercent: nullableNumber(),
+      insiderSoldPercent: nullableNumber(),
+    }),
+    classification: { type: 'string', enum: ['organic', 'engineered', 'distribution', 'no-spike', 'unconfirmed', 'insufficient-data'] },
+    insiders: { type: 'array', items: object('Insider wallet', { wallet: { type: 'string' }, role: { type: 'string', enum: ['dev', 'sniper', 'top-holder'] }, sold: { type: 'string' }, sells: { type: 'integer' }, complete: { type: 'boolean' }, error: nullableString() }) },
+    flags: stringList('Messages of the fired rules'),
+    riskScore: { type: 'number', minimum: 0, maximum: 100 },
+    ruleBreakdown: { type: 'array', items: ref('RuleHit') },
+    notes: stringList(),
+    dataErrors: { type: 'array', items: ref('DataError') },
+  }, ['classification', 'riskScore', 'ruleBreakdown', 'dataErrors']),
+
+  ScanReport: object('Composite scan (Scan.js)', {
+    mint: { type: 'string' },
+    token: object('Resolved identity', { symbol: nullableString(), name: nullableString() }),
+    scannedAt: { type: 'string', format: 'date-time' },
+    score: { type: 'number', minimum: 0, maximum: 100, description: 'Weighted composite (higher = riskier)' },
+    riskLevel: { type: 'string', enum: ['Low', 'Medium', 'High'] },
+    rulePack: { type: 'string' },
+    sections: object('Per-section reports with their score and weight', {
+      security: object('Security section', { score: { type: 'number' }, weight: { type: 'number' }, report: ref('SecurityReport') }),
+      tokenomics: object('Tokenomics section', { score: { type: 'number' }, weight: { type: 'number' }, report: ref('TokenomicsReport') }),
+      social: object('Social section (absent when skipped)', { score: { type: 'number' }, weight: { type: 'number' }, report: ref('SocialReport') }),
+      hype: object('Hype divergence (absent when social is skipped; weight 0, its points are added to the social score)', { score: { type: 'number' }, weight: { type: 'number' }, report: ref('HypeReport') }),
+    }),
+    redFlags: { type: 'array', items: ref('RedFlag') },
+    complete: { type: 'boolean', description: 'false when some inputs could not be fetched (see dataErrors)' },
+    dataErrors: { type: 'array', items: ref('DataError') },
+    notes: stringList(),
+  }, ['mint', 'score', 'riskLevel', 'sections', 'redFlags', 'complete']),
+
+  BatchResult: object('One mint of a batch', {
+    mint: { type: 'string' },
+    report: nullableRef('ScanReport'),
+    error: nullableString('Set when no report was made'),
+  }, ['mint', 'report', 'error']),
+
+  PortfolioPosition: object('One token held by the wallet (Portfolio.js)', {
+    mint: { type: 'string' },
+    program: { type: 'string', enum: ['spl-token', 'token-2022'] },
+    amount: { type: 'string', description: 'Raw balance over all of the wallet\'s accounts for the mint' },
+    uiAmount: { type: 'number' },
+    symbol: nullableString(),
+    name: nullableString(),
+    priceUsd: nullableNumber('Main DEXScreener pair price'),
+    valueUsd: nullableNumber(),
+    riskScore: nullableNumber('Composite scan score (null when not scanned)'),
+    riskLevel: { type: 'string', enum: ['Low', 'Medium', 'High'], nullable: true },
+    complete: { type: 'boolean', nullable: true },
+    topFlags: { type: 'array', items: object('Highest-point fired rule of the scan', { section: { type: 'string' }, rule: { type: 'string' }, points: { type: 'number' }, flag: { type: 'string' } }) },
+    exit: {
+      ...object('Simulated sale of the whole balance into the main pool (ExitLiquidity.js)', {
+        proceedsUsd: nullableNumber(),
+        priceImpactPercent: { type: 'number' },
+        priceDropPercent: { type: 'number' },
+        approximate: { type: 'boolean', description: 'Reserves approximated (concentrated liquidity or reported liquidity)' },
+        error: { type: 'string', description: 'Set when no sale was simulated' },
+      }),
+      nullable: true,
+    },
+    holdingFlags: { type: 'array', items: ref('RedFlag'), description: 'What the mint authorities or a delegate can do to our balance' },
+    holdingScore: { type: 'number' },
+    accounts: { type: 'array', items: object('Token account', { address: { type: 'string' }, amount: { type: 'string' }, state: { type: 'string' }, delegate: nullableString() }) },
+    skipped: nullableString('Why the position was not scanned'),
+    scanError: nullableString(),
+  }, ['mint', 'amount', 'riskScore', 'holdingFlags']),
+  PortfolioReport: object('Token positions of a wallet, riskiest first (Portfolio.js)', {
+    wallet: { type: 'string' },
+    scannedAt: { type: 'string', format: 'date-time' },
+    positionCount: { type: 'integer' },
+    scannedCount: { type: 'integer' },
+    totalValueUsd: { type: 'number', description: 'Priced positions only' },
+    valueAtRiskUsd: object('Value of positions scanned as High / Medium risk', { high: { type: 'number' }, medium: { type: 'number' } }),
+    holdingFlagCount: { type: 'integer' },
+    positions: { type: 'array', items: ref('PortfolioPosition') },
+    notes: stringList(),
+    dataErrors: { type: 'array', items: ref('DataError') },
+  }, ['wallet', 'positions']),
+
+  Job: object('An async job (Server.js)', {
+    id: { type: 'string', format: 'uuid' },
+    type: { type: 'string', enum: ['scan', 'security', 'tokenomics', 'social', 'batch', 'portfolio'] },
+    mint: { type: 'string', description: 'Report jobs' },
+    wallet: { type: 'string', description: 'Portfolio jobs' },
+    mints: { type: 'integer', description: 'Batch jobs: number of mints' },
+    status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: 'string', format: 'date-time', nullable: true },
+    finishedAt: { type: 'string', format: 'date-time', nullable: true },
+    progress: { ...object('Batch or portfolio progress (scans done)', { done: { type: 'integer' }, total: { type: 'integer' } }), nullable: true },
+    result: {
+      nullable: true,
+      description: 'The report (report and portfolio jobs) or the batch results (batch jobs) once done',
+      oneOf: [ref('ScanReport'), ref('SecurityReport'), ref('TokenomicsReport'), ref('SocialReport'), ref('PortfolioReport'), { type: 'array', items: ref('BatchResult') }],
+    },
+    error: nullableString('Set when the job failed'),
+    statusUrl: { type: 'string' },
+  }, ['id', 'type', 'status', 'createdAt', 'statusUrl']),
+};
+
+// Helper: error responses shared by the endpoints
+const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+// Helper: GET and POST operations of one report endpoint
+function reportPath(type, schemaName, summary) {
+  const parameters = [
+    { name: 'mint', in: 'path', required: true, schema: { type: 'string' }, description: 'Token mint address' },
+    ...['async', 'rules', 'dataSource', 'countHolders', 'skipSocial', 'ledgerPages', 'positionUsd', 'positionTokens', 'symbol', 'name']
+      .map(name => ({ name, in: 'query', required: false, schema: schemas.ScanRequest.properties[name] })),
+  ];
+  const responses = {
+    200: { description: `The ${type} report`, content: { 'application/json': { schema: ref(schemaName) } } },
+    202: { description: 'Accepted as a job (async=true)', content: { 'application/json': { schema: ref('Job') } } },
+    400: errorResponse('Invalid mint or options'),
+    ...(type === 'social' ? { 422: errorResponse('Symbol could not be resolved') } : {}),
+    500: errorResponse('The analysis failed'),
+  };
+  return {
+    get: { summary, operationId: `get${schemaName}`, parameters, responses },
+    post: {
+      summary: `${summary} (options and API keys in the body)`,
+      operationId: `post${schemaName}`,
+      parameters: parameters.slice(0, 1),
+      requestBody: { required: false, content: { 'application/json': { schema: ref('ScanRequest') } } },
+      responses,
+    },
+  };
+}
+
+const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: {
+    title: 'SolSentry API',
+    version: '1.0.0',
+    description: 'Solana token risk scans over HTTP. API keys go in the X-Birdeye-Api-Key / X-LunarCrush-Api-Key '
+      + 'headers or the apiKeys body field, else the server config is used.',
+  },
+  servers: [{ url: 'http://127.0.0.1:8787' }],
+  components: {
+    schemas,
+    securitySchemes: {
+      birdeyeKey: { type: 'apiKey', in: 'header', name: 'X-Birdeye-Api-Key' },
+      lunarCrushKey: { type: 'apiKey', in: 'header', name: 'X-LunarCrush-Api-Key' },
+    },
+  },
+  security: [{}, { birdeyeKey: [] }, { lunarCrushKey: [] }],
+  paths: {
+    '/health': {
+      get: { summary: 'Liveness and job queue size', operationId: 'getHealth', responses: { 200: { description: 'OK' } } },
+    },
+    '/openapi.json': {
+      get: { summary: 'This description', operationId: 'getOpenApi', responses: { 200: { description: 'OpenAPI 3 document' } } },
+    },
+    '/v1/tokens/{mint}/scan': reportPath('scan', 'ScanReport', 'Full composite scan'),
+    '/v1/tokens/{mint}/security': reportPath('security', 'SecurityReport', 'On-chain security report'),
+    '/v1/tokens/{mint}/tokenomics': reportPath('tokenomics', 'TokenomicsReport', 'Tokenomics report'),
+    '/v1/tokens/{mint}/social': reportPath('social', 'SocialReport', 'Social sentiment report'),
+    '/v1/batch': {
+      post: {
+        summary: 'Scan many mints (always async)',
+        operationId: 'postBatch',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('BatchRequest') } } },
+        responses: {
+          202: { description: 'Accepted as a job; its result is an array of BatchResult', content: { 'application/json': { schema: ref('Job') } } },
+          400: errorResponse('Missing or too many mints, or invalid options'),
+        },
+      },
+    },
+    '/v1/wallets/{address}/portfolio': {
+      get: {
+        summary: 'Scan every token the wallet holds (security and tokenomics) and rank the positions',
+        operationId: 'getPortfolioReport',
+        parameters: [
+          { name: 'address', in: 'path', required: true, schema: { type: 'string' }, description: 'Wallet address' },
+          ...['async', 'rules', 'dataSource', 'minValueUsd', 'maxScans']
+            .map(name => ({ name, in: 'query', required: false, schema: schemas.ScanRequest.properties[name] || schemas.PortfolioRequest.allOf[1].properties[name] })),
+        ],
+        responses: {
+          200: { description: 'The portfolio report', content: { 'application/json': { schema: ref('PortfolioReport') } } },
+          202: { description: 'Accepted as a job (async=true)', content: { 'application/json': { schema: ref('Job') } } },
+          400: errorResponse('Invalid wallet or options'),
+          500: errorResponse('Wallet balances could not be read'),
+        },
+      },
+      post: {
+        summary: 'Wallet portfolio scan (options and API keys in the body)',
+        operationId: 'postPortfolioReport',
+        parameters: [{ name: 'address', in: 'path', required: true, schema: { type: 'string' }, description: 'Wallet address' }],
+        requestBody: { required: false, content: { 'application/json': { schema: ref('PortfolioRequest') } } },
+        responses: {
+          200: { description: 'The portfolio report', content: { 'application/json': { schema: ref('PortfolioReport') } } },
+          202: { description: 'Accepted as a job (async=true)', content: { 'application/json': { schema: ref('Job') } } },
+          400: errorResponse('Invalid wallet or options'),
+          500: errorResponse('Wallet balances could not be read'),
+        },
+      },
+    },
+    '/v1/jobs/{id}': {
+      get: {
+        summary: 'Job status and, once done, its result',
+        operationId: 'getJob',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'The job', content: { 'application/json': { schema: ref('Job') } } },
+          404: errorResponse('Unknown or expired job'),
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  OPENAPI_SPEC,
+};
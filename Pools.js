@@ -0,0 +1,218 @@
+// SolSentry Backend Feature: Liquidity Pool Decoding
+// This module reads a DEX pool account straight from chain and normalizes the fields other checks need
+// (mints, vaults, LP mint, token programs, fee). The pool program is detected from the account owner,
+// so a DEXScreener pairAddress is enough to locate everything.
+// Supported: Raydium AMM v4, Raydium CPMM, Orca Whirlpool, Orca legacy token-swap, Meteora DAMM v1 and Meteora DLMM.
+// Concentrated-liquidity pools (Whirlpool, DLMM) have no LP mint: liquidity is held as position NFTs.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+const RAYDIUM_AMM_V4_PROGRAM_ID = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+const RAYDIUM_CPMM_PROGRAM_ID = new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C');
+const ORCA_WHIRLPOOL_PROGRAM_ID = new PublicKey('whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc');
+const ORCA_TOKEN_SWAP_PROGRAM_ID = new PublicKey('9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP');
+const METEORA_DAMM_PROGRAM_ID = new PublicKey('Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB');
+const METEORA_DLMM_PROGRAM_ID = new PublicKey('LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo');
+
+// Helper: Read a public key at a byte offset
+function readKey(data, offset) {
+  return new PublicKey(data.subarray(offset, offset + 32));
+}
+
+// Decode a Raydium AMM v4 pool (LIQUIDITY_STATE_LAYOUT_V4, 752 bytes)
+// Offsets: 32 u64 fields (0-255), swap accounting (256-335), then pubkeys from 336
+function decodeRaydiumAmmV4(address, data) {
+  const swapFeeNumerator = data.readBigUInt64LE(22 * 8);
+  const swapFeeDenominator = data.readBigUInt64LE(23 * 8);
+  return {
+    dex: 'raydium-amm-v4',
+    programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+    address: new PublicKey(address),
+    baseDecimals: Number(data.readBigUInt64LE(4 * 8)),
+    quoteDecimals: Number(data.readBigUInt64LE(5 * 8)),
+    openTime: Number(data.readBigUInt64LE(28 * 8)),
+    feeBps: swapFeeDenominator > 0n ? Number((swapFeeNumerator * 10000n) / swapFeeDenominator) : 25,
+    baseVault: readKey(data, 336),
+    quoteVault: readKey(data, 368),
+    baseMint: readKey(data, 400),
+    quoteMint: readKey(data, 432),
+    lpMint: readKey(data, 464),
+    openOrders: readKey(data, 496),
+    marketId: readKey(data, 528),
+    marketProgramId: readKey(data, 560),
+    targetOrders: readKey(data, 592),
+    lpReserve: data.readBigUInt64LE(720), // LP issued by the AMM (SPL burns do not reduce it)
+    baseTokenProgram: TOKEN_PROGRAM_ID,
+    quoteTokenProgram: TOKEN_PROGRAM_ID,
+  };
+}
+
+// Decode a Raydium CPMM pool (Anchor PoolState: 8-byte discriminator, then pubkeys)
+function decodeRaydiumCpmm(address, data) {
+  return {
+    dex: 'raydium-cpmm',
+    programId: RAYDIUM_CPMM_PROGRAM_ID,
+    address: new PublicKey(address),
+    ammConfig: readKey(data, 8),
+    creator: readKey(data, 40),
+    baseVault: readKey(data, 72),
+    quoteVault: readKey(data, 104),
+    lpMint: readKey(data, 136),
+    baseMint: readKey(data, 168),
+    quoteMint: readKey(data, 200),
+    baseTokenProgram: readKey(data, 232),
+    quoteTokenProgram: readKey(data, 264),
+    observationKey: readKey(data, 296),
+    lpDecimals: data.readUInt8(330),
+    baseDecimals: data.readUInt8(331),
+    quoteDecimals: data.readUInt8(332),
+    lpReserve: data.readBigUInt64LE(333), // LP issued by the pool (SPL burns do not reduce it)
+  };
+}
+
+// Decode an Orca Whirlpool (concentrated liquidity, no LP mint)
+function decodeOrcaWhirlpool(address, data) {
+  return {
+    dex: 'orca-whirlpool',
+    programId: ORCA_WHIRLPOOL_PROGRAM_ID,
+    address: new PublicKey(address),
+    concentrated: true,
+    feeBps: data.readUInt16LE(45) / 100, // fee_rate in hundredths of a bip
+    baseMint: readKey(data, 101),
+    baseVault: readKey(data, 133),
+    quoteMint: readKey(data, 181),
+    quoteVault: readKey(data, 213),
+    lpMint: null,
+  };
+}
+
+// Decode an Orca legacy token-swap pool (SwapV1 layout)
+function decodeOrcaTokenSwap(address, data) {
+  return {
+    dex: 'orca-token-swap',
+    programId: ORCA_TOKEN_SWAP_PROGRAM_ID,
+    address: new PublicKey(address),
+    baseVault: readKey(data, 35),
+    quoteVault: readKey(data, 67),
+    lpMint: readKey(data, 99),
+    baseMint: readKey(data, 131),
+    quoteMint: readKey(data, 163),
+    baseTokenProgram: readKey(data, 3),
+    quoteTokenProgram: readKey(data, 3),
+  };
+}
+
+// Decode a Meteora dynamic AMM (DAMM v1) pool; reserves sit in Meteora vaults, not plain token vaults
+function decodeMeteoraDamm(address, data) {
+  return {
+    dex: 'meteora-damm',
+    programId: METEORA_DAMM_PROGRAM_ID,
+    address: new PublicKey(address),
+    lpMint: readKey(data, 8),
+    baseMint: readKey(data, 40),
+    quoteMint: readKey(data, 72),
+    baseVault: null,
+    quoteVault: null,
+    aVault: readKey(data, 104),
+    bVault: readKey(data, 136),
+  };
+}
+
+// Decode a Meteora DLMM pair (concentrated liquidity bins, no LP mint)
+function decodeMeteoraDlmm(address, data) {
+  return {
+    dex: 'meteora-dlmm',
+    programId: METEORA_DLMM_PROGRAM_ID,
+    address: new PublicKey(address),
+    concentrated: true,
+    baseMint: readKey(data, 88),
+    quoteMint: readKey(data, 120),
+    baseVault: readKey(data, 152),
+    quoteVault: readKey(data, 184),
+    lpMint: null,
+  };
+}
+
+// Helper: CPMM trade fee lives in the AmmConfig account (rate in millionths)
+async function getCpmmFeeBps(connection, ammConfig) {
+  const configInfo = await connection.getAccountInfo(ammConfig);
+  if (!configInfo) return null;
+  return Number(configInfo.data.readBigUInt64LE(12)) / 100;
+}
+
+// Main function: fetch and decode a pool account by address
+// Returns the normalized pool, or throws if the owner program is not supported
+async function fetchPool(connection, poolAddress) {
+  const address = new PublicKey(poolAddress);
+  const accountInfo = await connection.getAccountInfo(address);
+  if (!accountInfo) {
+    throw new Error(`Pool account ${address.toBase58()} not found`);
+  }
+  if (accountInfo.owner.equals(RAYDIUM_AMM_V4_PROGRAM_ID)) {
+    return decodeRaydiumAmmV4(address, accountInfo.data);
+  }
+  if (accountInfo.owner.equals(RAYDIUM_CPMM_PROGRAM_ID)) {
+    const pool = decodeRaydiumCpmm(address, accountInfo.data);
+    pool.feeBps = await getCpmmFeeBps(connection, pool.ammConfig);
+    return pool;
+  }
+  if (accountInfo.owner.equals(ORCA_WHIRLPOOL_PROGRAM_ID)) {
+    return decodeOrcaWhirlpool(address, accountInfo.data);
+  }
+  if (accountInfo.owner.equals(ORCA_TOKEN_SWAP_PROGRAM_ID)) {
+    return decodeOrcaTokenSwap(address, accountInfo.data);
+  }
+  if (accountInfo.owner.equals(METEORA_DAMM_PROGRAM_ID)) {
+    return decodeMeteoraDamm(address, accountInfo.data);
+  }
+  if (accountInfo.owner.equals(METEORA_DLMM_PROGRAM_ID)) {
+    return decodeMeteoraDlmm(address, accountInfo.data);
+  }
+  throw new Error(`Unsupported pool program ${accountInfo.owner.toBase58()}`);
+}
+
+// Helper: Pick the DEXScreener pair with the highest USD liquidity (assumed main pair)
+function selectMainPair(pairs) {
+  if (!pairs || pairs.length === 0) return null;
+  return pairs.reduce((prev, curr) => (curr.liquidity?.usd > prev.liquidity?.usd ? curr : prev), pairs[0]);
+}
+
+// Helper: Orient a pool around the analyzed token (which side is the token, which side is the quote)
+function orientPool(pool, tokenAddress) {
+  const tokenMint = new PublicKey(tokenAddress);
+  const tokenIsBase = pool.baseMint.equals(tokenMint);
+  if (!tokenIsBase && !pool.quoteMint.equals(tokenMint)) {
+    throw new Error(`Pool ${pool.address.toBase58()} does not trade ${tokenAddress}`);
+  }
+  return {
+    tokenIsBase,
+    tokenMint,
+    tokenVault: tokenIsBase ? pool.baseVault : pool.quoteVault,
+    tokenProgram: tokenIsBase ? pool.baseTokenProgram : pool.quoteTokenProgram,
+    tokenDecimals: tokenIsBase ? pool.baseDecimals : pool.quoteDecimals,
+    quoteMint: tokenIsBase ? pool.quoteMint : pool.baseMint,
+    quoteVault: tokenIsBase ? pool.quoteVault : pool.baseVault,
+    quoteProgram: tokenIsBase ? pool.quoteTokenProgram : pool.baseTokenProgram,
+    quoteDecimals: tokenIsBase ? pool.quoteDecimals : pool.baseDecimals,
+  };
+}
+
+module.exports = {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  RAYDIUM_CPMM_PROGRAM_ID,
+  ORCA_WHIRLPOOL_PROGRAM_ID,
+  ORCA_TOKEN_SWAP_PROGRAM_ID,
+  METEORA_DAMM_PROGRAM_ID,
+  METEORA_DLMM_PROGRAM_ID,
+  decodeRaydiumAmmV4,
+  decodeRaydiumCpmm,
+  decodeOrcaWhirlpool,
+  decodeOrcaTokenSwap,
+  decodeMeteoraDamm,
+  decodeMeteoraDlmm,
+  fetchPool,
+  selectMainPair,
+  orientPool,
+};
@@ -0,0 +1,278 @@
+// SolSentry Backend Feature: Wallet Portfolio Risk Scan
+// Answers "which of the tokens I hold are dangerous" for one wallet: lists its SPL Token and Token-2022 balances,
+// prices them from DEXScreener, runs the security and tokenomics analyses on each priced mint (Batch.js, social
+// skipped) with the exit-slippage simulation sized to the balance held, and ranks the positions riskiest first.
+// Each position also gets holding flags: what the mint's authorities (or a delegate) can do to our own tokens -
+// freeze them, move or burn them (permanent delegate), pause transfers or dilute them.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const { createRuleSession } = require('./Rules.js');
+const { selectMainPair } = require('./Pools.js');
+const { getDexPairsForTokens } = require('./Deployer.js');
+const { scanBatch } = require('./Batch.js');
+const { round2 } = require('./Common.js');
+
+const DEFAULTS = {
+  minValueUsd: 1, // Positions worth less than this (USD) are listed but not scanned (dust, airdropped spam)
+  maxScans: 25, // Largest positions scanned; the rest are listed unscanned
+  concurrency: 2, // Scans running at once (see Batch.js)
+  topFlags: 3, // Highest-point scan flags shown per position
+};
+
+// Helper: USD price of mint from a DEXScreener pair on either side
+// priceUsd and priceNative are the base token's (in USD and in quote units), so a quote-side mint
+// (USDC, USDT, wSOL) is priced as priceUsd / priceNative
+function pairPriceUsd(pair, mint) {
+  const priceUsd = Number(pair?.priceUsd);
+  if (!priceUsd) return null;
+  if (pair.baseToken?.address === mint) return priceUsd;
+  const priceNative = Number(pair.priceNative);
+  return pair.quoteToken?.address === mint && priceNative > 0 ? priceUsd / priceNative : null;
+}
+
+// Main function: a wallet's non-zero token balances, one entry per mint (accounts of the same mint are summed)
+// Returns [{ mint, program ('spl-token' | 'token-2022'), decimals, amount (raw string), uiAmount,
+//   accounts: [{ address, amount, state, delegate, delegatedAmount }] }]
+async function listWalletTokens(connection, wallet) {
+  const owner = new PublicKey(wallet);
+  const programs = [['spl-token', TOKEN_PROGRAM_ID], ['token-2022', TOKEN_2022_PROGRAM_ID]];
+  const byMint = new Map();
+  for (const [program, programId] of programs) {
+    const { value } = await connection.getParsedTokenAccountsByOwner(owner, { programId });
+    value.forEach(({ pubkey, account }) => {
+      const info = account.data.parsed.info;
+      const amount = BigInt(info.tokenAmount.amount);
+      if (amount === 0n) return;
+      const entry = byMint.get(info.mint) || {
+        mint: info.mint,
+        program,
+        decimals: info.tokenAmount.decimals,
+        amount: 0n,
+        accounts: [],
+      };
+      entry.amount += amount;
+      entry.accounts.push({
+        address: pubkey.toBase58(),
+        amount: info.tokenAmount.amount,
+        state: info.state,
+        delegate: info.delegate || null,
+        delegatedAmount: info.delegatedAmount?.amount || null,
+      });
+      byMint.set(info.mint, entry);
+    });
+  }
+  return [...byMint.values()].map(entry => ({
+    ...entry,
+    amount: entry.amount.toString(),
+    uiAmount: Number(entry.amount) / 10 ** entry.decimals,
+  }));
+}
+
+// Helper: What the mint's authorities or a delegate can do to the tokens we hold
+// authorities: the security report's authorities ({ mintAuthority, freezeAuthority, extensions }), if the scan got them
+// rules: the position's rule session; fires the position-* rules
+function holdingFlags(position, authorities, rules) {
+  const held = position.valueUsd !== null ? ` ($${position.valueUsd})` : '';
+  const frozen = position.accounts.filter(account => account.state === 'frozen');
+  rules.check('position-frozen', frozen.length);
+  const delegated = position.accounts.filter(account => account.delegate);
+  rules.check('position-delegated', delegated.length, { delegate: delegated[0]?.delegate });
+  if (!authorities || authorities.error) return;
+  const extension = type => (authorities.extensions || []).find(entry => entry.type === type && entry.authority);
+  const permanentDelegate = extension('PermanentDelegate');
+  rules.check('position-seizable', Boolean(permanentDelegate), { authority: permanentDelegate?.authority, held });
+  rules.check('position-freezable', String(authorities.freezeAuthority).startsWith('Active') && frozen.length === 0, { held });
+  const pausable = extension('PausableConfig');
+  rules.check('position-pausable', Boolean(pausable), { authority: pausable?.authority, held });
+  rules.check('position-mintable', String(authorities.mintAuthority).startsWith('Active'), { held });
+}
+
+// Helper: Scan fields kept on a position (risk score, top flags, exit slippage for the balance held)
+function summarizeScan(report, topFlags) {
+  const security = report.sections.security?.report || {};
+  const exit = security.exitLiquidity || {};
+  return {
+    symbol: report.token.symbol,
+    name: report.token.name,
+    riskScore: report.score,
+    riskLevel: report.riskLevel,
+    complete: report.complete,
+    topFlags: report.redFlags
+      .slice()
+      .sort((a, b) => b.points - a.points)
+      .slice(0, topFlags)
+      .map(({ section, rule, points, flag }) => ({ section, rule, points, flag })),
+    exit: exit.position
+      ? {
+        proceedsUsd: exit.position.proceedsUsd,
+        priceImpactPercent: exit.position.priceImpactPercent,
+        priceDropPercent: exit.position.priceDropPercent,
+        approximate: Boolean(exit.reserves?.approximate),
+      }
+      : { error: exit.error || exit.note || 'Exit slippage not simulated' },
+  };
+}
+
+// Main function: scan every position of a wallet and rank them riskiest first
+// options: DEFAULTS overrides plus { scanOptions (passed to scanToken; social is always skipped), rulePack (for the
+//   holding flags; defaults to scanOptions.rulePack), onResult(result, done, total) (see Batch.js) }
+// Returns { wallet, scannedAt, positionCount, scannedCount, totalValueUsd, valueAtRiskUsd: { high, medium },
+//   holdingFlagCount, positions: [...], notes, dataErrors }
+async function scanPortfolio(connection, wallet, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const scanOptions = settings.scanOptions || {};
+  const rulePack = settings.rulePack || scanOptions.rulePack;
+  const result = {
+    wallet: new PublicKey(wallet).toBase58(),
+    scannedAt: new Date().toISOString(),
+    positionCount: 0,
+    scannedCount: 0,
+    totalValueUsd: 0, // Priced positions only
+    valueAtRiskUsd: { high: 0, medium: 0 }, // Value of positions whose scan came out High / Medium risk
+    holdingFlagCount: 0,
+    positions: [],
+    notes: [],
+    dataErrors: [], // { input, provider, status, message }
+  };
+
+  // 1. Balances (SPL Token and Token-2022 accounts)
+  const holdings = await listWalletTokens(connection, result.wallet);
+  result.positionCount = holdings.length;
+  if (holdings.length === 0) {
+    result.notes.push('No token balances in this wallet');
+    return result;
+  }
+
+  // 2. Prices from each mint's main DEXScreener pair (inverted when the mint is the pair's quote token)
+  const pairsByToken = await getDexPairsForTokens(holdings.map(holding => holding.mint));
+  const positions = holdings.map(holding => {
+    const pairs = pairsByToken[holding.mint];
+    const mainPair = selectMainPair(pairs || []);
+    const priceUsd = pairPriceUsd(mainPair, holding.mint);
+    const token = mainPair?.baseToken?.address === holding.mint ? mainPair.baseToken : mainPair?.quoteToken;
+    return {
+      ...holding,
+      symbol: token?.symbol || null,
+      name: token?.name || null,
+      priceUsd,
+      valueUsd: priceUsd !== null ? round2(holding.uiAmount * priceUsd) : null,
+      riskScore: null,
+      riskLevel: null,
+      complete: null,
+      topFlags: [],
+      exit: null,
+      holdingFlags: [],
+      holdingScore: 0,
+      skipped: pairs === null ? 'Price unavailable (DEXScreener request failed)' : null,
+      scanError: null,
+    };
+  });
+  if (positions.some(position => pairsByToken[position.mint] === null)) {
+    result.dataErrors.push({ input: 'pairs', provider: 'dexscreener', status: null, message: 'DEXScreener pairs unavailable for some mints' });
+  }
+
+  // 3. Scan the largest priced positions (unpriced, dust and overflow positions are listed with the reason)
+  const priced = positions
+    .filter(position => !position.skipped)
+    .sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1));
+  const toScan = [];
+  priced.forEach(position => {
+    if (position.valueUsd === null) {
+      position.skipped = 'No DEX pair (no price)';
+    } else if (position.valueUsd < settings.minValueUsd) {
+      position.skipped = `Below $${settings.minValueUsd}`;
+    } else if (toScan.length >= settings.maxScans) {
+      position.skipped = `Over the ${settings.maxScans}-scan limit`;
+    } else {
+      toScan.push(position);
+    }
+  });
+  const skipped = positions.length - toScan.length;
+  if (skipped > 0) result.notes.push(`${skipped} positions not scanned (see each position's skipped reason)`);
+
+  const mintOptions = Object.fromEntries(toScan.map(position => [position.mint, { positionTokens: position.uiAmount, positionUsd: undefined }]));
+  const scans = await scanBatch(toScan.map(position => position.mint), {
+    concurrency: settings.concurrency,
+    scanOptions: { ...scanOptions, skipSocial: true },
+    mintOptions,
+    onResult: settings.onResult,
+  });
+  const scanByMint = new Map(scans.map(scan => [scan.mint, scan]));
+
+  // 4. Scan results and holding flags per position
+  positions.forEach(position => {
+    const scan = scanByMint.get(position.mint);
+    let authorities;
+    if (scan?.report) {
+      const summary = summarizeScan(scan.report, settings.topFlags);
+      Object.assign(position, {
+        ...summary,
+        symbol: summary.symbol || position.symbol,
+        name: summary.name || position.name,
+      });
+      authorities = scan.report.sections.security?.report?.authorities;
+      result.scannedCount++;
+    } else if (scan) {
+      position.scanError = scan.error;
+    }
+    const rules = createRuleSession(rulePack, 'portfolio');
+    holdingFlags(position, authorities, rules);
+    position.holdingFlags = rules.breakdown().sort((a, b) => b.points - a.points).map(({ section, rule, severity, points, message }) => ({ section, rule, severity, points, flag: message }));
+    position.holdingScore = rules.score();
+    result.holdingFlagCount += position.holdingFlags.length;
+    if (position.valueUsd !== null) {
+      result.totalValueUsd += position.valueUsd;
+      if (position.riskLevel === 'High') result.valueAtRiskUsd.high += position.valueUsd;
+      if (position.riskLevel === 'Medium') result.valueAtRiskUsd.medium += position.valueUsd;
+    }
+  });
+  result.totalValueUsd = round2(result.totalValueUsd);
+  result.valueAtRiskUsd = { high: round2(result.valueAtRiskUsd.high), medium: round2(result.valueAtRiskUsd.medium) };
+
+  // 5. Rank: risk score, then holding flags, then value (unscanned positions last)
+  result.positions = positions.sort((a, b) => ((b.riskScore ?? -1) - (a.riskScore ?? -1))
+    || (b.holdingScore - a.holdingScore)
+    || ((b.valueUsd ?? -1) - (a.valueUsd ?? -1)));
+  if (positions.some(position => position.complete === false)) {
+    result.notes.push('Some scans are incomplete (inputs could not be fetched); their scores may understate the risk');
+  }
+  return result;
+}
+
+// Render a portfolio scan as human-readable text (CLI default output)
+function formatPortfolio(result) {
+  const money = value => (value === null || value === undefined ? '-' : `$${value.toLocaleString('en-US')}`);
+  const lines = [
+    `SolSentry portfolio: ${result.wallet}`,
+    `Scanned at: ${result.scannedAt}`,
+    `${result.positionCount} positions, ${result.scannedCount} scanned, total ${money(result.totalValueUsd)}`
+      + ` (High risk ${money(result.valueAtRiskUsd.high)}, Medium risk ${money(result.valueAtRiskUsd.medium)})`,
+    '',
+    'Score  Level   Value          Exit impact  Token',
+  ];
+  result.positions.forEach(position => {
+    const label = [position.symbol, position.name].filter(Boolean).join(' - ') || position.mint;
+    const impact = position.exit?.priceImpactPercent !== undefined && position.exit?.priceImpactPercent !== null
+      ? `${position.exit.priceImpactPercent}%${position.exit.approximate ? '~' : ''}`
+      : '-';
+    lines.push(`${String(position.riskScore ?? '-').padStart(5)}  ${(position.riskLevel || '-').padEnd(6)}  ${money(position.valueUsd).padEnd(13)}  ${impact.padEnd(11)}  ${label}`
+      + (position.complete === false ? ' (incomplete)' : ''));
+    position.holdingFlags.forEach(({ severity, flag }) => lines.push(`         ! ${flag} (${severity})`));
+    position.topFlags.forEach(({ section, points, flag }) => lines.push(`         - [${section}] +${points} ${flag}`));
+    if (position.skipped) lines.push(`         not scanned: ${position.skipped}`);
+    if (position.scanError) lines.push(`         scan failed: ${position.scanError}`);
+  });
+  if (result.notes.length > 0) {
+    lines.push('', 'Notes:');
+    result.notes.forEach(note => lines.push(`  - ${note}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  listWalletTokens,
+  scanPortfolio,
+  formatPortfolio,
+};
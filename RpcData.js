@@ -0,0 +1,217 @@
+// SolSentry Backend Feature: RPC-Only Token Data
+// Solscan's v2 endpoints are private and rate-limited, so this module derives the same facts from plain Solana RPC:
+// supply and decimals from the mint, Metaplex (or Token-2022) metadata for name/symbol/creator, largest token
+// accounts resolved to their owner wallets, and recent mint/burn/transfer activity from parsed transaction history.
+// Results use the Solscan shapes the analyzers already read, so any RPC endpoint (or a local validator) can run a scan.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ExtensionType, getExtensionData, unpackMint } = require('@solana/spl-token');
+const { FetchError, describeFetchError } = require('./Fetch.js');
+const { createReader } = require('./Launchpads.js');
+const { getParsedTransactionsBatched, allInstructions, getWalletMintBalance } = require('./Wallets.js');
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// getTokenLargestAccounts returns at most this many accounts
+const RPC_LARGEST_ACCOUNTS_LIMIT = 20;
+
+// Helper: Metaplex metadata PDA of a mint
+function metadataAddress(tokenAddress) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), new PublicKey(tokenAddress).toBuffer()],
+    METADATA_PROGRAM_ID
+  )[0];
+}
+
+// Helper: RPC errors as FetchError, so callers report them as unavailable data rather than a negative result
+function rpcFailure(what, error) {
+  return new FetchError(`RPC ${what} failed: ${error.message}`, { provider: 'rpc' });
+}
+
+// Helper: Metaplex pads name/symbol/uri with NUL bytes
+function trimPadding(text) {
+  return text.replace(/\0/g, '').trim();
+}
+
+// Main function: decode a Metaplex token metadata account (key, update authority, mint, data, creators, flags)
+function decodeMetadata(data) {
+  const reader = createReader(data);
+  reader.u8(); // Account key
+  const updateAuthority = reader.key().toBase58();
+  const mint = reader.key().toBase58();
+  const name = trimPadding(reader.string());
+  const symbol = trimPadding(reader.string());
+  const uri = trimPadding(reader.string());
+  const sellerFeeBasisPoints = reader.u16();
+  const creators = [];
+  if (reader.bool()) {
+    const count = reader.u32();
+    for (let i = 0; i < count; i++) {
+      creators.push({ address: reader.key().toBase58(), verified: reader.bool(), share: reader.u8() });
+    }
+  }
+  const primarySaleHappened = reader.bool();
+  const isMutable = reader.bool();
+  return { updateAuthority, mint, name, symbol, uri, sellerFeeBasisPoints, creators, primarySaleHappened, isMutable };
+}
+
+// Helper: Token-2022 metadata extension (update authority, mint, name, symbol, uri) or null
+function decodeToken2022Metadata(mintInfo) {
+  const data = mintInfo.tlvData?.length ? getExtensionData(ExtensionType.TokenMetadata, mintInfo.tlvData) : null;
+  if (!data) return null;
+  const reader = createReader(data);
+  const authority = reader.key();
+  const mint = reader.key().toBase58();
+  return {
+    updateAuthority: authority.equals(PublicKey.default) ? null : authority.toBase58(),
+    mint,
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string(),
+    creators: [],
+    isMutable: !authority.equals(PublicKey.default),
+  };
+}
+
+// Helper: Count token accounts of a mint with a non-zero balance (getProgramAccounts; fine on a local validator
+// or a dedicated RPC, usually refused by public endpoints)
+async function countHolders(connection, tokenAddress, programId) {
+  const filters = [{ memcmp: { offset: 0, bytes: new PublicKey(tokenAddress).toBase58() } }];
+  if (programId.equals(TOKEN_PROGRAM_ID)) {
+    filters.push({ dataSize: 165 });
+  }
+  const accounts = await connection.getProgramAccounts(programId, { filters, dataSlice: { offset: 64, length: 8 } });
+  return accounts.filter(({ account }) => account.data.readBigUInt64LE(0) > 0n).length;
+}
+
+// Main function: token meta in Solscan's shape { address, name, symbol, supply, decimals, holder, creator: { address, share } }
+// options: { countHolders (scan every token account of the mint; off by default) }
+// Returns null when the address is not a token mint; throws FetchError when the RPC fails. The creator balance and
+// holder count are extras: when they fail the meta is still returned, with the failure in dataErrors
+// ({ input: 'creatorBalance' or 'holderCount', provider, status, message })
+async function getTokenMetaRpc(connection, tokenAddress, options = {}) {
+  const mintKey = new PublicKey(tokenAddress);
+  let mintAccount, metadataAccount;
+  try {
+    [mintAccount, metadataAccount] = await connection.getMultipleAccountsInfo([mintKey, metadataAddress(tokenAddress)]);
+  } catch (error) {
+    throw rpcFailure('token meta', error);
+  }
+  const programId = mintAccount?.owner;
+  if (!programId || !(programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID))) {
+    return null;
+  }
+  const mintInfo = unpackMint(mintKey, mintAccount, programId);
+  const metadata = metadataAccount ? decodeMetadata(metadataAccount.data) : decodeToken2022Metadata(mintInfo);
+
+  // Creator: first verified Metaplex creator only. The update authority is often a launchpad's shared authority,
+  // so without a verified creator it stays unknown (the deployer profile falls back to the first fee payer).
+  // share is the percent of supply the creator wallet holds (Metaplex creator shares are royalty splits)
+  const dataErrors = [];
+  const verified = (metadata?.creators || []).find(creator => creator.verified);
+  let creator = null;
+  if (verified) {
+    creator = { address: verified.address, share: null };
+    try {
+      const balance = await getWalletMintBalance(connection, verified.address, tokenAddress);
+      creator.share = mintInfo.supply > 0n ? Number((balance * 10000n) / mintInfo.supply) / 100 : 0;
+    } catch (error) {
+      dataErrors.push(describeFetchError('creatorBalance', rpcFailure('creator balance', error)));
+    }
+  }
+  let holder = null;
+  if (options.countHolders) {
+    try {
+      holder = await countHolders(connection, tokenAddress, programId);
+    } catch (error) {
+      dataErrors.push(describeFetchError('holderCount', rpcFailure('holder count', error)));
+    }
+  }
+  return {
+    address: mintKey.toBase58(),
+    name: metadata?.name || null,
+    symbol: metadata?.symbol || null,
+    uri: metadata?.uri || null,
+    supply: mintInfo.supply.toString(),
+    decimals: mintInfo.decimals,
+    holder,
+    creator,
+    updateAuthority: metadata?.updateAuthority || null,
+    isMutable: metadata ? metadata.isMutable : null,
+    source: 'rpc',
+    dataErrors,
+  };
+}
+
+// Main function: largest token accounts resolved to owners, in Solscan's shape [{ address, owner, amount, decimals }]
+// Plain RPC caps the list at 20 accounts; throws FetchError when the RPC fails
+async function getTopHoldersRpc(connection, tokenAddress, limit = RPC_LARGEST_ACCOUNTS_LIMIT) {
+  try {
+    const { value: largest } = await connection.getTokenLargestAccounts(new PublicKey(tokenAddress));
+    const accounts = largest.filter(account => account.amount !== '0').slice(0, limit);
+    if (accounts.length === 0) return [];
+    const { value: parsed } = await connection.getMultipleParsedAccounts(accounts.map(account => account.address));
+    return accounts.map((account, i) => ({
+      address: account.address.toBase58(),
+      owner: parsed[i]?.data?.parsed?.info?.owner || null,
+      amount: account.amount,
+      decimals: account.decimals,
+    }));
+  } catch (error) {
+    throw rpcFailure('largest accounts', error);
+  }
+}
+
+// Helper: Solscan-style activity type of a parsed SPL Token instruction
+const ACTIVITY_TYPES = {
+  mintTo: 'mint',
+  mintToChecked: 'mint',
+  burn: 'burn',
+  burnChecked: 'burn',
+  transferChecked: 'transfer',
+  transferCheckedWithFee: 'transfer',
+};
+
+// Main function: recent mint/burn/transfer activity of a mint, in Solscan's shape [{ signature, blockTime, type, amount }]
+// Built from getSignaturesForAddress on the mint, so it sees instructions that reference the mint account
+// (mints, burns, checked transfers); amounts are raw units. Throws FetchError when the RPC fails
+async function getRecentTransactionsRpc(connection, tokenAddress, limit = 50) {
+  try {
+    const mintAddress = new PublicKey(tokenAddress).toBase58();
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(tokenAddress), { limit });
+    const ok = signatures.filter(entry => !entry.err);
+    const transactions = await getParsedTransactionsBatched(connection, ok.map(entry => entry.signature));
+    const activity = [];
+    transactions.forEach((transaction, i) => {
+      if (!transaction) return;
+      allInstructions(transaction).forEach(ix => {
+        const type = ACTIVITY_TYPES[ix.parsed?.type];
+        if (!type || ix.parsed.info?.mint !== mintAddress) return;
+        const amount = ix.parsed.info.tokenAmount?.amount ?? ix.parsed.info.amount;
+        activity.push({
+          signature: ok[i].signature,
+          blockTime: ok[i].blockTime || null,
+          type,
+          amount: Number(amount || 0),
+          source: ix.parsed.info.source || null,
+          destination: ix.parsed.info.destination || ix.parsed.info.account || null,
+        });
+      });
+    });
+    return activity;
+  } catch (error) {
+    throw rpcFailure('transaction history', error);
+  }
+}
+
+module.exports = {
+  METADATA_PROGRAM_ID,
+  RPC_LARGEST_ACCOUNTS_LIMIT,
+  metadataAddress,
+  decodeMetadata,
+  decodeToken2022Metadata,
+  getTokenMetaRpc,
+  getTopHoldersRpc,
+  getRecentTransactionsRpc,
+};
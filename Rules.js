@@ -0,0 +1,173 @@
+// SolSentry Backend Feature: Risk Rules Engine
+// Every risk check in SolSentry is a named rule whose threshold, points, severity and on/off switch come from a
+// rule pack (rules/*.json, or any JSON/YAML file), so the same analyzers can be tuned per strategy
+// (e.g., conservative vs degen). Each analyzer evaluates its rules through a session that records a
+// line-by-line breakdown of the rules that fired and the points each one added.
+// Rule packs extend "default" unless they set "extends": null; rules are merged field by field.
+// Install dependencies: npm install js-yaml (only for YAML rule packs)
+
+const fs = require('fs');
+const path = require('path');
+
+const RULE_PACK_DIR = path.join(__dirname, 'rules');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+};
+
+const DEFAULT_LEVELS = { high: 60, medium: 30 };
+
+const packCache = new Map();
+const loadedPacks = new WeakSet(); // Packs returned by loadRulePack (already merged and validated)
+
+// Helper: Map a 0-100 score to the risk level wording used across SolSentry
+function riskLevelFor(score, levels = DEFAULT_LEVELS) {
+  return score >= levels.high ? 'High' : score >= levels.medium ? 'Medium' : 'Low';
+}
+
+// Helper: A pack reference is a file path if it has a separator or a JSON/YAML extension, else a built-in name
+function isPackPath(reference) {
+  return /[\\/]|\.(json|ya?ml)$/i.test(reference);
+}
+
+// Helper: Read a JSON or YAML rule pack file
+function readPackFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    return require('js-yaml').load(text);
+  }
+  return JSON.parse(text);
+}
+
+// Helper: Reject packs with unknown severities/operators or non-numeric points
+function validateRulePack(pack) {
+  Object.entries(pack.rules).forEach(([id, rule]) => {
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule pack "${pack.name}": rule "${id}" has unknown severity "${rule.severity}"`);
+    }
+    if (rule.operator !== undefined && !OPERATORS[rule.operator]) {
+      throw new Error(`Rule pack "${pack.name}": rule "${id}" has unknown operator "${rule.operator}"`);
+    }
+    if (rule.points !== undefined && (typeof rule.points !== 'number' || rule.points < 0)) {
+      throw new Error(`Rule pack "${pack.name}": rule "${id}" points must be a non-negative number`);
+    }
+  });
+  return pack;
+}
+
+// Main function: load a rule pack by built-in name ('default', 'conservative', 'degen'), file path or object
+// Returns { name, description, levels: { high, medium }, weights: { section: weight }, rules: { id: rule } }
+function loadRulePack(source = 'default', chain = []) {
+  if (loadedPacks.has(source)) return source;
+  const cacheKey = typeof source === 'string' ? source : null;
+  if (cacheKey && packCache.has(cacheKey)) return packCache.get(cacheKey);
+
+  let raw = source;
+  let baseDir = process.cwd();
+  if (typeof source === 'string') {
+    const file = isPackPath(source) ? path.resolve(source) : path.join(RULE_PACK_DIR, `${source}.json`);
+    if (chain.includes(file)) {
+      throw new Error(`Rule pack "${source}" extends itself`);
+    }
+    chain = chain.concat(file);
+    raw = readPackFile(file);
+    baseDir = path.dirname(file);
+  }
+
+  const parentRef = raw.extends === undefined ? 'default' : raw.extends;
+  const base = parentRef
+    ? loadRulePack(isPackPath(parentRef) ? path.resolve(baseDir, parentRef) : parentRef, chain)
+    : null;
+  const pack = {
+    name: raw.name || cacheKey || 'custom',
+    description: raw.description || '',
+    levels: { ...(base ? base.levels : DEFAULT_LEVELS), ...(raw.levels || {}) },
+    weights: { ...(base ? base.weights : {}), ...(raw.weights || {}) },
+    rules: { ...(base ? base.rules : {}) },
+  };
+  Object.entries(raw.rules || {}).forEach(([id, rule]) => {
+    pack.rules[id] = { ...(pack.rules[id] || {}), ...rule };
+  });
+  validateRulePack(pack);
+  loadedPacks.add(pack);
+  if (cacheKey) packCache.set(cacheKey, pack);
+  return pack;
+}
+
+// Helper: Fill {placeholders} in a rule message
+function formatMessage(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+}
+
+// Main function: evaluate rules for one report section
+// pack: a loaded pack or anything loadRulePack accepts (defaults to 'default')
+// Returns { pack, check(id, value, vars), add(flag), score(), breakdown(), messages(), flags(), riskLevel() }
+function createRuleSession(pack, section) {
+  const rulePack = loadRulePack(pack);
+  const fired = []; // { rule, section, severity, points, message, value, threshold }
+
+  const record = (id, rule, points, message, value) => {
+    fired.push({
+      rule: id,
+      section,
+      severity: rule.severity || 'medium',
+      points,
+      message,
+      value: value === undefined ? null : value,
+      threshold: rule.threshold === undefined ? null : rule.threshold,
+    });
+  };
+
+  const session = {
+    pack: rulePack,
+    // Threshold rule (or boolean rule when the pack sets no threshold); returns true when it fired
+    check(id, value, vars = {}) {
+      const rule = rulePack.rules[id];
+      if (!rule) throw new Error(`Unknown rule "${id}" (not in rule pack "${rulePack.name}")`);
+      if (rule.enabled === false) return false;
+      const fires = rule.threshold === undefined
+        ? Boolean(value)
+        : typeof value === 'number' && OPERATORS[rule.operator || '>'](value, rule.threshold);
+      if (!fires) return false;
+      const message = formatMessage(rule.message || id, { value, threshold: rule.threshold, ...vars });
+      record(id, rule, rule.points || 0, message, value);
+      return true;
+    },
+    // Flag already decided by a helper module ({ rule, flag, points, value }); the pack can re-weight or disable it
+    add({ rule: id, flag, points, value }) {
+      const rule = rulePack.rules[id] || {};
+      if (rule.enabled === false) return false;
+      record(id, rule, rule.points !== undefined ? rule.points : points, flag, value);
+      return true;
+    },
+    score: () => Math.min(fired.reduce((sum, entry) => sum + entry.points, 0), 100),
+    breakdown: () => fired.slice(),
+    messages: () => fired.map(entry => entry.message),
+    // Fired rules as { rule, flag, points, value }: what helper modules return for their caller's session to add
+    flags: () => fired.map(entry => ({ rule: entry.rule, flag: entry.message, points: entry.points, value: entry.value })),
+    riskLevel: () => riskLevelFor(session.score(), rulePack.levels),
+  };
+  return session;
+}
+
+// Helper: Built-in rule pack names
+function listRulePacks() {
+  return fs.readdirSync(RULE_PACK_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+module.exports = {
+  RULE_PACK_DIR,
+  SEVERITIES,
+  riskLevelFor,
+  loadRulePack,
+  createRuleSession,
+  listRulePacks,
+};
@@ -0,0 +1,258 @@
+// SolSentry Backend Feature: Unified Token Scan
+// This module runs the on-chain security checks, tokenomics analysis and social sentiment analysis for one mint,
+// then lines social buzz up with on-chain activity (Hype.js), and merges them into a single composite report
+// (weighted score, per-section breakdown, combined red flags).
+// Shared inputs (mint info, token meta/holders/txns from Solscan or plain RPC, DEXScreener pairs, LP lock or bonding curve, holder tags) are fetched once and passed to each analyzer.
+// Inputs that could not be fetched are listed in report.dataErrors and mark the report incomplete.
+// Symbol and name for the social step are resolved from token metadata (Solscan or Metaplex, falling back to DEXScreener).
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios sentiment twitter-api-v2
+
+const { fetchMintWithProgram } = require('./Token-2022.js');
+const { selectMainPair } = require('./Pools.js');
+const { verifyLpLock } = require('./LP-lock.js');
+const { classifyHolders } = require('./Holders.js');
+const { analyzeBondingCurve } = require('./BondingCurve.js');
+const { riskLevelFor, loadRulePack } = require('./Rules.js');
+const {
+  connection,
+  getTokenMeta,
+  getTopHolders,
+  getDexPairs,
+  getRecentTransactions,
+  performSecurityChecks,
+} = require('./On-chain.js');
+const { performTokenomicsAnalysis } = require('./Tokenomics.js');
+const { performSocialSentimentAnalysis } = require('./Social sentiment.js');
+const { analyzeHypeDivergence } = require('./Hype.js');
+
+// Section weights for the composite score (must sum to 1); a rule pack's "weights" override them
+const SECTION_WEIGHTS = {
+  security: 0.5,
+  tokenomics: 0.3,
+  social: 0.2,
+};
+
+// Helper: Fetch the inputs shared by the security and tokenomics analyzers in one pass
+// options: { dataSource ('auto', 'solscan', 'rpc'; see On-chain.js), countHolders, rulePack (for the LP lock and
+//   bonding-curve flags) }
+async function collectTokenData(tokenAddress, options = {}) {
+  let mintInfo, mintProgramId;
+  try {
+    ({ mintInfo, programId: mintProgramId } = await fetchMintWithProgram(connection, tokenAddress));
+  } catch (error) {
+    console.error('Error fetching on-chain mint info:', error.message);
+    // Left undefined so each analyzer retries and reports its own error
+  }
+  // Failed fetches are kept in fetchErrors so the analyzers report them instead of treating them as empty results
+  const fetchErrors = {};
+  const settle = (key, promise) => promise.catch(error => {
+    fetchErrors[key] = error;
+    return undefined;
+  });
+  const [tokenMeta, topHolders, pairs, recentTx] = await Promise.all([
+    settle('tokenMeta', getTokenMeta(tokenAddress, options)),
+    settle('topHolders', getTopHolders(tokenAddress, 50, options)),
+    settle('pairs', getDexPairs(tokenAddress)),
+    settle('recentTx', getRecentTransactions(tokenAddress, 50, options)),
+  ]);
+  const data = { mintInfo, mintProgramId, tokenMeta, topHolders, pairs, recentTx, fetchErrors };
+  if (topHolders && topHolders.length > 0) {
+    try {
+      const totalSupply = BigInt(tokenMeta?.supply || mintInfo?.supply || 0);
+      data.holderClassification = await classifyHolders(connection, topHolders, { totalSupply, pairs: pairs || [] });
+    } catch (error) {
+      console.error('Error classifying holders:', error.message);
+      // Left unset so each analyzer falls back on its own
+    }
+  }
+  const mainPair = selectMainPair(pairs || []);
+  if (mainPair) {
+    try {
+      data.lpLock = await verifyLpLock(connection, mainPair.pairAddress, { devWallets: [tokenMeta?.creator?.address], rulePack: options.rulePack });
+    } catch (error) {
+      data.lpLock = { error: `LP lock check failed: ${error.message}` };
+    }
+  } else if (pairs) {
+    // No pool yet: look for a launchpad bonding curve (pre-liquidity mode)
+    try {
+      data.bondingCurve = await analyzeBondingCurve(connection, tokenAddress, { creator: tokenMeta?.creator?.address, rulePack: options.rulePack });
+    } catch (error) {
+      console.error('Error reading bonding curve:', error.message);
+      // Left unset so each analyzer retries and reports its own error
+    }
+  }
+  return data;
+}
+
+// Helper: Resolve symbol/name for social queries (token meta first, then the DEXScreener base token)
+function resolveTokenIdentity(tokenAddress, data) {
+  const pairToken = (data.pairs || [])
+    .map(pair => pair.baseToken)
+    .find(token => token && token.address === tokenAddress);
+  return {
+    symbol: data.tokenMeta?.symbol || pairToken?.symbol || null,
+    name: data.tokenMeta?.name || pairToken?.name || null,
+  };
+}
+
+// Main function to run every analyzer for a mint and merge the results
+// options: { knownVestingWallets, socialLinks, apiKeys: { birdeye, lunarCrush, twitter, telegramBot, discordBot }, skipSocial,
+//   simulationPayer, rulePack (name, path or object; see Rules.js), dataSource ('auto', 'solscan', 'rpc'), countHolders,
+//   ledgerPages (supply ledger depth; see SupplyLedger.js), knownTokens (extra established tokens for copycat checks),
+//   positionUsd / positionTokens (planned position for the exit-slippage simulation; see ExitLiquidity.js),
+//   community ({ telegramExport, discordExport, discordChannels }; see Community.js),
+//   twitter ({ maxTweets, ... }; see Twitter.js), history (History.js store: holder counts of earlier scans for Hype.js) }
+async function scanToken(tokenAddress, options = {}) {
+  const apiKeys = options.apiKeys || {};
+  const rulePack = loadRulePack(options.rulePack);
+  const weights = { ...SECTION_WEIGHTS, ...rulePack.weights };
+  const sourceOptions = { dataSource: options.dataSource, countHolders: options.countHolders };
+  const data = await collectTokenData(tokenAddress, { ...sourceOptions, rulePack });
+  const token = resolveTokenIdentity(tokenAddress, data);
+
+  const report = {
+    mint: tokenAddress,
+    token,
+    scannedAt: new Date().toISOString(),
+    score: 0, // Weighted composite: 0-100 (higher = riskier)
+    riskLevel: 'Low',
+    rulePack: rulePack.name,
+    sections: {},
+    redFlags: [], // { section, rule, severity, points, flag }
+    complete: true, // false when some inputs could not be fetched (their checks were skipped, see dataErrors)
+    dataErrors: [], // { section, input, provider, status, message }
+    notes: []
+  };
+
+  if (data.bondingCurve?.onCurve) {
+    report.notes.push(`Pre-liquidity: still on the ${data.bondingCurve.launchpad} bonding curve `
+      + `(${data.bondingCurve.progressPercent}% to graduation); pool-based checks skipped`);
+  }
+
+  // Each section scores itself from the rules that fired (0-100)
+  const addSection = (name, sectionReport) => {
+    report.sections[name] = { score: sectionReport.riskScore, weight: weights[name], report: sectionReport };
+    sectionReport.ruleBreakdown.forEach(entry => report.redFlags.push({
+      section: name,
+      rule: entry.rule,
+      severity: entry.severity,
+      points: entry.points,
+      flag: entry.message,
+    }));
+    (sectionReport.dataErrors || []).forEach(entry => report.dataErrors.push({ section: name, ...entry }));
+  };
+
+  // 1. Security
+  const security = await performSecurityChecks(tokenAddress, data, {
+    simulationPayer: options.simulationPayer,
+    knownTokens: options.knownTokens,
+    positionUsd: options.positionUsd,
+    positionTokens: options.positionTokens,
+    rulePack,
+    ...sourceOptions,
+  });
+  addSection('security', security);
+
+  // 2. Tokenomics
+  const tokenomics = await performTokenomicsAnalysis(tokenAddress, options.knownVestingWallets || [], apiKeys.birdeye || '', data, { rulePack, ledgerPages: options.ledgerPages, ...sourceOptions });
+  addSection('tokenomics', tokenomics);
+
+  // 3. Social (needs a symbol/name; skipped when metadata could not be resolved)
+  if (!options.skipSocial && token.symbol) {
+    // Links from the token's off-chain metadata (Metadata.js) unless given explicitly
+    const socialLinks = { ...security.metadata?.offChain?.socials, ...options.socialLinks };
+    const social = await performSocialSentimentAnalysis(token.symbol, token.name || token.symbol, socialLinks, {
+      lunarCrush: apiKeys.lunarCrush,
+      twitter: apiKeys.twitter,
+      telegramBot: apiKeys.telegramBot,
+      discordBot: apiKeys.discordBot,
+    }, { rulePack, community: options.community, twitter: options.twitter });
+    addSection('social', social);
+
+    // 4. Hype divergence: social series against holders, volume, price and insider sells
+    const mainPair = selectMainPair(data.pairs || []);
+    let holderHistory = [];
+    try {
+      holderHistory = options.history ? options.history.timeSeries(tokenAddress, 'holderCount') : [];
+    } catch (error) {
+      report.notes.push(`Scan history unavailable for holder growth: ${error.message}`);
+    }
+    const hype = await analyzeHypeDivergence(connection, tokenAddress, {
+      symbol: token.symbol,
+      social,
+      security,
+      pairAddress: mainPair?.pairAddress,
+      totalSupply: data.tokenMeta?.supply || data.mintInfo?.supply || 0,
+      holderHistory,
+      apiKeys: { lunarCrush: apiKeys.lunarCrush },
+    }, { rulePack });
+    addSection('hype', hype);
+    // Hype points go on top of the social score instead of carrying a weight of their own, so a quiet or organic
+    // spike (0 points) cannot dilute a risky token's composite
+    report.sections.hype.weight = 0;
+    report.sections.social.score = Math.min(report.sections.social.score + hype.riskScore, 100);
+  } else {
+    report.notes.push(options.skipSocial
+      ? 'Social and hype analysis skipped'
+      : 'Social and hype analysis skipped: token symbol could not be resolved from metadata');
+  }
+
+  // Weighted composite over the sections that ran (weights re-normalized if one was skipped)
+  const sections = Object.values(report.sections);
+  const totalWeight = sections.reduce((sum, section) => sum + section.weight, 0);
+  report.score = Math.round(sections.reduce((sum, section) => sum + section.score * section.weight, 0) / totalWeight);
+  report.riskLevel = riskLevelFor(report.score, rulePack.levels);
+  report.complete = report.dataErrors.length === 0;
+
+  return report;
+}
+
+// Render a composite report as human-readable text (CLI default output)
+function formatScanReport(report) {
+  const label = [report.token.symbol, report.token.name].filter(Boolean).join(' - ') || 'Unknown token';
+  const lines = [
+    `SolSentry scan: ${label}`,
+    `Mint: ${report.mint}`,
+    `Scanned at: ${report.scannedAt}`,
+    '',
+    `Risk score: ${report.score}/100 (${report.riskLevel} risk, rule pack: ${report.rulePack})${report.complete === false ? ' - INCOMPLETE' : ''}`,
+    '',
+    'Sections:'
+  ];
+  Object.entries(report.sections).forEach(([name, section]) => {
+    const detail = name === 'hype'
+      ? `added to social, ${section.report.classification}`
+      : `weight ${Math.round(section.weight * 100)}%`;
+    lines.push(`  ${name.padEnd(11)} ${String(section.score).padStart(3)}/100  (${detail})`);
+  });
+  lines.push('', `Rules fired (${report.redFlags.length}):`);
+  if (report.redFlags.length === 0) {
+    lines.push('  none');
+  }
+  report.redFlags.forEach(({ section, rule, severity, points, flag }) => {
+    lines.push(`  - [${section}] +${String(points).padStart(2)}  ${rule} (${severity}): ${flag}`);
+  });
+  if (report.dataErrors && report.dataErrors.length > 0) {
+    // Same failed input seen by several sections is listed once
+    const unavailable = new Map();
+    report.dataErrors.forEach(({ section, input, message }) => {
+      const key = `${input}: ${message}`;
+      unavailable.set(key, (unavailable.get(key) || []).concat(section));
+    });
+    lines.push('', 'Data unavailable (checks skipped, the score may understate the risk):');
+    unavailable.forEach((sections, key) => lines.push(`  - ${key} [${sections.join(', ')}]`));
+  }
+  if (report.notes.length > 0) {
+    lines.push('', 'Notes:');
+    report.notes.forEach(note => lines.push(`  - ${note}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  SECTION_WEIGHTS,
+  collectTokenData,
+  resolveTokenIdentity,
+  scanToken,
+  formatScanReport,
+};
@@ -0,0 +1,424 @@
+// SolSentry Backend Feature: HTTP API Server
+// A small REST server (Node's built-in http, no framework) so bots and internal tools can call SolSentry over HTTP
+// instead of editing the example usage at the bottom of each module: the full scan, the security, tokenomics and
+// social reports of a mint, batches and wallet portfolios. Any report can run as an async job (?async=true; batches always do) that is
+// polled at /v1/jobs/{id}; at most jobConcurrency jobs run at once, the rest wait in a queue.
+// API keys come from the request (X-Birdeye-Api-Key / X-LunarCrush-Api-Key headers or an "apiKeys" body field) or
+// from the server config (environment or --config file), never from source. The OpenAPI description of the
+// endpoints and report schemas is served at /openapi.json (OpenApi.js).
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios sentiment twitter-api-v2
+
+const http = require('http');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { scanToken, resolveTokenIdentity } = require('./Scan.js');
+const { scanBatch } = require('./Batch.js');
+const { DATA_SOURCES, connection, getTokenMeta, getDexPairs, performSecurityChecks } = require('./On-chain.js');
+const { performTokenomicsAnalysis } = require('./Tokenomics.js');
+const { performSocialSentimentAnalysis } = require('./Social sentiment.js');
+const { listRulePacks, loadRulePack } = require('./Rules.js');
+const { scanPortfolio } = require('./Portfolio.js');
+const { OPENAPI_SPEC } = require('./OpenApi.js');
+
+const DEFAULTS = {
+  port: 8787,
+  host: '127.0.0.1', // Local tools only; put a reverse proxy with auth in front before exposing it
+  jobConcurrency: 2, // Jobs running at once (sync requests count too)
+  jobTtlMs: 60 * 60 * 1000, // Finished jobs are kept this long for polling
+  maxBatchSize: 100,
+  maxBodyBytes: 1024 * 1024,
+};
+
+const REPORT_TYPES = ['scan', 'security', 'tokenomics', 'social'];
+
+// Error with an HTTP status (thrown by request parsing, turned into a JSON error response)
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Helper: JSON response
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+// Helper: Parsed JSON body ({} when empty)
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Drain the rest unread so the 413 still reaches the client; the socket closes after it
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body over ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Helper: Normalized mint address, or a 400
+function parseMint(value, kind = 'mint') {
+  try {
+    return new PublicKey(value).toBase58();
+  } catch (error) {
+    throw new HttpError(400, `Invalid ${kind} address: ${value}`);
+  }
+}
+
+// Helper: Query strings are text; JSON bodies may already carry booleans and numbers
+function toBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+function toNumber(name, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new HttpError(400, `${name} must be a non-negative number`);
+  return number;
+}
+
+// Helper: Scan options of a request (query parameters for GET, JSON body for POST) on top of the config's
+// Rule packs are limited to the built-in names: a file path from a request would read the server's disk
+function requestOptions(params, config) {
+  if (params.rules !== undefined && !listRulePacks().includes(params.rules)) {
+    throw new HttpError(400, `Unknown rule pack "${params.rules}" (expected ${listRulePacks().join(', ')})`);
+  }
+  if (params.dataSource !== undefined && !DATA_SOURCES.includes(params.dataSource)) {
+    throw new HttpError(400, `Unknown data source "${params.dataSource}" (expected ${DATA_SOURCES.join(', ')})`);
+  }
+  const options = { ...config.scanOptions };
+  const set = (key, value) => {
+    if (value !== undefined) options[key] = value;
+  };
+  set('rulePack', params.rules);
+  set('dataSource', params.dataSource);
+  set('countHolders', params.countHolders !== undefined ? toBoolean(params.countHolders) : undefined);
+  set('skipSocial', params.skipSocial !== undefined ? toBoolean(params.skipSocial) : undefined);
+  set('ledgerPages', toNumber('ledgerPages', params.ledgerPages));
+  set('positionUsd', toNumber('positionUsd', params.positionUsd));
+  set('positionTokens', toNumber('positionTokens', params.positionTokens));
+  // Structured options only come from a JSON body
+  set('socialLinks', typeof params.socialLinks === 'object' ? params.socialLinks : undefined);
+  set('knownVestingWallets', Array.isArray(params.knownVestingWallets) ? params.knownVestingWallets : undefined);
+  set('knownTokens', Array.isArray(params.knownTokens) ? params.knownTokens : undefined);
+  const maxTweets = toNumber('maxTweets', params.maxTweets);
+  if (maxTweets !== undefined) options.twitter = { ...options.twitter, maxTweets };
+  // Community analytics: channel ids only (export files are server paths, so they come from the config)
+  if (Array.isArray(params.discordChannels)) {
+    options.community = { ...options.community, discordChannels: params.discordChannels.map(String) };
+  }
+  return options;
+}
+
+// Helper: API keys from the config, overridden per request by headers, then by the body's apiKeys
+function requestApiKeys(req, body, config) {
+  const fromHeaders = {};
+  if (req.headers['x-birdeye-api-key']) fromHeaders.birdeye = req.headers['x-birdeye-api-key'];
+  if (req.headers['x-lunarcrush-api-key']) fromHeaders.lunarCrush = req.headers['x-lunarcrush-api-key'];
+  const fromBody = body.apiKeys && typeof body.apiKeys === 'object' ? body.apiKeys : {};
+  return { ...config.apiKeys, ...fromHeaders, ...fromBody };
+}
+
+// Main function: in-memory job queue
+// Returns { submit(type, meta, run) -> job, get(id), stats() }; run(job) resolves to the job's result and may set job.progress
+// job.done resolves (never rejects) when the job finishes, for requests that wait on it
+function createJobQueue(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  // Finished jobs past their TTL are dropped when new work arrives (no timers left running)
+  const prune = () => {
+    const cutoff = Date.now() - settings.jobTtlMs;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    });
+  };
+
+  const startNext = () => {
+    while (running < settings.jobConcurrency && waiting.length > 0) {
+      const { job, run, resolve } = waiting.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      Promise.resolve()
+        .then(() => run(job))
+        .then(result => {
+          job.status = 'done';
+          job.result = result;
+        }, error => {
+          job.status = 'failed';
+          job.error = error.message;
+          Object.defineProperty(job, 'failure', { value: error, enumerable: false });
+        })
+        .then(() => {
+          job.finishedAt = new Date().toISOString();
+          running--;
+          resolve(job);
+          startNext();
+        });
+    }
+  };
+
+  return {
+    submit(type, meta, run) {
+      prune();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        ...meta,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        progress: null,
+        result: null,
+        error: null,
+      };
+      let resolve;
+      const done = new Promise(r => { resolve = r; });
+      Object.defineProperty(job, 'done', { value: done, enumerable: false });
+      jobs.set(job.id, job);
+      waiting.push({ job, run, resolve });
+      startNext();
+      return job;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    stats() {
+      return { queued: waiting.length, running, kept: jobs.size };
+    },
+  };
+}
+
+// Helper: Run one report type for a mint
+async function runReport(type, mint, options, params) {
+  const rulePack = loadRulePack(options.rulePack);
+  const sourceOptions = { dataSource: options.dataSource, countHolders: options.countHolders };
+  const apiKeys = options.apiKeys || {};
+  if (type === 'scan') {
+    return scanToken(mint, options);
+  }
+  if (type === 'security') {
+    return performSecurityChecks(mint, {}, {
+      simulationPayer: options.simulationPayer,
+      knownTokens: options.knownTokens,
+      positionUsd: options.positionUsd,
+      positionTokens: options.positionTokens,
+      rulePack,
+      ...sourceOptions,
+    });
+  }
+  if (type === 'tokenomics') {
+    return performTokenomicsAnalysis(mint, options.knownVestingWallets || [], apiKeys.birdeye || '', {}, {
+      rulePack,
+      ledgerPages: options.ledgerPages,
+      ...sourceOptions,
+    });
+  }
+  // Social: symbol and name from the request, else resolved like a full scan does
+  let { symbol, name } = params;
+  if (!symbol) {
+    const [tokenMeta, pairs] = await Promise.all([
+      getTokenMeta(mint, sourceOptions).catch(() => null),
+      getDexPairs(mint).catch(() => []),
+    ]);
+    const token = resolveTokenIdentity(mint, { tokenMeta, pairs });
+    symbol = token.symbol;
+    name = name || token.name;
+  }
+  if (!symbol) {
+    throw new HttpError(422, 'Token symbol could not be resolved from metadata; pass symbol (and name)');
+  }
+  return performSocialSentimentAnalysis(symbol, name || symbol, options.socialLinks || {}, {
+    lunarCrush: apiKeys.lunarCrush,
+    twitter: apiKeys.twitter,
+    telegramBot: apiKeys.telegramBot,
+    discordBot: apiKeys.discordBot,
+  }, { rulePack, community: options.community, twitter: options.twitter });
+}
+
+// Helper: Public view of a job (status URL included)
+function jobView(job) {
+  return { ...job, statusUrl: `/v1/jobs/${job.id}` };
+}
+
+// Main function: create the API server (not listening yet)
+// config: DEFAULTS overrides plus { apiKeys: { birdeye, lunarCrush, twitter }, scanOptions (defaults for every
+//   request, e.g. simulationPayer, rulePack), store (History.js store; full scans are saved to it when set, and
+//   its holder counts feed the hype divergence) }
+// Returns { server (http.Server), jobs, listen(port, host) -> Promise<address>, close() -> Promise }
+function createApiServer(config = {}) {
+  const settings = { ...DEFAULTS, ...config, scanOptions: config.scanOptions || {}, apiKeys: config.apiKeys || {} };
+  const jobs = createJobQueue(settings);
+
+  const saveScan = report => {
+    if (!settings.store) return;
+    try {
+      settings.store.saveScan(report);
+    } catch (error) {
+      console.error(`Scan of ${report.mint} not saved to history:`, error.message);
+    }
+  };
+
+  // Helper: run a job and answer with its result (sync) or with the job (async, 202)
+  const respondWithJob = async (res, job, asyncMode) => {
+    if (asyncMode) {
+      sendJson(res, 202, jobView(job));
+      return;
+    }
+    await job.done;
+    if (job.status === 'done') {
+      sendJson(res, 200, job.result);
+    } else {
+      sendJson(res, job.failure.status || 500, { error: job.error });
+    }
+  };
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const isPost = req.method === 'POST';
+    if (req.method !== 'GET' && !isPost) {
+      throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+    const body = isPost ? await readJsonBody(req, settings.maxBodyBytes) : {};
+    const params = isPost ? body : Object.fromEntries(url.searchParams);
+
+    // GET /health, GET /openapi.json
+    if (url.pathname === '/health') {
+      sendJson(res, 200, { status: 'ok', jobs: jobs.stats() });
+      return;
+    }
+    if (url.pathname === '/openapi.json') {
+      sendJson(res, 200, OPENAPI_SPEC);
+      return;
+    }
+
+    // GET /v1/jobs/{id}
+    if (parts[0] === 'v1' && parts[1] === 'jobs' && parts.length === 3) {
+      const job = jobs.get(parts[2]);
+      if (!job) throw new HttpError(404, `Unknown job ${parts[2]} (finished jobs expire after ${settings.jobTtlMs / 60000} minutes)`);
+      sendJson(res, 200, jobView(job));
+      return;
+    }
+
+    // GET|POST /v1/tokens/{mint}/{scan|security|tokenomics|social}
+    if (parts[0] === 'v1' && parts[1] === 'tokens' && parts.length === 4 && REPORT_TYPES.includes(parts[3])) {
+      const mint = parseMint(parts[2]);
+      const type = parts[3];
+      const options = { ...requestOptions(params, settings), apiKeys: requestApiKeys(req, body, settings), history: settings.store };
+      const job = jobs.submit(type, { mint }, async () => {
+        const report = await runReport(type, mint, options, params);
+        if (type === 'scan') saveScan(report);
+        return report;
+      });
+      await respondWithJob(res, job, toBoolean(params.async));
+      return;
+    }
+
+    // POST /v1/batch (always async)
+    if (parts[0] === 'v1' && parts[1] === 'batch' && parts.length === 2) {
+      if (!isPost) throw new HttpError(405, 'Use POST for /v1/batch');
+      if (!Array.isArray(body.mints) || body.mints.length === 0) {
+        throw new HttpError(400, 'mints must be a non-empty array of mint addresses');
+      }
+      if (body.mints.length > settings.maxBatchSize) {
+        throw new HttpError(400, `At most ${settings.maxBatchSize} mints per batch`);
+      }
+      const scanOptions = { ...requestOptions(body, settings), apiKeys: requestApiKeys(req, body, settings), history: settings.store };
+      const concurrency = toNumber('concurrency', body.concurrency);
+      const job = jobs.submit('batch', { mints: body.mints.length }, current => scanBatch(body.mints.map(String), {
+        ...(concurrency ? { concurrency } : {}),
+        scanOptions,
+        onResult: ({ report }, done, total) => {
+          if (report) saveScan(report);
+          current.progress = { done, total };
+        },
+      }));
+      sendJson(res, 202, jobView(job));
+      return;
+    }
+
+    // GET|POST /v1/wallets/{address}/portfolio
+    if (parts[0] === 'v1' && parts[1] === 'wallets' && parts.length === 4 && parts[3] === 'portfolio') {
+      const wallet = parseMint(parts[2], 'wallet');
+      const scanOptions = { ...requestOptions(params, settings), apiKeys: requestApiKeys(req, body, settings), history: settings.store };
+      const minValueUsd = toNumber('minValueUsd', params.minValueUsd);
+      const maxScans = toNumber('maxScans', params.maxScans);
+      if (maxScans > settings.maxBatchSize) {
+        throw new HttpError(400, `At most ${settings.maxBatchSize} scans per portfolio`);
+      }
+      const job = jobs.submit('portfolio', { wallet }, current => scanPortfolio(connection, wallet, {
+        ...(minValueUsd !== undefined ? { minValueUsd } : {}),
+        ...(maxScans ? { maxScans } : {}),
+        scanOptions,
+        onResult: ({ report }, done, total) => {
+          if (report) saveScan(report);
+          current.progress = { done, total };
+        },
+      }));
+      await respondWithJob(res, job, toBoolean(params.async));
+      return;
+    }
+
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (res.headersSent) return;
+      if (error.status === 413) res.setHeader('Connection', 'close');
+      sendJson(res, error.status || 500, { error: error.message });
+    });
+  });
+
+  return {
+    server,
+    jobs,
+    listen(port = settings.port, host = settings.host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = {
+  HttpError,
+  createJobQueue,
+  createApiServer,
+};
@@ -0,0 +1,208 @@
+// SolSentry Backend Feature: Launch Sniper & Bundle Detection
+// This module finds the pool-creation transaction, parses every buy that landed in the first N slots after it,
+// and groups early buyers into bundles: wallets buying in the same slot,
+// or wallets first funded by the same source. It reports how much supply snipers and bundles took at launch and
+// how much they still hold today, with flags that feed the security risk score.
+// Busy pools have far more history than can be paged back to creation: their creation is dated from the LP mint
+// (created with the pool, then touched only by deposits and withdrawals) and the launch window is read block by block.
+// Note: for Pump.fun graduates the "launch" analyzed here is the migration pool, not the bonding curve.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+const { fetchPool } = require('./Pools.js');
+const { KNOWN_EXCHANGES } = require('./Holders.js');
+const {
+  getSignatureHistory,
+  getParsedTransactionsBatched,
+  findFundingSource,
+  getWalletMintBalance,
+  mintBalanceDeltas,
+} = require('./Wallets.js');
+const { createRuleSession } = require('./Rules.js');
+const { percentOf } = require('./Common.js');
+
+// Default launch window (~400ms per slot, so 10 slots is roughly 4 seconds)
+const DEFAULT_WINDOW_SLOTS = 10;
+
+// Pages of 1000 signatures read from the pool (or its LP mint) to reach the creation transaction
+const DEFAULT_HISTORY_PAGES = 3;
+
+// Early buyers traced for funding source / current balance (bounds RPC usage)
+const MAX_TRACED_BUYERS = 30;
+
+// Helper: Owners of the pool's vault token accounts (their balance changes are the pool side of each swap)
+async function poolVaultOwners(connection, pool) {
+  const owners = new Set([pool.address.toBase58()]);
+  const vaults = [pool.baseVault, pool.quoteVault].filter(Boolean);
+  const infos = vaults.length > 0 ? await connection.getMultipleAccountsInfo(vaults) : [];
+  infos.filter(Boolean).forEach(info => owners.add(new PublicKey(info.data.subarray(32, 64)).toBase58()));
+  return owners;
+}
+
+// Helper: Successful transactions touching the pool in a slot range, read from the blocks themselves
+// Returns [{ signature, slot, blockTime }] in chronological order
+async function poolTransactionsInSlots(connection, poolAddress, fromSlot, toSlot) {
+  const entries = [];
+  const slots = await connection.getBlocks(fromSlot, toSlot);
+  for (const slot of slots) {
+    const block = await connection.getBlock(slot, { transactionDetails: 'accounts', maxSupportedTransactionVersion: 0, rewards: false });
+    (block?.transactions || []).forEach(({ transaction, meta }) => {
+      if (meta?.err) return;
+      if (transaction.accountKeys.some(key => key.pubkey.toBase58() === poolAddress)) {
+        entries.push({ signature: transaction.signatures[0], slot, blockTime: block.blockTime });
+      }
+    });
+  }
+  return entries;
+}
+
+// Helper: Pool creation and the transactions of the launch window
+// The pool's own history is used when it is short; otherwise creation is the LP mint's oldest signature and the
+// window is read from the blocks after it (concentrated-liquidity pools have no LP mint to date them)
+// Returns { creation, early, source } or { error }
+async function findLaunchWindow(connection, pool, pairAddress, windowSlots, maxPages) {
+  const history = await getSignatureHistory(connection, pairAddress, maxPages);
+  if (history.complete) {
+    const chronological = history.signatures.filter(entry => !entry.err).reverse();
+    if (chronological.length === 0) return { error: 'No successful transactions found for pool' };
+    const creation = chronological[0];
+    const early = chronological.filter(entry => entry.slot <= creation.slot + windowSlots && entry !== creation);
+    return { creation, early, source: 'pool-history' };
+  }
+  if (!pool.lpMint) {
+    return { error: 'Pool history too long to reach the creation transaction, and the pool has no LP mint to date it' };
+  }
+  const lpHistory = await getSignatureHistory(connection, pool.lpMint, maxPages);
+  const creation = lpHistory.complete ? lpHistory.signatures.filter(entry => !entry.err).pop() : null;
+  if (!creation) {
+    return { error: 'LP mint history too long to reach the pool creation transaction (raise maxPages)' };
+  }
+  const window = await poolTransactionsInSlots(connection, pairAddress, creation.slot, creation.slot + windowSlots);
+  const early = window.filter(entry => entry.signature !== creation.signature);
+  return { creation, early, source: 'lp-mint' };
+}
+
+// Main function: analyze the first slots after pool creation
+// options: { totalSupply (BigInt raw), windowSlots, maxPages (signature pages of 1000 per lookup),
+//   rulePack (sniper-* and bundle-* rule thresholds; see Rules.js) }
+async function analyzeLaunch(connection, tokenAddress, pairAddress, options = {}) {
+  const windowSlots = options.windowSlots || DEFAULT_WINDOW_SLOTS;
+  const totalSupply = BigInt(options.totalSupply || 0);
+  const pool = await fetchPool(connection, pairAddress);
+
+  const result = {
+    pairAddress,
+    creationSignature: null,
+    creationSlot: null,
+    creationTime: null,
+    creationSource: null, // 'pool-history' or 'lp-mint' (busy pools: dated from the LP mint, window read from blocks)
+    windowSlots,
+    snipers: [],
+    bundles: [],
+    sniperSupplyPercent: 0,
+    sniperHoldsPercent: 0,
+    bundleSupplyPercent: 0,
+    bundleHoldsPercent: 0,
+    flags: [] // { rule, flag, points, value }
+  };
+
+  // 1. Pool creation and the launch-window transactions
+  const launch = await findLaunchWindow(connection, pool, pairAddress, windowSlots, options.maxPages || DEFAULT_HISTORY_PAGES);
+  if (launch.error) {
+    result.error = launch.error;
+    return result;
+  }
+  const { creation, early } = launch;
+  result.creationSignature = creation.signature;
+  result.creationSlot = creation.slot;
+  result.creationTime = creation.blockTime ? new Date(creation.blockTime * 1000).toISOString() : null;
+  result.creationSource = launch.source;
+
+  // 2. Buys in the launch window (positive token deltas for anyone but the pool)
+  const transactions = await getParsedTransactionsBatched(connection, early.map(entry => entry.signature));
+  const excluded = await poolVaultOwners(connection, pool);
+  const buyers = new Map(); // wallet -> { wallet, slot, bought }
+  transactions.forEach((transaction, i) => {
+    if (!transaction || transaction.meta?.err) return;
+    mintBalanceDeltas(transaction, tokenAddress).forEach((delta, owner) => {
+      if (delta <= 0n || excluded.has(owner)) return;
+      const buyer = buyers.get(owner) || { wallet: owner, slot: early[i].slot, signature: early[i].signature, bought: 0n };
+      buyer.bought += delta;
+      buyers.set(owner, buyer);
+    });
+  });
+
+  // 3. Trace the largest early buyers: funding source and what they still hold
+  const ranked = [...buyers.values()].sort((a, b) => (b.bought > a.bought ? 1 : b.bought < a.bought ? -1 : 0));
+  for (const buyer of ranked.slice(0, options.maxTracedBuyers || MAX_TRACED_BUYERS)) {
+    try {
+      buyer.currentBalance = await getWalletMintBalance(connection, buyer.wallet, tokenAddress);
+    } catch (error) {
+      buyer.currentBalance = null;
+    }
+    try {
+      const funding = await findFundingSource(connection, buyer.wallet);
+      buyer.fundedBy = funding ? funding.funder : null;
+    } catch (error) {
+      buyer.fundedBy = null;
+    }
+  }
+  const holdsOf = list => list.reduce((sum, buyer) => sum + (buyer.currentBalance || 0n), 0n);
+  const boughtOf = list => list.reduce((sum, buyer) => sum + buyer.bought, 0n);
+
+  result.snipers = ranked.map(buyer => ({
+    wallet: buyer.wallet,
+    slot: buyer.slot,
+    slotsAfterCreation: buyer.slot - creation.slot,
+    signature: buyer.signature,
+    bought: buyer.bought.toString(),
+    boughtPercent: percentOf(buyer.bought, totalSupply),
+    currentBalance: buyer.currentBalance != null ? buyer.currentBalance.toString() : null,
+    holdsPercent: buyer.currentBalance != null ? percentOf(buyer.currentBalance, totalSupply) : null,
+    fundedBy: buyer.fundedBy || null,
+  }));
+  result.sniperSupplyPercent = percentOf(boughtOf(ranked), totalSupply);
+  result.sniperHoldsPercent = percentOf(holdsOf(ranked), totalSupply);
+
+  // 4. Bundles: several wallets in one slot, or several wallets sharing a funder
+  const groups = new Map();
+  ranked.forEach(buyer => {
+    // Exchange withdrawals fund unrelated wallets, so they never link a bundle
+    const linkedFunder = buyer.fundedBy && !KNOWN_EXCHANGES[buyer.fundedBy];
+    const keys = [`slot:${buyer.slot}`].concat(linkedFunder ? [`funder:${buyer.fundedBy}`] : []);
+    keys.forEach(key => groups.set(key, (groups.get(key) || []).concat(buyer)));
+  });
+  const bundled = new Set();
+  groups.forEach((members, key) => {
+    if (members.length < 2) return;
+    const [type, value] = key.split(':');
+    members.forEach(member => bundled.add(member));
+    result.bundles.push({
+      type: type === 'slot' ? 'same-block' : 'shared-funder',
+      slot: type === 'slot' ? Number(value) : undefined,
+      funder: type === 'funder' ? value : undefined,
+      wallets: members.map(member => member.wallet),
+      boughtPercent: percentOf(boughtOf(members), totalSupply),
+      holdsPercent: percentOf(holdsOf(members), totalSupply),
+    });
+  });
+  result.bundleSupplyPercent = percentOf(boughtOf([...bundled]), totalSupply);
+  result.bundleHoldsPercent = percentOf(holdsOf([...bundled]), totalSupply);
+
+  // 5. Flags
+  const rules = createRuleSession(options.rulePack, 'security');
+  rules.check('sniper-supply', result.sniperSupplyPercent, { slots: windowSlots });
+  rules.check('sniper-holds', result.sniperHoldsPercent);
+  rules.check('bundle-supply', result.bundleSupplyPercent);
+  rules.check('bundle-holds', result.bundleHoldsPercent);
+  result.flags = rules.flags();
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_SLOTS,
+  poolVaultOwners,
+  findLaunchWindow,
+  analyzeLaunch,
+};
@@ -1,29 +1,26 @@
 // SolSentry Backend Feature: Social Sentiment & Community Analysis
 // This module implements social sentiment and community analysis for Solana tokens based on the provided research.
 // It uses public APIs from LunarCrush (for sentiment and social metrics) and Santiment (for additional sentiment data).
-// For Twitter/X, it uses the Twitter API v2 (requires API keys) and local sentiment analysis via the 'sentiment' library.
-// For Telegram and Discord, analytics require bot integration (e.g., Combot, Statbot); commented examples provided.
+// For Twitter/X, Twitter.js collects tweets over the Twitter API v2 (requires API keys) and scores them with a
+// crypto-slang lexicon, engagement-weighted, plus bot-network detection and an influencer ranking.
+// Telegram and Discord community analytics (member growth, engagement, shill/bot patterns) come from Community.js:
+// the Telegram Bot API and Discord REST API, or JSON exports of either for offline use.
 // Note: Many meme coins may not be fully supported in Santiment; LunarCrush is more flexible.
+// Providers that could not be reached are listed in report.dataErrors (not read as "no sentiment"); HTTP calls go through Fetch.js.
 // Install dependencies: npm install axios sentiment twitter-api-v2
 
-const axios = require('axios');
-const Sentiment = require('sentiment');
-const { TwitterApi } = require('twitter-api-v2');
+const { createRuleSession } = require('./Rules.js');
+const { fetchJson, describeFetchError } = require('./Fetch.js');
+const { analyzeTelegram, analyzeDiscord } = require('./Community.js');
+const { analyzeTwitter } = require('./Twitter.js');
 
-const sentimentAnalyzer = new Sentiment();
-
-// Helper: Fetch from LunarCrush (requires free API key from lunarcrush.com/developers)
+// Helper: Fetch from LunarCrush (requires free API key from lunarcrush.com/developers); throws FetchError
 async function getLunarCrushData(symbol, apiKey) {
-  try {
-    const response = await axios.get(`https://api.lunarcrush.com/v2?data=meta&symbol=${symbol}&key=${apiKey}`);
-    return response.data.data[0] || null; // Assuming single symbol; data includes sentiment_relative, galaxy_score, social_volume, etc.
-  } catch (error) {
-    console.error('Error fetching LunarCrush data:', error.message);
-    return null;
-  }
+  const body = await fetchJson('lunarcrush', `https://api.lunarcrush.com/v2?data=meta&symbol=${symbol}&key=${apiKey}`);
+  return (body.data || [])[0] || null; // Assuming single symbol; data includes sentiment_relative, galaxy_score, social_volume, etc.
 }
 
-// Helper: Fetch sentiment from Santiment (GraphQL, free tier with limits)
+// Helper: Fetch sentiment from Santiment (GraphQL, free tier with limits); throws FetchError
 async function getSantimentSentiment(slug) {
   const query = {
     query: `
@@ -42,68 +39,44 @@ async function getSantimentSentiment(slug) {
       }
     `
   };
-  try {
-    const response = await axios.post('https://api.santiment.net/graphql', query);
-    return response.data.data.getMetric.timeseriesData || [];
-  } catch (error) {
-    console.error('Error fetching Santiment data:', error.message);
-    return [];
-  }
-}
-
-// Helper: Fetch recent tweets and analyze sentiment (requires Twitter API keys)
-async function getTwitterSentiment(query, twitterKeys) {
-  if (!twitterKeys) return { averageScore: 0, tweetCount: 0, potentialBots: 0 };
-  
-  const client = new TwitterApi({
-    appKey: twitterKeys.appKey,
-    appSecret: twitterKeys.appSecret,
-    accessToken: twitterKeys.accessToken,
-    accessSecret: twitterKeys.accessSecret,
-  });
-
-  try {
-    const { data: tweets } = await client.v2.searchRecentTweets({ query, max_results: 50 });
-    let totalScore = 0;
-    const textSet = new Set();
-    let duplicates = 0;
-
-    tweets.forEach(tweet => {
-      const analysis = sentimentAnalyzer.analyze(tweet.text);
-      totalScore += analysis.score;
-      // Detect potential bots: duplicate texts
-      if (textSet.has(tweet.text)) duplicates++;
-      else textSet.add(tweet.text);
-    });
-
-    const averageScore = totalScore / tweets.length || 0;
-    const potentialBots = duplicates > 5 ? duplicates : 0; // Heuristic threshold
-
-    return { averageScore, tweetCount: tweets.length, potentialBots };
-  } catch (error) {
-    console.error('Error fetching Twitter data:', error.message);
-    return { averageScore: 0, tweetCount: 0, potentialBots: 0 };
-  }
+  const body = await fetchJson('santiment', 'https://api.santiment.net/graphql', { method: 'post', body: query });
+  return body.data?.getMetric?.timeseriesData || []; // Unknown slugs come back as GraphQL errors with no data
 }
 
 // Main function to perform social sentiment & community analysis
 // tokenSymbol: e.g., 'BONK'
 // tokenName: For search queries, e.g., 'Bonk Solana'
 // socialLinks: { twitter: 'handle', telegram: 'group_link', discord: 'invite' }
-// apiKeys: { lunarCrush: 'key', santiment: 'optional_key', twitter: {appKey, appSecret, accessToken, accessSecret} }
-async function performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLinks = {}, apiKeys = {}) {
+// apiKeys: { lunarCrush: 'key', santiment: 'optional_key', twitter: {appKey, appSecret, accessToken, accessSecret},
+//   telegramBot: 'bot token', discordBot: 'bot token' }
+// options: { rulePack (name, path or loaded pack; see Rules.js), twitter (collection/detection settings; see Twitter.js),
+//   community: { telegramExport, discordExport (JSON export files), discordChannels (channel ids); see Community.js } }
+async function performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLinks = {}, apiKeys = {}, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'social');
   const report = {
     sentiment: {},
     community: {},
     influencers: [],
     hypeIndicators: {},
-    riskFlags: [], // e.g., bot activity
-    notes: []
+    riskFlags: [], // e.g., bot activity (messages of the fired rules)
+    riskScore: 0, // Sum of fired rule points, capped at 100
+    ruleBreakdown: [], // { rule, section, severity, points, message, value, threshold }
+    notes: [],
+    dataErrors: [] // Providers that could not be reached ({ input, provider, status, message }); their checks were skipped
+  };
+  // Helper: a provider's data; undefined (and a dataErrors entry) when it could not be fetched
+  const fetchInput = async (input, fetch) => {
+    try {
+      return await fetch();
+    } catch (error) {
+      report.dataErrors.push(describeFetchError(input, error));
+      return undefined;
+    }
   };
 
   // 1. LunarCrush: Core sentiment and social metrics
   if (apiKeys.lunarCrush) {
-    const lcData = await getLunarCrushData(tokenSymbol, apiKeys.lunarCrush);
+    const lcData = await fetchInput('lunarCrush', () => getLunarCrushData(tokenSymbol, apiKeys.lunarCrush));
     if (lcData) {
       report.sentiment.galaxyScore = lcData.galaxy_score; // Overall score (higher = positive hype)
       report.sentiment.relativeSentiment = lcData.sentiment_relative; // Bullish/bearish
@@ -113,50 +86,66 @@ async function performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLink
       if (lcData.social_volume > 1000) { // Heuristic for hype
         report.hypeIndicators.highVolume = 'High social mentions detected - potential hype';
       }
-      if (lcData.sentiment_relative < 0.4) {
-        report.riskFlags.push('Bearish sentiment detected');
-      }
+      rules.check('bearish-sentiment', lcData.sentiment_relative);
     }
   } else {
     report.notes.push('Provide LunarCrush API key for comprehensive sentiment analysis');
   }
 
   // 2. Santiment: Weighted sentiment over time (if token has a slug; may not for new memes)
-  const sanData = await getSantimentSentiment(tokenSymbol.toLowerCase());
-  if (sanData.length > 0) {
+  const sanData = await fetchInput('santiment', () => getSantimentSentiment(tokenSymbol.toLowerCase()));
+  if (sanData && sanData.length > 0) {
     const recentSentiment = sanData[sanData.length - 1].value;
     report.sentiment.santimentWeighted = recentSentiment;
     report.sentiment.santimentTrend = sanData; // Array of daily values
-    if (recentSentiment < 0) {
-      report.riskFlags.push('Negative weighted sentiment in recent days');
-    }
-  } else {
+    rules.check('negative-weighted-sentiment', recentSentiment);
+  } else if (sanData) {
     report.notes.push('Santiment data unavailable (token may not be listed; use for established coins)');
   }
 
-  // 3. Twitter/X: Real-time sentiment and bot detection
+  // 3. Twitter/X: crypto-aware, engagement-weighted sentiment and bot-network detection (Twitter.js)
   if (apiKeys.twitter) {
-    const twitterQuery = `${tokenName} OR #${tokenSymbol} lang:en`; // Filter for English
-    const twitterData = await getTwitterSentiment(twitterQuery, apiKeys.twitter);
-    report.sentiment.twitterAverage = twitterData.averageScore;
-    report.community.tweetCount = twitterData.tweetCount;
-    if (twitterData.potentialBots > 0) {
-      report.riskFlags.push(`Potential bot activity detected (${twitterData.potentialBots} duplicate tweets)`);
-    }
-    if (twitterData.tweetCount > 20 && twitterData.averageScore > 1) {
-      report.hypeIndicators.twitterHype = 'Positive Twitter sentiment with high engagement';
+    const twitterQuery = `(${tokenName} OR #${tokenSymbol}) lang:en -is:retweet`; // English, retweets are copies by design
+    const twitterData = await fetchInput('twitter', () => analyzeTwitter(twitterQuery, apiKeys.twitter, { ...options.twitter, rulePack: rules.pack }));
+    if (twitterData) {
+      report.sentiment.twitterAverage = twitterData.averageScore;
+      report.sentiment.twitterWeighted = twitterData.weightedScore;
+      report.community.tweetCount = twitterData.tweetCount;
+      report.community.twitter = twitterData;
+      if (twitterData.tweetCount >= 20) rules.check('bot-activity', twitterData.duplicatePercent, { count: twitterData.nearDuplicates });
+      twitterData.flags.forEach(flag => rules.add(flag));
+      if (twitterData.paginationError) {
+        report.notes.push(`Twitter collection stopped after ${twitterData.tweetCount} tweets: ${twitterData.paginationError}`);
+      }
+      if (twitterData.tweetCount > 20 && twitterData.weightedScore > 1) {
+        report.hypeIndicators.twitterHype = 'Positive Twitter sentiment with high engagement';
+      }
     }
   } else {
     report.notes.push('Provide Twitter API keys for X sentiment and engagement analysis');
   }
 
-  // 4. Telegram & Discord: Bot-based analytics (manual setup required)
-  // Example for Telegram: Add Combot (@combot) to group and query stats via bot commands (no public API)
-  // For integration, use Telegram Bot API to create a custom bot that fetches group stats
-  // Similarly for Discord: Use Statbot API (premium) or create a bot with Discord.js
-  report.notes.push('Telegram/Discord analytics: Integrate custom bots (e.g., Combot for Telegram, Statbot for Discord) for member growth, activity, and bot detection. No free public APIs available without bot access.');
+  // 4. Telegram & Discord: member growth, engagement and bot-like patterns (Community.js)
+  const communityOptions = { ...options.community, rulePack: rules.pack };
+  const telegram = await fetchInput('telegram', () => analyzeTelegram(socialLinks, apiKeys, communityOptions));
+  const discord = await fetchInput('discord', () => analyzeDiscord(socialLinks, apiKeys, communityOptions));
+  if (telegram) report.community.telegram = telegram;
+  if (discord) report.community.discord = discord;
+  // One flag per rule: a pattern seen on both platforms is one finding
+  const communityFlags = new Map();
+  [telegram, discord].filter(Boolean).flatMap(community => community.flags).forEach(flag => {
+    const seen = communityFlags.get(flag.rule);
+    communityFlags.set(flag.rule, seen ? { ...seen, flag: `${seen.flag}; ${flag.flag}` } : flag);
+  });
+  communityFlags.forEach(flag => rules.add(flag));
+  if (telegram === null && discord === null) {
+    report.notes.push('Telegram/Discord analytics: set TELEGRAM_BOT_TOKEN (bot in the group) or a Telegram export, and a Discord invite link, DISCORD_BOT_TOKEN with channel ids, or a Discord export');
+  }
 
   // Cross-reference & Risks
+  report.riskFlags = rules.messages();
+  report.riskScore = rules.score();
+  report.ruleBreakdown = rules.breakdown();
   if (report.riskFlags.length > 1) {
     report.notes.push('Multiple risk flags - cross-check with on-chain data for authenticity');
   }
@@ -167,15 +156,21 @@ async function performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLink
   return report;
 }
 
-// Example usage (run with node)
-(async () => {
-  const tokenSymbol = 'BONK';
-  const tokenName = 'Bonk Solana';
-  const socialLinks = { twitter: 'bonk_inu', telegram: 'https://t.me/bonk_inu', discord: '' };
-  const apiKeys = {
-    lunarCrush: '', // Add your key
-    twitter: { appKey: '', appSecret: '', accessToken: '', accessSecret: '' }
-  };
-  const report = await performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLinks, apiKeys);
-  console.log(JSON.stringify(report, null, 2));
-})();
+module.exports = {
+  performSocialSentimentAnalysis,
+};
+
+// Example usage (run with node "Social sentiment.js")
+if (require.main === module) {
+  (async () => {
+    const tokenSymbol = 'BONK';
+    const tokenName = 'Bonk Solana';
+    const socialLinks = { twitter: 'bonk_inu', telegram: 'https://t.me/bonk_inu', discord: '' };
+    const apiKeys = {
+      lunarCrush: '', // Add your key
+      twitter: { appKey: '', appSecret: '', accessToken: '', accessSecret: '' }
+    };
+    const report = await performSocialSentimentAnalysis(tokenSymbol, tokenName, socialLinks, apiKeys);
+    console.log(JSON.stringify(report, null, 2));
+  })();
+}
@@ -0,0 +1,194 @@
+// SolSentry Backend Feature: Supply Ledger
+// This module rebuilds a mint's supply history from its full parsed instruction history: every MintTo/MintToChecked,
+// Burn/BurnChecked and mint-authority change (InitializeMint, SetAuthority), plus transfers to incinerator addresses.
+// Signatures are paged back to the mint's creation (up to maxPages), and all amounts are raw BigInt units.
+// The ledger is reconciled against the current on-chain supply, and mints that landed after the mint authority
+// was revoked (set to none or handed to a burn address) are listed.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+const { FetchError } = require('./Fetch.js');
+const { BURN_ADDRESSES, isBurnAddress } = require('./Lockers.js');
+const { getParsedTransactionsBatched, allInstructions, getWalletMintBalance, mintBalanceDeltas } = require('./Wallets.js');
+
+const SIGNATURE_PAGE = 1000; // getSignaturesForAddress maximum
+
+const DEFAULTS = {
+  maxPages: 10, // Pages of 1000 signatures (popular tokens have far more: every checked transfer references the mint)
+};
+
+// SPL Token / Token-2022 parsed instruction types that change supply or the mint authority
+const SUPPLY_INSTRUCTIONS = {
+  mintTo: 'mint',
+  mintToChecked: 'mint',
+  burn: 'burn',
+  burnChecked: 'burn',
+  initializeMint: 'initialize',
+  initializeMint2: 'initialize',
+  setAuthority: 'authority',
+};
+
+// Helper: RPC errors as FetchError (see RpcData.js)
+function rpcFailure(what, error) {
+  return new FetchError(`RPC ${what} failed: ${error.message}`, { provider: 'rpc' });
+}
+
+// Helper: Raw amount of a parsed mint/burn instruction (plain or checked form)
+function instructionAmount(info) {
+  return BigInt(info.tokenAmount?.amount ?? info.amount ?? 0);
+}
+
+// Helper: Add one parsed transaction to the ledger
+// position orders events in time across pages (pages run newest -> oldest, instructions run in execution order,
+// inner instructions right after their parent; see allInstructions)
+function applyTransaction(ledger, transaction, entry, mintAddress, txIndex) {
+  if (!transaction) return;
+  const base = { signature: entry.signature, blockTime: entry.blockTime || null };
+  allInstructions(transaction).forEach((ix, ixIndex) => {
+    if (ix.program !== 'spl-token' && ix.program !== 'spl-token-2022') return;
+    const kind = SUPPLY_INSTRUCTIONS[ix.parsed?.type];
+    const info = ix.parsed?.info || {};
+    if (!kind || info.mint !== mintAddress) return;
+    const position = -txIndex * 10000 + ixIndex;
+    if (kind === 'mint') {
+      const amount = instructionAmount(info);
+      ledger.minted += amount;
+      ledger.mints.push({ ...base, position, amount, authority: info.mintAuthority || info.multisigMintAuthority || null });
+    } else if (kind === 'burn') {
+      ledger.burned += instructionAmount(info);
+      ledger.burnCount++;
+    } else if (kind === 'initialize') {
+      ledger.createdAt = base.blockTime;
+      ledger.authorityChanges.push({ ...base, position, authority: info.mintAuthority || null });
+    } else if (info.authorityType === 'mintTokens') {
+      ledger.authorityChanges.push({ ...base, position, authority: info.newAuthority || null });
+    }
+  });
+  // Plain sends to an incinerator owner (the tokens stay in supply but can never move)
+  mintBalanceDeltas(transaction, mintAddress).forEach((delta, owner) => {
+    if (delta > 0n && isBurnAddress(owner)) ledger.incineratorTransfers++;
+  });
+}
+
+// Main function: page through a mint's signatures (newest first) and collect its supply events
+// Returns { minted, burned (BigInt), mints: [...], burnCount, authorityChanges: [...], incineratorTransfers,
+//   signaturesScanned, oldestBlockTime, createdAt, complete (true when the mint's first signature was reached) }
+async function buildSupplyLedger(connection, tokenAddress, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const mintKey = new PublicKey(tokenAddress);
+  const mintAddress = mintKey.toBase58();
+  const ledger = {
+    minted: 0n,
+    burned: 0n,
+    mints: [],
+    burnCount: 0,
+    authorityChanges: [],
+    incineratorTransfers: 0,
+    signaturesScanned: 0,
+    oldestBlockTime: null,
+    createdAt: null,
+    complete: false,
+  };
+  let before;
+  let txIndex = 0;
+  try {
+    for (let page = 0; page < settings.maxPages; page++) {
+      const batch = await connection.getSignaturesForAddress(mintKey, { before, limit: SIGNATURE_PAGE });
+      const ok = batch.filter(entry => !entry.err);
+      // Parse page by page so long histories never sit in memory all at once
+      const transactions = await getParsedTransactionsBatched(connection, ok.map(entry => entry.signature));
+      transactions.forEach((transaction, i) => applyTransaction(ledger, transaction, ok[i], mintAddress, txIndex + i));
+      txIndex += ok.length;
+      ledger.signaturesScanned += batch.length;
+      if (batch.length > 0) ledger.oldestBlockTime = batch[batch.length - 1].blockTime || ledger.oldestBlockTime;
+      if (batch.length < SIGNATURE_PAGE) {
+        ledger.complete = true;
+        break;
+      }
+      before = batch[batch.length - 1].signature;
+    }
+  } catch (error) {
+    throw rpcFailure('supply history', error);
+  }
+  return ledger;
+}
+
+// Helper: Raw balance held by burn/incinerator owners (complete regardless of how much history was scanned)
+async function incineratedBalance(connection, tokenAddress) {
+  let total = 0n;
+  for (const owner of BURN_ADDRESSES) {
+    try {
+      total += await getWalletMintBalance(connection, owner, tokenAddress);
+    } catch (error) {
+      throw rpcFailure('incinerator balance', error);
+    }
+  }
+  return total;
+}
+
+// Helper: BigInt raw amount -> decimal string in token units (no float rounding)
+function formatUnits(amount, decimals) {
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = decimals > 0 ? digits.slice(0, -decimals) : digits;
+  const fraction = decimals > 0 ? digits.slice(-decimals).replace(/0+$/, '') : '';
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Main function: supply ledger reconciled against on-chain supply
+// mint: { supply (raw BigInt or string), decimals, mintAuthority (current, null when revoked) }
+// options: DEFAULTS overrides
+// Returns { complete, signaturesScanned, createdAt, minted, burned, incinerated, totalBurned, mintCount, burnCount,
+//   incineratorTransfers, currentSupply, ledgerSupply, discrepancy, reconciled (null for a partial history),
+//   supplyBeforeWindow (partial history only), authorityHistory, revokedAt, mintsAfterRevocation }
+//   (amounts in token units, as decimal strings)
+async function analyzeSupplyLedger(connection, tokenAddress, mint, options = {}) {
+  const ledger = await buildSupplyLedger(connection, tokenAddress, options);
+  const incinerated = await incineratedBalance(connection, tokenAddress);
+  const decimals = mint.decimals || 0;
+  const units = amount => formatUnits(amount, decimals);
+  const supply = BigInt(mint.supply);
+
+  // Mint authority history, oldest first; the latest change to none (or to a burn address) is the revocation
+  const authorityHistory = ledger.authorityChanges.sort((a, b) => a.position - b.position);
+  const revocation = authorityHistory.filter(change => !change.authority || isBurnAddress(change.authority)).pop();
+  let revokedPosition = revocation ? revocation.position : null;
+  const revokedAt = revocation ? revocation.blockTime : null;
+  if (!revocation && !mint.mintAuthority && !ledger.complete) {
+    // Revoked now but not within the scanned window: the revocation predates every scanned transaction
+    revokedPosition = -Infinity;
+  }
+  const mintsAfterRevocation = revokedPosition === null ? [] : ledger.mints
+    .filter(event => event.position > revokedPosition)
+    .map(event => ({ signature: event.signature, blockTime: event.blockTime, amount: units(event.amount), authority: event.authority }));
+
+  // Complete history: minted - burned must equal supply. Partial history: the window's net change
+  // tells what the supply was before the oldest scanned transaction
+  const net = ledger.minted - ledger.burned;
+  return {
+    complete: ledger.complete,
+    signaturesScanned: ledger.signaturesScanned,
+    createdAt: ledger.createdAt ? new Date(ledger.createdAt * 1000).toISOString() : null,
+    minted: units(ledger.minted),
+    burned: units(ledger.burned),
+    incinerated: units(incinerated),
+    totalBurned: units(ledger.burned + incinerated),
+    mintCount: ledger.mints.length,
+    burnCount: ledger.burnCount,
+    incineratorTransfers: ledger.incineratorTransfers,
+    currentSupply: units(supply),
+    ledgerSupply: ledger.complete ? units(net) : null,
+    discrepancy: ledger.complete ? units(supply - net) : null,
+    reconciled: ledger.complete ? supply === net : null,
+    supplyBeforeWindow: ledger.complete ? null : units(supply - net),
+    authorityHistory: authorityHistory.map(({ signature, blockTime, authority }) => ({ signature, blockTime, authority })),
+    revokedAt: revokedAt ? new Date(revokedAt * 1000).toISOString() : null,
+    mintsAfterRevocation,
+  };
+}
+
+module.exports = {
+  buildSupplyLedger,
+  analyzeSupplyLedger,
+  formatUnits,
+};
@@ -0,0 +1,144 @@
+// SolSentry Backend Feature: Token-2022 Extension Audit
+// This module detects which token program owns a mint (classic SPL Token or Token-2022) and lists every
+// Token-2022 mint extension with its authority. Risky extensions (hidden sell tax via transfer fee, transfer hooks,
+// permanent delegate, frozen-by-default accounts, non-transferable, mint close authority, pausable) each
+// produce their own flag and risk points, covering the "honeypot by fee" case from the research checklist.
+// Install dependencies: npm install @solana/web3.js @solana/spl-token
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  AccountState,
+  ExtensionType,
+  getMint,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getTransferHook,
+  getPermanentDelegate,
+  getDefaultAccountState,
+  getNonTransferable,
+  getMintCloseAuthority,
+  getPausableConfig,
+} = require('@solana/spl-token');
+const { createRuleSession } = require('./Rules.js');
+
+// Helper: Optional authorities are stored as the all-zero key when unset
+function authorityOf(key) {
+  return key && !key.equals(PublicKey.default) ? key.toBase58() : null;
+}
+
+// Helper: Fetch a mint with whichever token program owns it
+// Returns { mintInfo, programId, tokenProgram } where tokenProgram is 'spl-token' or 'token-2022'
+async function fetchMintWithProgram(connection, tokenAddress) {
+  const tokenMint = new PublicKey(tokenAddress);
+  const accountInfo = await connection.getAccountInfo(tokenMint);
+  if (!accountInfo) {
+    throw new Error(`Mint account ${tokenAddress} not found`);
+  }
+  let programId;
+  if (accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    programId = TOKEN_2022_PROGRAM_ID;
+  } else if (accountInfo.owner.equals(TOKEN_PROGRAM_ID)) {
+    programId = TOKEN_PROGRAM_ID;
+  } else {
+    throw new Error(`Account ${tokenAddress} is not owned by a token program (owner: ${accountInfo.owner.toBase58()})`);
+  }
+  const mintInfo = await getMint(connection, tokenMint, 'confirmed', programId);
+  return {
+    mintInfo,
+    programId,
+    tokenProgram: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+  };
+}
+
+// Main function: list mint extensions and the flags/points they contribute
+// options: { rulePack (thresholds and points for the transfer-fee, transfer-hook, ... rules; see Rules.js) }
+// Returns { tokenProgram, extensions: [{ type, authority, ...details }], flags: [{ rule, flag, points, value }] }
+function auditMintExtensions(mintInfo, programId, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'security');
+  const audit = {
+    tokenProgram: programId && programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+    extensions: [],
+    flags: []
+  };
+  if (!mintInfo.tlvData || mintInfo.tlvData.length === 0) {
+    return audit;
+  }
+
+  getExtensionTypes(mintInfo.tlvData).forEach(type => {
+    const entry = { type: ExtensionType[type] || `Unknown(${type})`, authority: null };
+
+    switch (type) {
+      case ExtensionType.TransferFeeConfig: {
+        const config = getTransferFeeConfig(mintInfo);
+        const fee = config.newerTransferFee;
+        entry.authority = authorityOf(config.transferFeeConfigAuthority);
+        entry.withdrawWithheldAuthority = authorityOf(config.withdrawWithheldAuthority);
+        entry.feeBasisPoints = fee.transferFeeBasisPoints;
+        entry.feePercent = fee.transferFeeBasisPoints / 100;
+        entry.maximumFee = fee.maximumFee.toString();
+        entry.feeEffectiveEpoch = fee.epoch.toString();
+        // Tiered: a fee at the honeypot level, else any fee
+        rules.check('transfer-fee-honeypot', entry.feePercent) || rules.check('transfer-fee', entry.feePercent);
+        rules.check('transfer-fee-authority', Boolean(entry.authority));
+        break;
+      }
+      case ExtensionType.TransferHook: {
+        const hook = getTransferHook(mintInfo);
+        entry.authority = authorityOf(hook.authority);
+        entry.hookProgram = authorityOf(hook.programId);
+        if (entry.hookProgram) {
+          rules.check('transfer-hook', true, { program: entry.hookProgram });
+        } else {
+          rules.check('transfer-hook-authority', Boolean(entry.authority));
+        }
+        break;
+      }
+      case ExtensionType.PermanentDelegate: {
+        entry.authority = authorityOf(getPermanentDelegate(mintInfo).delegate);
+        rules.check('permanent-delegate', Boolean(entry.authority));
+        break;
+      }
+      case ExtensionType.DefaultAccountState: {
+        const state = getDefaultAccountState(mintInfo).state;
+        entry.defaultState = state === AccountState.Frozen ? 'Frozen' : state === AccountState.Initialized ? 'Initialized' : 'Uninitialized';
+        entry.authority = authorityOf(mintInfo.freezeAuthority);
+        rules.check('default-frozen', state === AccountState.Frozen);
+        break;
+      }
+      case ExtensionType.NonTransferable: {
+        rules.check('non-transferable', Boolean(getNonTransferable(mintInfo)));
+        break;
+      }
+      case ExtensionType.MintCloseAuthority: {
+        entry.authority = authorityOf(getMintCloseAuthority(mintInfo).closeAuthority);
+        rules.check('mint-close-authority', Boolean(entry.authority));
+        break;
+      }
+      case ExtensionType.PausableConfig: {
+        const pausable = getPausableConfig(mintInfo);
+        entry.authority = authorityOf(pausable.authority);
+        entry.paused = pausable.paused;
+        if (pausable.paused) {
+          rules.check('transfers-paused', true);
+        } else {
+          rules.check('pause-authority', Boolean(entry.authority));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    audit.extensions.push(entry);
+  });
+
+  audit.flags = rules.flags();
+  return audit;
+}
+
+module.exports = {
+  fetchMintWithProgram,
+  auditMintExtensions,
+};
@@ -2,75 +2,40 @@
 // This module implements tokenomics analysis for Solana tokens based on the provided research.
 // It uses free public APIs from Solscan, DEXScreener, and Birdeye (if API key added), along with @solana/web3.js for on-chain queries.
 // For advanced features like vesting checks or full risk scoring, consider integrating paid APIs (e.g., Birdeye, RugCheck).
-// Note: This is a basic implementation. In production, handle errors, rate limits, caching, and add API keys where needed.
-// Circulating supply is estimated (total - burned/locked, but requires manual wallet inputs for accuracy).
+// Note: This is a basic implementation. Add API keys where needed; HTTP calls go through the shared fetch layer (Fetch.js),
+// and inputs that could not be fetched are listed in report.dataErrors instead of scoring as a negative result.
+// Token meta and holders come from the data source configured in On-chain.js (Solscan or plain RPC); burn/mint activity
+// comes from the mint's full instruction history (SupplyLedger.js).
+// Circulating supply is total supply minus what is still locked in vesting contracts (Vesting.js: Streamflow, Jupiter Lock)
+// and in any extra treasury wallets the caller lists.
 // Install dependencies: npm install @solana/web3.js @solana/spl-token axios
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getMint, getTokenLargestAccounts } = require('@solana/spl-token');
-const axios = require('axios');
+const { fetchMintWithProgram } = require('./Token-2022.js');
+const { verifyLpLock } = require('./LP-lock.js');
+const { classifyHolders } = require('./Holders.js');
+const { analyzeBondingCurve } = require('./BondingCurve.js');
+const { createRuleSession } = require('./Rules.js');
+const { analyzeVesting } = require('./Vesting.js');
+const { analyzeSupplyLedger } = require('./SupplyLedger.js');
+const { percentOf } = require('./Common.js');
+const { fetchJson, inputFrom, describeFetchError } = require('./Fetch.js');
+// Same (rate-limited) RPC connection and data-source helpers as the security checks
+const { connection, getTokenMeta, getTopHolders, getDexPairs } = require('./On-chain.js');
 
-// Solana mainnet RPC (use your own for better performance, e.g., Helius or QuickNode)
-const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-
-// Helper: Fetch token metadata from Solscan
-async function getTokenMeta(tokenAddress) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/meta?address=${tokenAddress}`);
-    return response.data.data || null;
-  } catch (error) {
-    console.error('Error fetching Solscan token meta:', error.message);
-    return null;
-  }
-}
-
-// Helper: Fetch top holders from Solscan
-async function getTopHolders(tokenAddress, limit = 50) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/holders?address=${tokenAddress}&page=1&page_size=${limit}`);
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching Solscan holders:', error.message);
-    return [];
-  }
-}
-
-// Helper: Fetch DEX pairs from DEXScreener
-async function getDexPairs(tokenAddress) {
-  try {
-    const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-    return response.data.pairs || [];
-  } catch (error) {
-    console.error('Error fetching DEXScreener pairs:', error.message);
-    return [];
-  }
-}
-
-// Helper: Fetch recent transactions from Solscan (for burns, mints, etc.)
-async function getRecentTransactions(tokenAddress, limit = 50) {
-  try {
-    const response = await axios.get(`https://api.solscan.io/v2.0/token/txns?address=${tokenAddress}&limit=${limit}`);
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching Solscan transactions:', error.message);
-    return [];
-  }
-}
-
-// Helper: Fetch token overview from Birdeye (requires API key for full access; free tier limited)
+// Helper: Fetch token overview from Birdeye (requires API key for full access; free tier limited); throws FetchError
 async function getBirdeyeOverview(tokenAddress, apiKey = '') {
-  try {
-    const headers = apiKey ? { 'X-API-KEY': apiKey } : {};
-    const response = await axios.get(`https://public-api.birdeye.so/defi/token_overview?address=${tokenAddress}`, { headers });
-    return response.data.data || null;
-  } catch (error) {
-    console.error('Error fetching Birdeye overview:', error.message);
-    return null;
-  }
+  const headers = apiKey ? { 'X-API-KEY': apiKey } : {};
+  const body = await fetchJson('birdeye', `https://public-api.birdeye.so/defi/token_overview?address=${tokenAddress}`, { headers });
+  return body.data || null;
 }
 
 // Main function to perform tokenomics analysis
-async function performTokenomicsAnalysis(tokenAddress, knownVestingWallets = [], birdeyeApiKey = '') {
+// data: optional prefetched inputs { mintInfo, mintProgramId, tokenMeta, topHolders, holderClassification, pairs, lpLock, bondingCurve } (e.g., shared by Scan.js)
+// knownVestingWallets: optional extra treasury/team wallets outside lock programs (lock contracts are found automatically)
+// options: { rulePack (name, path or loaded pack; see Rules.js), dataSource ('auto', 'solscan', 'rpc'; see On-chain.js),
+//   ledgerPages (pages of 1000 signatures for the supply ledger; see SupplyLedger.js) }
+async function performTokenomicsAnalysis(tokenAddress, knownVestingWallets = [], birdeyeApiKey = '', data = {}, options = {}) {
+  const rules = createRuleSession(options.rulePack, 'tokenomics');
   const report = {
     basicInfo: {},
     supplyMetrics: {},
@@ -78,15 +43,28 @@ async function performTokenomicsAnalysis(tokenAddress, knownVestingWallets = [],
     distribution: {},
     lpAnalysis: {},
     burnAndMintActivity: {},
-    riskIndicators: [],
+    riskIndicators: [], // Messages of the fired rules
+    riskScore: 0, // Sum of fired rule points, capped at 100
+    ruleBreakdown: [], // { rule, section, severity, points, message, value, threshold }
+    vesting: {}, // Lock contracts, locked amount, unlock calendar (Vesting.js)
     estimatedCirculatingSupply: 0,
-    notes: [] // Additional insights
+    notes: [], // Additional insights
+    dataErrors: [] // Inputs that could not be fetched ({ input, provider, status, message }); their checks were skipped
+  };
+  // Helper: an input from data or fetched now; undefined (and a dataErrors entry) when it could not be fetched
+  const fetchInput = async (key, fetch) => {
+    try {
+      return await inputFrom(data, key, fetch);
+    } catch (error) {
+      report.dataErrors.push(describeFetchError(key, error));
+      return undefined;
+    }
   };
 
   // 1. Basic Info & Authorities (on-chain)
+  let mintInfo = null;
   try {
-    const tokenMint = new PublicKey(tokenAddress);
-    const mintInfo = await getMint(connection, tokenMint);
+    mintInfo = data.mintInfo || (await fetchMintWithProgram(connection, tokenAddress)).mintInfo;
     report.basicInfo = {
       decimals: mintInfo.decimals,
       totalSupply: Number(mintInfo.supply) / Math.pow(10, mintInfo.decimals),
@@ -95,133 +73,188 @@ async function performTokenomicsAnalysis(tokenAddress, knownVestingWallets = [],
       mintAuthority: mintInfo.mintAuthority ? 'Active (Risk: Unlimited supply possible)' : 'Renounced (Fixed supply)',
       freezeAuthority: mintInfo.freezeAuthority ? 'Active (Risk: Can freeze accounts)' : 'Renounced (Safe)',
     };
-    if (mintInfo.mintAuthority) {
-      report.riskIndicators.push('Mint authority active - potential for inflation');
-    }
-    if (mintInfo.freezeAuthority) {
-      report.riskIndicators.push('Freeze authority active - potential for account freezes');
-    }
+    rules.check('mint-authority-active', Boolean(mintInfo.mintAuthority));
+    rules.check('freeze-authority-active', Boolean(mintInfo.freezeAuthority));
   } catch (error) {
     report.basicInfo.error = 'Failed to fetch on-chain mint info';
+    report.dataErrors.push(describeFetchError('mintInfo', error));
   }
 
-  // 2. Supply Metrics (from Solscan meta)
-  const tokenMeta = await getTokenMeta(tokenAddress);
+  // 2. Supply Metrics (from token meta)
+  const tokenMeta = await fetchInput('tokenMeta', () => getTokenMeta(tokenAddress, options));
   if (tokenMeta) {
+    // RPC token meta: a failed holder count leaves holderCount null
+    report.dataErrors.push(...(tokenMeta.dataErrors || []).filter(entry => entry.input === 'holderCount'));
     report.supplyMetrics = {
       totalSupply: tokenMeta.supply / Math.pow(10, tokenMeta.decimals), // Normalized
       holderCount: tokenMeta.holder,
       // Circulating: Solscan may provide; else estimate below
     };
   } else {
-    report.supplyMetrics.error = 'Failed to fetch token meta';
+    report.supplyMetrics.error = tokenMeta === undefined ? 'Failed to fetch token meta' : 'No token meta found';
   }
 
-  // 3. Distribution & Concentration
-  const topHolders = await getTopHolders(tokenAddress);
-  if (topHolders.length > 0) {
-    const totalSupply = BigInt(tokenMeta?.supply || report.basicInfo.totalSupply * Math.pow(10, report.basicInfo.decimals));
+  // 3. Distribution & Concentration (pools, burn addresses, exchanges and lockers excluded)
+  const topHolders = await fetchInput('topHolders', () => getTopHolders(tokenAddress, 50, options));
+  const pairs = await fetchInput('pairs', () => getDexPairs(tokenAddress));
+  // Raw supply: token meta, else the mint account; 0n when neither could be read
+  const totalSupply = BigInt(tokenMeta?.supply || mintInfo?.supply || 0);
+  if (topHolders && topHolders.length > 0 && totalSupply > 0n) {
     let top10Percent = 0;
-    let teamConcentration = 0;
-    topHolders.slice(0, 10).forEach(holder => {
-      const balance = BigInt(holder.amount);
-      top10Percent += Number((balance * 100n) / totalSupply);
-      // Heuristic: Assume top non-exchange wallets might be team; refine with known wallets
-    });
-    report.distribution = {
-      top10HoldersPercent: top10Percent,
-      holderCount: report.supplyMetrics.holderCount,
-    };
-    if (top10Percent > 50) {
-      report.riskIndicators.push('High whale concentration (>50% in top 10 holders)');
-    } else if (top10Percent > 20) {
-      report.riskIndicators.push('Moderate concentration (>20% in top 10)');
-    }
-    // Check for known vesting/treasury wallets (user-provided)
-    if (knownVestingWallets.length > 0) {
-      let lockedAmount = 0n;
-      topHolders.forEach(holder => {
-        if (knownVestingWallets.includes(holder.owner)) {
-          lockedAmount += BigInt(holder.amount);
-        }
-      });
-      report.estimatedCirculatingSupply = Number((totalSupply - lockedAmount) / BigInt(Math.pow(10, report.basicInfo.decimals)));
-      report.notes.push(`Estimated circulating supply: ${report.estimatedCirculatingSupply} (excluding provided vesting wallets)`);
-    } else {
-      report.notes.push('Provide known vesting/treasury wallets for better circulating supply estimate');
-      report.estimatedCirculatingSupply = report.supplyMetrics.totalSupply; // Fallback
+    try {
+      const classification = 'holderClassification' in data
+        ? data.holderClassification
+        : await classifyHolders(connection, topHolders, { totalSupply, pairs: pairs || [] });
+      top10Percent = classification.top10WalletsPercent;
+      report.distribution = {
+        top10HoldersPercent: top10Percent, // Regular wallets only
+        top10AllHoldersPercent: classification.top10HoldersPercent,
+        excludedPercent: classification.excludedPercent,
+        holderCount: report.supplyMetrics.holderCount,
+        holders: classification.holders
+      };
+    } catch (error) {
+      // Classification needs RPC; fall back to raw balances
+      top10Percent = percentOf(topHolders.slice(0, 10).reduce((sum, holder) => sum + BigInt(holder.amount), 0n), totalSupply);
+      report.distribution = {
+        top10HoldersPercent: top10Percent,
+        holderCount: report.supplyMetrics.holderCount,
+        classificationError: `Holder classification failed (raw balances used): ${error.message}`
+      };
     }
+    rules.check('high-concentration', top10Percent) || rules.check('moderate-concentration', top10Percent);
+  } else if (topHolders && topHolders.length > 0) {
+    report.distribution.error = 'Total supply unknown (concentration skipped)';
   } else {
-    report.distribution.error = 'Failed to fetch holders';
+    report.distribution.error = topHolders === undefined ? 'Failed to fetch holders' : 'No holders found';
   }
 
   // 4. LP Analysis (from DEXScreener)
-  const pairs = await getDexPairs(tokenAddress);
-  if (pairs.length > 0) {
+  if (pairs === undefined) {
+    // Unknown, not "no liquidity": pool checks are skipped
+    report.lpAnalysis.error = 'Failed to fetch DEX pairs (liquidity checks skipped)';
+  } else if (pairs.length > 0) {
     const mainPair = pairs.reduce((prev, curr) => (curr.liquidity?.usd > prev.liquidity?.usd ? curr : prev), pairs[0]);
     report.lpAnalysis = {
       dex: mainPair.dexId,
       liquidityUSD: mainPair.liquidity?.usd || 0,
-      lpLocked: 'Unknown (Integrate Birdeye/RugCheck for lock status)',
-      // For lock status, use Birdeye if key provided
+      lpLocked: 'Unknown',
     };
-    if (report.lpAnalysis.liquidityUSD < 50000) {
-      report.riskIndicators.push('Shallow liquidity (<$50k) - high volatility risk');
+    rules.check('tiny-liquidity', report.lpAnalysis.liquidityUSD) || rules.check('low-liquidity', report.lpAnalysis.liquidityUSD);
+    // LP lock status from chain: burned / locker program (with expiry) / dev wallet
+    let lpLock;
+    try {
+      lpLock = 'lpLock' in data
+        ? data.lpLock
+        : await verifyLpLock(connection, mainPair.pairAddress, { devWallets: [tokenMeta?.creator?.address], rulePack: rules.pack });
+    } catch (error) {
+      lpLock = { error: `LP lock check failed: ${error.message}` };
     }
-    // Enhance with Birdeye if API key
+    if (!lpLock.error) {
+      report.lpAnalysis.lpLocked = lpLock.status;
+      report.lpAnalysis.lpBurnedPercent = lpLock.burnedPercent;
+      report.lpAnalysis.lpLockedPercent = lpLock.lockedPercent;
+      report.lpAnalysis.lockExpiry = lpLock.lockExpiry;
+      lpLock.flags.forEach(rules.add);
+    } else {
+      report.lpAnalysis.lpLockError = lpLock.error;
+    }
+    // Enhance with Birdeye if API key (lock status only used when the on-chain check failed)
     if (birdeyeApiKey) {
-      const birdeyeData = await getBirdeyeOverview(tokenAddress, birdeyeApiKey);
+      const birdeyeData = await fetchInput('birdeye', () => getBirdeyeOverview(tokenAddress, birdeyeApiKey));
       if (birdeyeData) {
-        report.lpAnalysis.lpLocked = birdeyeData.liquidity_locked ? 'Locked' : 'Unlocked (Risk)';
-        if (!birdeyeData.liquidity_locked) {
-          report.riskIndicators.push('Unlocked LP - rug pull risk');
+        if (lpLock.error) {
+          report.lpAnalysis.lpLocked = birdeyeData.liquidity_locked ? 'Locked (Birdeye)' : 'Unlocked (Risk, Birdeye)';
+          rules.check('unlocked-lp-birdeye', !birdeyeData.liquidity_locked);
         }
         report.supplyMetrics.marketCap = birdeyeData.mc;
       }
     } else {
-      report.notes.push('Provide Birdeye API key for LP lock and market data');
+      report.notes.push('Provide Birdeye API key for market data');
     }
   } else {
-    report.lpAnalysis.error = 'No DEX pairs found';
-    report.riskIndicators.push('No liquidity detected - illiquid token');
+    // Tokens still on a launchpad bonding curve trade against the curve until they graduate
+    let bondingCurve = null;
+    try {
+      bondingCurve = 'bondingCurve' in data
+        ? data.bondingCurve
+        : await analyzeBondingCurve(connection, tokenAddress, { creator: tokenMeta?.creator?.address, rulePack: rules.pack });
+    } catch (error) {
+      report.lpAnalysis.bondingCurveError = `Bonding curve check failed: ${error.message}`;
+    }
+    if (bondingCurve && bondingCurve.onCurve) {
+      report.lpAnalysis.preLiquidity = true;
+      report.lpAnalysis.launchpad = bondingCurve.launchpad;
+      report.lpAnalysis.curvePrice = bondingCurve.price;
+      report.lpAnalysis.curveRaised = bondingCurve.raised;
+      report.lpAnalysis.graduationTarget = bondingCurve.graduationTarget;
+      report.lpAnalysis.progressPercent = bondingCurve.progressPercent;
+      report.notes.push(`Pre-liquidity: ${bondingCurve.progressPercent}% of the way to graduating from ${bondingCurve.launchpad}`);
+    } else {
+      report.lpAnalysis.error = 'No DEX pairs found';
+      rules.check('no-liquidity', true);
+    }
   }
 
-  // 5. Burn and Mint Activity (from recent transactions)
-  const recentTx = await getRecentTransactions(tokenAddress);
-  if (recentTx.length > 0) {
-    let burns = 0, mints = 0, burnedAmount = 0;
-    recentTx.forEach(tx => {
-      if (tx.type === 'burn') {
-        burns++;
-        burnedAmount += tx.amount;
-      } else if (tx.type === 'mint') {
-        mints++;
-      }
-    });
-    report.burnAndMintActivity = {
-      recentBurns: burns,
-      burnedAmount: burnedAmount / Math.pow(10, report.basicInfo.decimals),
-      recentMints: mints,
-    };
-    if (mints > 0 && !report.authorities.mintAuthority.includes('Active')) {
-      report.riskIndicators.push('Unexpected mints detected despite renounced authority');
+  // 5. Burn and Mint Activity (supply ledger from the mint's full instruction history, reconciled with supply)
+  const ledger = mintInfo
+    ? await fetchInput('supplyLedger', () => analyzeSupplyLedger(connection, tokenAddress, mintInfo, options.ledgerPages ? { maxPages: options.ledgerPages } : {}))
+    : null;
+  if (ledger) {
+    report.burnAndMintActivity = ledger;
+    rules.check('unexpected-mints', ledger.mintsAfterRevocation.length);
+    rules.check('supply-ledger-mismatch', ledger.reconciled === false, { discrepancy: ledger.discrepancy });
+    if (ledger.burnCount > 0 || ledger.incinerated !== '0') {
+      report.notes.push(`Deflationary mechanics: ${ledger.totalBurned} burned or incinerated${ledger.complete ? ' since creation' : ' (partial history)'}`);
     }
-    if (burns > 0) {
-      report.notes.push('Deflationary mechanics detected via burns');
+    if (!ledger.complete) {
+      report.notes.push(`Supply ledger covers the latest ${ledger.signaturesScanned} transactions only (raise --ledger-pages for the full history)`);
     }
   } else {
-    report.burnAndMintActivity.error = 'Failed to fetch transactions';
+    report.burnAndMintActivity.error = ledger === undefined ? 'Failed to fetch supply history' : 'Mint info unavailable';
+  }
+
+  // 6. Vesting & Lockups (Streamflow / Jupiter Lock contracts) and circulating supply
+  const supplyRaw = BigInt(tokenMeta?.supply || mintInfo?.supply || 0);
+  const decimals = report.basicInfo.decimals ?? tokenMeta?.decimals ?? 0;
+  // Extra wallets the caller knows are team/treasury (balances from the top holders list)
+  const walletLocked = (topHolders || [])
+    .filter(holder => knownVestingWallets.includes(holder.owner))
+    .reduce((sum, holder) => sum + BigInt(holder.amount), 0n);
+  const vesting = supplyRaw > 0n ? await fetchInput('vesting', () => analyzeVesting(connection, tokenAddress, supplyRaw)) : null;
+  if (vesting) {
+    report.vesting = vesting;
+    if (vesting.contracts.length > 0) {
+      report.notes.push(`${vesting.lockedPercent}% of supply still locked in ${vesting.contracts.length} vesting contract(s)`
+        + (vesting.nextUnlock ? `; next unlock ${vesting.nextUnlock.date} (${vesting.nextUnlock.percent}% of supply)` : ''));
+    }
+    rules.check('large-unlock-soon', vesting.unlockingSoon.percent, { days: vesting.unlockingSoon.days });
+  } else {
+    report.vesting.error = vesting === undefined ? 'Failed to fetch vesting contracts' : 'Supply unknown';
+  }
+  if (supplyRaw > 0n) {
+    const locked = BigInt(vesting?.lockedAmount || 0) + walletLocked;
+    report.estimatedCirculatingSupply = Number(supplyRaw - locked) / Math.pow(10, decimals);
+    const excluded = [vesting && vesting.contracts.length > 0 && 'vesting contracts', walletLocked > 0n && 'provided treasury wallets'].filter(Boolean);
+    report.notes.push(`Estimated circulating supply: ${report.estimatedCirculatingSupply}`
+      + (excluded.length > 0 ? ` (excluding ${excluded.join(' and ')})` : ''));
+    if (vesting === undefined) {
+      report.notes.push('Vesting contracts could not be fetched; circulating supply may be overstated');
+    }
   }
 
   // Additional: Meme vs Utility heuristic (basic: based on name/description; advanced: manual or AI classify)
-  if (tokenMeta && (tokenMeta.name.toLowerCase().includes('meme') || tokenMeta.description?.includes('fun'))) {
+  if (tokenMeta && ((tokenMeta.name || '').toLowerCase().includes('meme') || tokenMeta.description?.includes('fun'))) {
     report.notes.push('Token appears to be a memecoin (hype-driven, high risk)');
   } else {
     report.notes.push('Token may have utility (verify use cases off-chain)');
   }
 
-  // Risk Summary
-  report.riskLevel = report.riskIndicators.length > 3 ? 'High' : report.riskIndicators.length > 1 ? 'Medium' : 'Low';
+  // Risk Summary (fired rule points, same levels as the other sections)
+  report.riskIndicators = rules.messages();
+  report.riskScore = rules.score();
+  report.ruleBreakdown = rules.breakdown();
+  report.riskLevel = rules.riskLevel();
 
   // Commented: Integrate RugCheck API if available (requires custom integration)
   // e.g., const rugCheckResponse = await axios.get(`https://api.rugcheck.xyz/v1/tokens/${tokenAddress}/report`);
@@ -229,11 +262,18 @@ async function performTokenomicsAnalysis(tokenAddress, knownVestingWallets = [],
   return report;
 }
 
-// Example usage (run with node)
-(async () => {
-  const tokenAddress = 'Pumpui3xvBFpX4vvVBy42SYLiR8Kwg8tr6V3TaBQM7b'; // Example: Replace with real token mint
-  const vestingWallets = []; // e.g., ['vestingWallet1', 'vestingWallet2']
-  const birdeyeKey = ''; // Add your key
-  const report = await performTokenomicsAnalysis(tokenAddress, vestingWallets, birdeyeKey);
-  console.log(JSON.stringify(report, null, 2));
-})();
\ No newline at end of file
+module.exports = {
+  getBirdeyeOverview,
+  performTokenomicsAnalysis,
+};
+
+// Example usage (run with node Tokenomics.js)
+if (require.main === module) {
+  (async () => {
+    const tokenAddress = 'Pumpui3xvBFpX4vvVBy42SYLiR8Kwg8tr6V3TaBQM7b'; // Example: Replace with real token mint
+    const vestingWallets = []; // e.g., ['vestingWallet1', 'vestingWallet2']
+    const birdeyeKey = ''; // Add your key
+    const report = await performTokenomicsAnalysis(tokenAddress, vestingWallets, birdeyeKey);
+    console.log(JSON.stringify(report, null, 2));
+  })();
+}
\ No newline at end of file
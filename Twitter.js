@@ -0,0 +1,330 @@
+// SolSentry Backend Feature: Twitter/X Sentiment & Bot-Network Detection
+// This module collects recent tweets about a token over the Twitter API v2 (paginated, with author profiles and
+// engagement counts) and scores them with the AFINN 'sentiment' lexicon extended by crypto slang and emojis:
+// "send it", "ape", "moon", "LFG" and 🚀 read as bullish, "rug", "ngmi", "dev dumped" and 🤡 as bearish.
+// The average is engagement-weighted (a tweet nobody saw counts less than one with thousands of likes), and
+// tweets from suspicious accounts count at a fraction of their weight.
+// Bot detection: near-duplicate texts (word-set similarity, so a changed emoji or cashtag does not hide a copy),
+// new or low-follower accounts, posting bursts (many tweets within minutes, overall or by one account) and shill
+// rings (the same text posted by several accounts within the hour). Authors are ranked by reach.
+// Install dependencies: npm install sentiment twitter-api-v2
+
+const Sentiment = require('sentiment');
+const { TwitterApi } = require('twitter-api-v2');
+const { createRuleSession } = require('./Rules.js');
+const { round2 } = require('./Common.js');
+
+const sentimentAnalyzer = new Sentiment();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  maxTweets: 500, // Tweets collected per search (pages of pageSize)
+  pageSize: 100, // Twitter API v2 maximum per page
+  scoreCap: 10, // Per-tweet score cap, so one tweet of 20 rockets is not 20 bullish tweets
+  suspiciousWeight: 0.25, // Weight of a suspicious account's tweets in the weighted score
+  similarity: 0.8, // Word-set similarity (Jaccard) at which two tweets are near-duplicates
+  minDuplicateWords: 4, // Shorter tweets ("gm", "LFG 🚀") repeat naturally
+  newAccountDays: 30, // Accounts younger than this at tweet time are new
+  lowFollowers: 50, // Accounts with fewer followers are low-follower
+  authorBurstSize: 5, // One account posting this many tweets within burstMinutes is on a spree
+  burstMinutes: 5, // Burst bucket size
+  burstSize: 20, // Tweets in one bucket that make a burst
+  ringAuthors: 3, // Distinct accounts posting the same text ...
+  ringMinutes: 60, // ... within this many minutes form a shill ring
+  minTweets: 20, // Share-based flags need at least this many tweets
+  influencerCount: 10, // Authors kept in the ranking
+};
+
+// Crypto slang and emoji scores (AFINN scale, -5..5), merged over the stock lexicon
+const CRYPTO_LEXICON = {
+  moon: 3, mooning: 3, tothemoon: 4, sendit: 3, sending: 2, ape: 2, aped: 2, aping: 2, apein: 2, lfg: 3, wagmi: 3,
+  bullish: 3, pump: 1, pumping: 2, gem: 3, based: 2, hodl: 2, hodling: 2, diamondhands: 3, buythedip: 2, fomo: 1,
+  lambo: 2, gigabrain: 2, killingit: 3, alpha: 1, insane: 2, sick: 2, crushing: 2, undervalued: 2,
+  rug: -5, rugged: -5, rugpull: -5, rugging: -5, softrug: -5, exitscam: -5, honeypot: -5, ngmi: -3, rekt: -3,
+  scam: -4, scammer: -4, scammers: -4, dump: -3, dumped: -3, dumping: -3, devsold: -4, devdumped: -5, jeet: -2,
+  jeets: -2, bearish: -3, bagholder: -2, bagholders: -2, paperhands: -2, exitliquidity: -3, fud: -1, rip: -2,
+  '🚀': 3, '🌕': 3, '🌙': 2, '💎': 2, '🙌': 1, '🔥': 2, '📈': 2, '🐂': 2, '💰': 1, '🤑': 1,
+  '📉': -2, '🐻': -2, '🤡': -3, '💩': -3, '🚨': -2, '⚠️': -2, '🩸': -2, '🪦': -3, '💀': -2,
+};
+
+// Multi-word slang, joined into one lexicon token before scoring (matched on lowercased text)
+const CRYPTO_PHRASES = [
+  [/\bto the moon\b/g, 'tothemoon'], [/\bsend(ing)? it\b/g, 'sendit'], [/\bape[ds]? in(to)?\b/g, 'apein'],
+  [/\bdiamond hands?\b/g, 'diamondhands'], [/\bpaper hands?\b/g, 'paperhands'], [/\bbuy(ing)? the dip\b/g, 'buythedip'],
+  [/\bkilling it\b/g, 'killingit'], [/\brug ?pull(ed)?\b/g, 'rugpull'], [/\bsoft rug\b/g, 'softrug'],
+  [/\bexit scam\b/g, 'exitscam'], [/\bexit liquidity\b/g, 'exitliquidity'], [/\bdev (sold|sells|selling)\b/g, 'devsold'],
+  [/\bdev (dumped|dumps|dumping)\b/g, 'devdumped'], [/\bgiga ?brain\b/g, 'gigabrain'],
+];
+
+// Helper: Text prepared for the lexicon (phrases joined, emojis split into their own tokens)
+function prepareText(text) {
+  let prepared = text.toLowerCase().replace(/\S*(https?:\/\/|www\.)\S*/g, ' ');
+  CRYPTO_PHRASES.forEach(([pattern, token]) => {
+    prepared = prepared.replace(pattern, token);
+  });
+  return prepared.replace(/(\p{Extended_Pictographic}️?)/gu, ' $1 ');
+}
+
+// Main function: crypto-aware sentiment of one text
+// Returns { score (capped at ±scoreCap), positive, negative } (positive/negative: the words that scored)
+function scoreText(text, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const analysis = sentimentAnalyzer.analyze(prepareText(text || ''), { extras: CRYPTO_LEXICON });
+  return {
+    score: Math.max(-settings.scoreCap, Math.min(settings.scoreCap, analysis.score)),
+    positive: analysis.positive,
+    negative: analysis.negative,
+  };
+}
+
+// Helper: Word set for near-duplicate detection (mentions, cashtags, hashtags, links and emojis ignored)
+function wordSet(text) {
+  const words = text.toLowerCase()
+    .replace(/\S*(https?:\/\/|www\.)\S*/g, ' ')
+    .replace(/[@$#][\p{L}\p{N}_]+/gu, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return new Set(words);
+}
+
+// Helper: Jaccard similarity of two word sets
+function similarity(a, b) {
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+// Helper: Engagement of a tweet (retweets and quotes spread it further than likes and replies)
+function engagementOf(tweet) {
+  const metrics = tweet.public_metrics || {};
+  return (metrics.like_count || 0) + (metrics.reply_count || 0) + 2 * ((metrics.retweet_count || 0) + (metrics.quote_count || 0));
+}
+
+// Main function: recent tweets matching a query, with their authors (requires Twitter API keys); throws when
+// the first page fails. A later page that fails (rate limit) ends collection early (paginationError says why).
+// Returns { tweets, users, complete (every matching tweet of the last 7 days was read), paginationError }
+async function fetchTweets(query, twitterKeys, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const client = new TwitterApi({
+    appKey: twitterKeys.appKey,
+    appSecret: twitterKeys.appSecret,
+    accessToken: twitterKeys.accessToken,
+    accessSecret: twitterKeys.accessSecret,
+  });
+
+  const paginator = await client.v2.searchRecentTweets({
+    query,
+    max_results: Math.max(10, Math.min(settings.pageSize, settings.maxTweets)), // The API accepts 10-100
+    expansions: ['author_id'],
+    'tweet.fields': ['created_at', 'public_metrics', 'author_id'],
+    'user.fields': ['created_at', 'public_metrics', 'username', 'verified'],
+  });
+  let paginationError = null;
+  while (!paginator.done && paginator.tweets.length < settings.maxTweets) {
+    try {
+      await paginator.fetchNext();
+    } catch (error) {
+      paginationError = error.message;
+      break;
+    }
+  }
+  // No matches is an empty page, not an error
+  return {
+    tweets: paginator.tweets.slice(0, settings.maxTweets),
+    users: paginator.includes.users,
+    complete: paginator.done && paginator.tweets.length <= settings.maxTweets,
+    paginationError,
+  };
+}
+
+// Main function: sentiment, bot patterns and influencer ranking of collected tweets
+// tweets: Twitter API v2 tweets ({ id, text, author_id, created_at, public_metrics })
+// users: their authors ({ id, username, created_at, verified, public_metrics: { followers_count } })
+// options: DEFAULTS overrides plus { now (Date or ms, for account age when a tweet has no date), rulePack (twitter-* rule thresholds) }
+// Returns { tweetCount, authorCount, averageScore, weightedScore, daily: [{ date, tweets, weightedScore }],
+//   nearDuplicates, duplicatePercent, duplicateTexts, suspiciousAccounts, suspiciousAccountCount, suspiciousTweetPercent, bursts, burstTweetPercent, shillRings, influencers, flags }
+function analyzeTweets(tweets, users = [], options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const now = settings.now ? new Date(settings.now).getTime() : Date.now();
+  const userById = new Map(users.map(user => [user.id, user]));
+  const items = tweets.map(tweet => ({
+    tweet,
+    author: tweet.author_id || 'unknown',
+    time: tweet.created_at ? Date.parse(tweet.created_at) : null,
+    engagement: engagementOf(tweet),
+    sentiment: scoreText(tweet.text, settings),
+    words: wordSet(tweet.text || ''),
+  }));
+
+  // 1. Near-duplicate clusters (greedy: each tweet joins the first cluster whose first text is similar enough)
+  const clusters = [];
+  items.filter(item => item.words.size >= settings.minDuplicateWords).forEach(item => {
+    const cluster = clusters.find(candidate => similarity(candidate.words, item.words) >= settings.similarity);
+    if (cluster) cluster.items.push(item);
+    else clusters.push({ words: item.words, items: [item] });
+  });
+  const duplicateClusters = clusters.filter(cluster => cluster.items.length > 1).sort((a, b) => b.items.length - a.items.length);
+  const copies = duplicateClusters.reduce((sum, cluster) => sum + cluster.items.length - 1, 0);
+
+  // 2. Posting bursts, overall and per account (burstMinutes buckets)
+  const bucketMs = settings.burstMinutes * 60 * 1000;
+  const buckets = new Map();
+  const authorBuckets = new Map();
+  items.filter(item => item.time !== null).forEach(item => {
+    const bucket = item.time - (item.time % bucketMs);
+    buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+    const key = `${item.author}:${bucket}`;
+    authorBuckets.set(key, (authorBuckets.get(key) || 0) + 1);
+  });
+  const bursts = [...buckets.entries()]
+    .filter(([, count]) => count >= settings.burstSize)
+    .map(([bucket, count]) => ({ start: new Date(bucket).toISOString(), tweets: count }));
+  const burstTweets = bursts.reduce((sum, burst) => sum + burst.tweets, 0);
+  const spreeAuthors = new Set([...authorBuckets.entries()]
+    .filter(([, count]) => count >= settings.authorBurstSize)
+    .map(([key]) => key.slice(0, key.lastIndexOf(':'))));
+
+  // 3. Per-author profile: account age, followers, reach, and why the account looks suspicious
+  const authors = new Map();
+  items.forEach(item => {
+    if (!authors.has(item.author)) {
+      const user = userById.get(item.author);
+      const firstTweet = item.time ?? now;
+      const ageDays = user?.created_at ? Math.floor((firstTweet - Date.parse(user.created_at)) / DAY_MS) : null;
+      const followers = user?.public_metrics?.followers_count ?? null;
+      const reasons = [];
+      if (ageDays !== null && ageDays < settings.newAccountDays) reasons.push('new-account');
+      if (followers !== null && followers < settings.lowFollowers) reasons.push('low-followers');
+      if (spreeAuthors.has(item.author)) reasons.push('posting-burst');
+      authors.set(item.author, {
+        id: item.author,
+        username: user?.username || null,
+        verified: Boolean(user?.verified),
+        followers,
+        accountAgeDays: ageDays,
+        tweets: 0,
+        engagement: 0,
+        impressions: 0,
+        scoreTotal: 0,
+        reasons,
+      });
+    }
+    const author = authors.get(item.author);
+    author.tweets++;
+    author.engagement += item.engagement;
+    // Impressions when the API reports them, else one view per follower
+    author.impressions += item.tweet.public_metrics?.impression_count ?? author.followers ?? 0;
+    author.scoreTotal += item.sentiment.score;
+  });
+  const suspicious = [...authors.values()].filter(author => author.reasons.length > 0);
+  const suspiciousIds = new Set(suspicious.map(author => author.id));
+  const suspiciousTweets = items.filter(item => suspiciousIds.has(item.author)).length;
+
+  // 4. Shill rings: one text posted by ringAuthors+ accounts within ringMinutes
+  const shillRings = duplicateClusters.map(cluster => {
+    const times = cluster.items.map(item => item.time).filter(time => time !== null);
+    const accounts = new Set(cluster.items.map(item => item.author));
+    const spanMinutes = times.length > 0 ? round2((times.reduce((a, b) => Math.max(a, b)) - times.reduce((a, b) => Math.min(a, b))) / 60000) : null;
+    return {
+      text: cluster.items[0].tweet.text.slice(0, 120),
+      tweets: cluster.items.length,
+      accountCount: accounts.size,
+      accounts: [...accounts].slice(0, 20).map(id => authors.get(id).username || id), // First 20
+      suspiciousAccounts: [...accounts].filter(id => suspiciousIds.has(id)).length,
+      spanMinutes,
+    };
+  }).filter(ring => ring.accountCount >= settings.ringAuthors && ring.spanMinutes !== null && ring.spanMinutes <= settings.ringMinutes);
+
+  // 5. Sentiment: plain average, and weighted by engagement (log scale) with suspicious accounts discounted
+  // Also per UTC day, for lining tweets up with on-chain activity (Hype.js)
+  let weightTotal = 0;
+  let weightedTotal = 0;
+  const days = new Map(); // date -> { tweets, weight, weighted }
+  items.forEach(item => {
+    const weight = (1 + Math.log10(1 + item.engagement)) * (suspiciousIds.has(item.author) ? settings.suspiciousWeight : 1);
+    weightTotal += weight;
+    weightedTotal += weight * item.sentiment.score;
+    if (item.time === null) return;
+    const date = new Date(item.time).toISOString().slice(0, 10);
+    const day = days.get(date) || { tweets: 0, weight: 0, weighted: 0 };
+    day.tweets++;
+    day.weight += weight;
+    day.weighted += weight * item.sentiment.score;
+    days.set(date, day);
+  });
+  const scoreTotal = items.reduce((sum, item) => sum + item.sentiment.score, 0);
+
+  // 6. Influencer ranking by reach
+  const influencers = [...authors.values()]
+    .sort((a, b) => b.impressions - a.impressions || b.engagement - a.engagement)
+    .slice(0, settings.influencerCount)
+    .map(author => ({
+      username: author.username,
+      id: author.id,
+      verified: author.verified,
+      followers: author.followers,
+      tweets: author.tweets,
+      engagement: author.engagement,
+      reach: author.impressions,
+      averageScore: round2(author.scoreTotal / author.tweets),
+      suspicious: author.reasons.length > 0,
+    }));
+
+  const result = {
+    tweetCount: items.length,
+    authorCount: authors.size,
+    averageScore: items.length > 0 ? round2(scoreTotal / items.length) : 0,
+    weightedScore: weightTotal > 0 ? round2(weightedTotal / weightTotal) : 0,
+    daily: [...days.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, day]) => ({ date, tweets: day.tweets, weightedScore: round2(day.weighted / day.weight) })),
+    nearDuplicates: copies,
+    duplicatePercent: items.length > 0 ? round2((copies / items.length) * 100) : 0,
+    duplicateTexts: duplicateClusters.slice(0, 10).map(cluster => ({
+      text: cluster.items[0].tweet.text.slice(0, 120),
+      tweets: cluster.items.length,
+      accounts: new Set(cluster.items.map(item => item.author)).size,
+    })),
+    suspiciousAccounts: suspicious.slice(0, 50).map(({ id, username, followers, accountAgeDays, tweets, reasons }) => ({ id, username, followers, accountAgeDays, tweets, reasons })),
+    suspiciousAccountCount: suspicious.length,
+    suspiciousTweetPercent: items.length > 0 ? round2((suspiciousTweets / items.length) * 100) : 0,
+    bursts,
+    burstTweetPercent: items.length > 0 ? round2((burstTweets / items.length) * 100) : 0,
+    shillRings,
+    influencers,
+    flags: [] // { rule, flag, points, value }
+  };
+
+  const rules = createRuleSession(settings.rulePack, 'social');
+  if (items.length >= settings.minTweets) {
+    rules.check('twitter-suspicious-accounts', result.suspiciousTweetPercent, { accounts: suspicious.length });
+    if (bursts.length > 0) {
+      rules.check('twitter-posting-bursts', result.burstTweetPercent, { bursts: bursts.length, size: settings.burstSize, minutes: settings.burstMinutes });
+    }
+  }
+  if (shillRings.length > 0) {
+    const largest = shillRings.reduce((a, b) => (b.accountCount > a.accountCount ? b : a));
+    rules.check('twitter-shill-ring', shillRings.length, { accounts: largest.accountCount, minutes: settings.ringMinutes });
+  }
+  result.flags = rules.flags();
+  return result;
+}
+
+// Main function: collect and analyze tweets for a query (requires Twitter API keys); throws when the search fails
+// Returns analyzeTweets' result plus { query, complete, paginationError }
+async function analyzeTwitter(query, twitterKeys, options = {}) {
+  const { tweets, users, complete, paginationError } = await fetchTweets(query, twitterKeys, options);
+  return { query, ...analyzeTweets(tweets, users, options), complete, paginationError };
+}
+
+module.exports = {
+  CRYPTO_LEXICON,
+  scoreText,
+  fetchTweets,
+  analyzeTweets,
+  analyzeTwitter,
+};
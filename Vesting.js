@@ -0,0 +1,172 @@
+// SolSentry Backend Feature: Vesting & Lockup Discovery
+// This module finds every vesting/lock contract of a mint in the common Solana lock programs (Streamflow and
+// Jupiter Lock), decodes each schedule and reports how much supply is still locked, when it unlocks, and an
+// upcoming-unlock calendar. Tokenomics uses it for circulating supply and the "large unlock soon" flag instead of
+// relying on hand-made vesting wallet lists.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  STREAMFLOW_PROGRAM_ID,
+  JUPITER_LOCK_PROGRAM_ID,
+  decodeStreamflowContract,
+  decodeJupiterEscrow,
+} = require('./Lockers.js');
+const { FetchError } = require('./Fetch.js');
+const { DAY_SECONDS, percentOf } = require('./Common.js');
+
+// Offset of the mint in each program's contract account (see the decoders in Lockers.js)
+const STREAMFLOW_MINT_OFFSET = 177;
+const JUPITER_ESCROW_MINT_OFFSET = 40;
+
+const DEFAULTS = {
+  calendarDays: 90, // Length of the upcoming-unlock calendar
+  soonDays: 7, // Window for the "large unlock soon" figure
+};
+
+// Helper: Streamflow schedule -> { total, unlockedAt(t) } (cliff amount at the cliff, then amountPerPeriod each period)
+function streamflowSchedule(contract) {
+  const total = BigInt(contract.deposited);
+  const cliffAmount = BigInt(contract.cliffAmount);
+  const amountPerPeriod = BigInt(contract.amountPerPeriod);
+  const start = contract.cliff || contract.startTime;
+  return {
+    total,
+    unlockedAt(time) {
+      if (time < start) return 0n;
+      const periods = contract.period > 0 ? BigInt(Math.floor((time - start) / contract.period)) : 0n;
+      const unlocked = cliffAmount + periods * amountPerPeriod;
+      return unlocked > total ? total : unlocked;
+    },
+  };
+}
+
+// Helper: Jupiter Lock schedule -> { total, unlockedAt(t) } (cliff unlock, then numberOfPeriod periods of amountPerPeriod)
+function jupiterSchedule(escrow) {
+  const cliffAmount = BigInt(escrow.cliffUnlockAmount);
+  const amountPerPeriod = BigInt(escrow.amountPerPeriod);
+  const total = cliffAmount + amountPerPeriod * BigInt(escrow.numberOfPeriod);
+  return {
+    total,
+    unlockedAt(time) {
+      if (time < escrow.cliffTime) return 0n;
+      const elapsed = escrow.frequency > 0 ? Math.floor((time - escrow.cliffTime) / escrow.frequency) : escrow.numberOfPeriod;
+      return cliffAmount + BigInt(Math.min(elapsed, escrow.numberOfPeriod)) * amountPerPeriod;
+    },
+  };
+}
+
+// Helper: Contract accounts of one lock program for a mint (getProgramAccounts with a mint filter)
+async function findContracts(connection, programId, mintOffset, tokenAddress) {
+  try {
+    return await connection.getProgramAccounts(programId, {
+      filters: [{ memcmp: { offset: mintOffset, bytes: new PublicKey(tokenAddress).toBase58() } }],
+    });
+  } catch (error) {
+    throw new FetchError(`RPC lock contract search failed (${programId.toBase58()}): ${error.message}`, { provider: 'rpc' });
+  }
+}
+
+// Main function: every Streamflow / Jupiter Lock contract of a mint with its schedule
+// Returns [{ locker, programId, contract, recipient, sender, total, unlockedAt(t), startTime, endTime, cancelable }]
+// (canceled contracts are skipped: their remaining tokens went back to the sender)
+async function findVestingContracts(connection, tokenAddress) {
+  const [streams, escrows] = await Promise.all([
+    findContracts(connection, STREAMFLOW_PROGRAM_ID, STREAMFLOW_MINT_OFFSET, tokenAddress),
+    findContracts(connection, JUPITER_LOCK_PROGRAM_ID, JUPITER_ESCROW_MINT_OFFSET, tokenAddress),
+  ]);
+  const contracts = [];
+  streams.forEach(({ pubkey, account }) => {
+    const stream = decodeStreamflowContract(account.data);
+    if (stream.canceledAt) return;
+    contracts.push({
+      locker: 'Streamflow',
+      programId: STREAMFLOW_PROGRAM_ID.toBase58(),
+      contract: pubkey.toBase58(),
+      recipient: stream.recipient,
+      sender: stream.sender,
+      startTime: stream.cliff || stream.startTime,
+      endTime: stream.endTime,
+      cancelable: stream.cancelableBySender,
+      ...streamflowSchedule(stream),
+    });
+  });
+  escrows.forEach(({ pubkey, account }) => {
+    const escrow = decodeJupiterEscrow(account.data);
+    if (escrow.cancelledAt) return;
+    contracts.push({
+      locker: 'Jupiter Lock',
+      programId: JUPITER_LOCK_PROGRAM_ID.toBase58(),
+      contract: pubkey.toBase58(),
+      recipient: escrow.recipient,
+      sender: escrow.creator,
+      startTime: escrow.cliffTime,
+      endTime: escrow.endTime,
+      cancelable: escrow.cancelMode !== 0,
+      ...jupiterSchedule(escrow),
+    });
+  });
+  return contracts;
+}
+
+// Main function: locked supply, unlock dates and upcoming-unlock calendar of a mint
+// options: DEFAULTS overrides plus { now (unix seconds, for tests/backfills) }
+// Returns { lockedAmount, lockedPercent, contracts: [...], calendar: [{ date, amount, percent }], nextUnlock,
+//   unlockingSoon: { days, amount, percent } } (amounts are raw strings)
+async function analyzeVesting(connection, tokenAddress, totalSupply, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const now = settings.now || Math.floor(Date.now() / 1000);
+  const supply = BigInt(totalSupply);
+  const contracts = await findVestingContracts(connection, tokenAddress);
+
+  let locked = 0n;
+  const lockReport = contracts.map(contract => {
+    const stillLocked = contract.total - contract.unlockedAt(now);
+    locked += stillLocked;
+    return {
+      locker: contract.locker,
+      programId: contract.programId,
+      contract: contract.contract,
+      recipient: contract.recipient,
+      sender: contract.sender,
+      total: contract.total.toString(),
+      locked: stillLocked.toString(),
+      lockedPercent: percentOf(stillLocked, supply),
+      startAt: contract.startTime ? new Date(contract.startTime * 1000).toISOString() : null,
+      fullyUnlockedAt: contract.endTime ? new Date(contract.endTime * 1000).toISOString() : null,
+      cancelable: contract.cancelable,
+    };
+  });
+
+  // Calendar: amount unlocking on each UTC day (works for any period length, including per-second streams)
+  const calendar = [];
+  const unlockedBy = time => contracts.reduce((sum, contract) => sum + contract.unlockedAt(time), 0n);
+  const dayStart = now - (now % DAY_SECONDS);
+  let previous = unlockedBy(now);
+  for (let day = 0; day < settings.calendarDays; day++) {
+    const dayEnd = dayStart + (day + 1) * DAY_SECONDS - 1;
+    const cumulative = unlockedBy(dayEnd);
+    const amount = cumulative - previous;
+    previous = cumulative;
+    if (amount > 0n) {
+      const date = new Date((dayStart + day * DAY_SECONDS) * 1000).toISOString().slice(0, 10);
+      calendar.push({ date, amount: amount.toString(), percent: percentOf(amount, supply) });
+    }
+  }
+  const soonEnd = now + settings.soonDays * DAY_SECONDS;
+  const soon = unlockedBy(soonEnd) - unlockedBy(now);
+
+  return {
+    lockedAmount: locked.toString(),
+    lockedPercent: percentOf(locked, supply),
+    contracts: lockReport.sort((a, b) => b.lockedPercent - a.lockedPercent),
+    calendar,
+    nextUnlock: calendar[0] || null,
+    unlockingSoon: { days: settings.soonDays, amount: soon.toString(), percent: percentOf(soon, supply) },
+  };
+}
+
+module.exports = {
+  findVestingContracts,
+  analyzeVesting,
+};
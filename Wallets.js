@@ -0,0 +1,116 @@
+// SolSentry Backend Feature: Wallet Tracing Helpers
+// Shared helpers for following wallets on-chain: where a wallet first got its SOL (funding source),
+// its full signature history (paginated), and its current balance of a given mint.
+// Used by launch sniper/bundle detection and the deployer profile.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { WSOL_MINT } = require('./Common.js');
+
+// Helper: Page backwards through a wallet's signatures (newest first), up to maxPages of 1000
+// Returns { signatures, complete } where complete means the oldest signature was reached
+async function getSignatureHistory(connection, address, maxPages = 5) {
+  const signatures = [];
+  let before;
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await connection.getSignaturesForAddress(new PublicKey(address), { before, limit: 1000 });
+    signatures.push(...batch);
+    if (batch.length < 1000) {
+      return { signatures, complete: true };
+    }
+    before = batch[batch.length - 1].signature;
+  }
+  return { signatures, complete: false };
+}
+
+// Helper: Fetch parsed transactions in batches (RPCs cap batch size)
+async function getParsedTransactionsBatched(connection, signatures, batchSize = 50) {
+  const transactions = [];
+  for (let i = 0; i < signatures.length; i += batchSize) {
+    const batch = await connection.getParsedTransactions(signatures.slice(i, i + batchSize), {
+      maxSupportedTransactionVersion: 0,
+    });
+    transactions.push(...batch);
+  }
+  return transactions;
+}
+
+// Helper: All parsed instructions of a transaction in execution order: each outer instruction followed by
+// its inner (CPI) instructions, matched through innerInstructions[].index
+function allInstructions(transaction) {
+  const outer = transaction?.transaction?.message?.instructions || [];
+  const innerByParent = new Map();
+  (transaction?.meta?.innerInstructions || []).forEach(group => {
+    innerByParent.set(group.index, (innerByParent.get(group.index) || []).concat(group.instructions));
+  });
+  return outer.flatMap((ix, index) => [ix, ...(innerByParent.get(index) || [])]);
+}
+
+// Main function: find who first sent SOL to a wallet
+// Looks at the wallet's oldest transactions for a system transfer (or account creation) into it.
+// Returns { funder, lamports, sol, signature, blockTime } or null (history too long or no SOL inflow found)
+async function findFundingSource(connection, wallet, options = {}) {
+  const walletAddress = new PublicKey(wallet).toBase58();
+  const { signatures, complete } = await getSignatureHistory(connection, walletAddress, options.maxPages || 2);
+  if (!complete || signatures.length === 0) {
+    return null;
+  }
+  // Oldest first; the funding transfer is normally within the first few transactions
+  const oldest = signatures.slice(-(options.lookAhead || 5)).reverse();
+  const transactions = await getParsedTransactionsBatched(connection, oldest.map(entry => entry.signature));
+  for (let i = 0; i < transactions.length; i++) {
+    const match = allInstructions(transactions[i]).find(ix => ix.programId?.equals?.(SystemProgram.programId)
+      && ['transfer', 'transferWithSeed', 'createAccount'].includes(ix.parsed?.type)
+      && (ix.parsed.info.destination === walletAddress || ix.parsed.info.newAccount === walletAddress));
+    if (match) {
+      const lamports = Number(match.parsed.info.lamports);
+      return {
+        funder: match.parsed.info.source,
+        lamports,
+        sol: lamports / LAMPORTS_PER_SOL,
+        signature: oldest[i].signature,
+        blockTime: oldest[i].blockTime || null,
+      };
+    }
+  }
+  return null;
+}
+
+// Helper: Current raw balance of a mint across all of a wallet's token accounts
+async function getWalletMintBalance(connection, wallet, mint) {
+  const { value } = await connection.getParsedTokenAccountsByOwner(new PublicKey(wallet), { mint: new PublicKey(mint) });
+  return value.reduce((sum, account) => sum + BigInt(account.account.data.parsed.info.tokenAmount.amount), 0n);
+}
+
+// Helper: Per-owner change in a mint's balance within one parsed transaction (raw BigInt deltas)
+function mintBalanceDeltas(transaction, mint) {
+  const deltas = new Map();
+  const mintAddress = new PublicKey(mint).toBase58();
+  const apply = (balances, sign) => (balances || [])
+    .filter(balance => balance.mint === mintAddress && balance.owner)
+    .forEach(balance => {
+      const amount = BigInt(balance.uiTokenAmount.amount) * sign;
+      deltas.set(balance.owner, (deltas.get(balance.owner) || 0n) + amount);
+    });
+  apply(transaction?.meta?.preTokenBalances, -1n);
+  apply(transaction?.meta?.postTokenBalances, 1n);
+  return deltas;
+}
+
+// Helper: Whether a wallet got SOL back in a transaction (wrapped SOL or lamports), i.e. a token outflow was a sale
+function soldForSol(transaction, wallet) {
+  if ((mintBalanceDeltas(transaction, WSOL_MINT).get(wallet) || 0n) > 0n) return true;
+  const keys = (transaction?.transaction?.message?.accountKeys || []).map(key => (key.pubkey || key).toString());
+  const index = keys.indexOf(wallet);
+  return index >= 0 && transaction.meta.postBalances[index] > transaction.meta.preBalances[index];
+}
+
+module.exports = {
+  getSignatureHistory,
+  getParsedTransactionsBatched,
+  allInstructions,
+  findFundingSource,
+  getWalletMintBalance,
+  mintBalanceDeltas,
+  soldForSol,
+};
@@ -0,0 +1,295 @@
+// SolSentry Backend Feature: Wash-Trading & Volume Authenticity
+// DEXScreener's 24h volume counts every swap, including a bot buying and selling against itself. This module reads
+// the main pair's swap history (the pool account's signatures, newest first, over the last 24h) and measures:
+// self-trades (tokens entering and leaving the pool in one transaction), round trips and circular trades inside
+// small wallet clusters (shared fee payer, mirrored buy/sell in the same slot), buy/sell imbalance, and volume
+// against holder growth (wallets that started or stopped holding in those swaps). The result is an estimated
+// organic-volume share, so $2M of volume from 15 wallets no longer reads as a healthy market.
+// Install dependencies: npm install @solana/web3.js
+
+const { PublicKey } = require('@solana/web3.js');
+const { fetchPool, orientPool } = require('./Pools.js');
+const { poolVaultOwners } = require('./Snipers.js');
+const { getParsedTransactionsBatched, allInstructions } = require('./Wallets.js');
+const { createRuleSession } = require('./Rules.js');
+const { round2 } = require('./Common.js');
+
+const DEFAULTS = {
+  windowHours: 24, // Compare with DEXScreener's 24h volume
+  maxPages: 2, // Pages of 1000 pool signatures (busy pools are sampled: the newest swaps are read)
+  roundTripRatio: 0.8, // min(bought, sold) / max(bought, sold) for a wallet or cluster that trades back and forth
+  minRoundTrips: 4, // A single wallet needs this many swaps to count as a round-tripper (one flip is not wash trading)
+  mirrorTolerance: 0.02, // Same-slot buy and sell by different wallets within 2% in size are linked
+  concentrationPercent: 80, // volume-concentration is checked when the top 10 wallets make at least this % of volume
+  minVolumeUsd: 1000, // Ignore dust volume
+};
+
+// Helper: Signatures of the pool inside the window (newest first), paged
+async function windowSignatures(connection, pairAddress, since, maxPages) {
+  const signatures = [];
+  let before;
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await connection.getSignaturesForAddress(new PublicKey(pairAddress), { before, limit: 1000 });
+    const inWindow = batch.filter(entry => !entry.blockTime || entry.blockTime >= since);
+    signatures.push(...inWindow.filter(entry => !entry.err));
+    if (batch.length < 1000 || inWindow.length < batch.length) {
+      return { signatures, complete: true };
+    }
+    before = batch[batch.length - 1].signature;
+  }
+  return { signatures, complete: false };
+}
+
+// Helper: Per-owner balance of a mint before and after a transaction ({ owner -> { pre, post } } plus pool accounts)
+function tokenBalances(transaction, mint, poolOwners) {
+  const owners = new Map();
+  const poolAccounts = new Set();
+  const keys = transaction.transaction.message.accountKeys.map(key => (key.pubkey || key).toString());
+  [['pre', transaction.meta?.preTokenBalances], ['post', transaction.meta?.postTokenBalances]].forEach(([side, balances]) => {
+    (balances || []).filter(balance => balance.mint === mint && balance.owner).forEach(balance => {
+      if (poolOwners.has(balance.owner)) {
+        poolAccounts.add(keys[balance.accountIndex]);
+      }
+      const entry = owners.get(balance.owner) || { pre: 0n, post: 0n };
+      entry[side] += BigInt(balance.uiTokenAmount.amount);
+      owners.set(balance.owner, entry);
+    });
+  });
+  return { owners, poolAccounts };
+}
+
+// Helper: Gross token amount moved into and out of the pool's accounts by parsed transfers (shows in-transaction round trips)
+function poolTransfers(transaction, poolAccounts) {
+  let into = 0n, out = 0n;
+  allInstructions(transaction).forEach(ix => {
+    const type = ix.parsed?.type;
+    if (type !== 'transfer' && type !== 'transferChecked') return;
+    const info = ix.parsed.info;
+    const amount = BigInt(info.tokenAmount?.amount ?? info.amount ?? 0);
+    if (poolAccounts.has(info.destination)) into += amount;
+    if (poolAccounts.has(info.source)) out += amount;
+  });
+  return { into, out };
+}
+
+// Helper: Union-find over wallets
+function createClusters() {
+  const parent = new Map();
+  const find = wallet => {
+    if (!parent.has(wallet)) parent.set(wallet, wallet);
+    const root = parent.get(wallet);
+    if (root === wallet) return wallet;
+    const top = find(root);
+    parent.set(wallet, top);
+    return top;
+  };
+  return {
+    link: (a, b) => parent.set(find(a), find(b)),
+    find,
+  };
+}
+
+// Helper: percent with 2 decimals
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+// Main function: volume authenticity of the main pair
+// options: DEFAULTS overrides plus { priceUsd (token price for USD figures), reportedVolume24h (DEXScreener), now,
+//   rulePack (wash-trading, volume-concentration, ... rule thresholds; see Rules.js) }
+async function analyzeVolume(connection, tokenAddress, pairAddress, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const mint = new PublicKey(tokenAddress).toBase58();
+  const now = settings.now || Math.floor(Date.now() / 1000);
+  const since = now - settings.windowHours * 3600;
+  const pool = await fetchPool(connection, pairAddress);
+  const { tokenDecimals, quoteMint } = orientPool(pool, tokenAddress);
+  const poolOwners = await poolVaultOwners(connection, pool);
+  const priceUsd = Number(settings.priceUsd) || 0;
+  const toUsd = amount => (Number(amount) / Math.pow(10, tokenDecimals || 0)) * priceUsd;
+
+  const result = {
+    pairAddress,
+    windowHours: settings.windowHours,
+    complete: false, // false when the window held more swaps than maxPages (the newest ones were sampled)
+    coveredHours: 0,
+    swaps: 0,
+    uniqueTraders: 0,
+    buyVolumeUsd: 0,
+    sellVolumeUsd: 0,
+    volumeUsd: 0,
+    reportedVolume24h: settings.reportedVolume24h ?? null,
+    buySellRatio: null,
+    selfTrades: { count: 0, volumeUsd: 0 },
+    roundTrippers: [], // Wallets or clusters whose buys and sells cancel out
+    clusters: [], // Linked wallets (shared fee payer, mirrored same-slot trades)
+    washVolumeUsd: 0,
+    organicVolumePercent: 100,
+    estimatedOrganicVolume24h: null,
+    top10WalletsVolumePercent: 0,
+    newHolders: 0,
+    exitedHolders: 0,
+    volumePerNewHolderUsd: null,
+    flags: [] // { rule, flag, points, value }
+  };
+
+  // 1. Swaps in the window: direction from the pool's token balance, gross flow from the transfers
+  const { signatures, complete } = await windowSignatures(connection, pairAddress, since, settings.maxPages);
+  result.complete = complete;
+  const oldest = signatures.length > 0 ? signatures[signatures.length - 1].blockTime : null;
+  result.coveredHours = oldest ? Math.round(((now - oldest) / 3600) * 10) / 10 : 0;
+  const wallets = new Map(); // wallet -> { bought, sold, swaps } (raw token amounts)
+  const clusters = createClusters();
+  const slotTrades = new Map(); // slot -> [{ wallet, side, amount }]
+  let selfTradeAmount = 0n;
+  const transactions = await getParsedTransactionsBatched(connection, signatures.map(entry => entry.signature));
+  transactions.forEach((transaction, i) => {
+    if (!transaction || transaction.meta?.err) return;
+    const { owners, poolAccounts } = tokenBalances(transaction, mint, poolOwners);
+    const poolDelta = [...owners].filter(([owner]) => poolOwners.has(owner)).reduce((sum, [, b]) => sum + b.post - b.pre, 0n);
+    const { into, out } = poolTransfers(transaction, poolAccounts);
+    if (into === 0n && out === 0n && poolDelta === 0n) return;
+    // Token and quote moving the same way is a liquidity deposit/withdrawal, not a swap
+    const quote = tokenBalances(transaction, quoteMint.toBase58(), poolOwners).owners;
+    const quoteDelta = [...quote].filter(([owner]) => poolOwners.has(owner)).reduce((sum, [, b]) => sum + b.post - b.pre, 0n);
+    if ((poolDelta > 0n && quoteDelta > 0n) || (poolDelta < 0n && quoteDelta < 0n)) return;
+
+    // Trader: the non-pool wallet with the largest token change, else the fee payer
+    const feePayer = (transaction.transaction.message.accountKeys[0].pubkey || transaction.transaction.message.accountKeys[0]).toString();
+    const traders = [...owners].filter(([owner]) => !poolOwners.has(owner));
+    const main = traders.sort(([, a], [, b]) => {
+      const da = a.post - a.pre, db = b.post - b.pre;
+      const absA = da < 0n ? -da : da, absB = db < 0n ? -db : db;
+      return absB > absA ? 1 : absB < absA ? -1 : 0;
+    })[0];
+    const wallet = main && main[1].post !== main[1].pre ? main[0] : feePayer;
+    if (feePayer !== wallet) clusters.link(feePayer, wallet);
+
+    // Holder growth seen in these swaps
+    traders.forEach(([, balance]) => {
+      if (balance.pre === 0n && balance.post > 0n) result.newHolders++;
+      if (balance.pre > 0n && balance.post === 0n) result.exitedHolders++;
+    });
+
+    const entry = wallets.get(wallet) || { bought: 0n, sold: 0n, swaps: 0 };
+    const bought = out > 0n ? out : poolDelta < 0n ? -poolDelta : 0n;
+    const sold = into > 0n ? into : poolDelta > 0n ? poolDelta : 0n;
+    if (bought > 0n && sold > 0n) {
+      // Tokens left and re-entered the pool in one transaction: a self-trade
+      selfTradeAmount += 2n * (bought < sold ? bought : sold);
+      result.selfTrades.count++;
+    }
+    entry.bought += bought;
+    entry.sold += sold;
+    entry.swaps++;
+    wallets.set(wallet, entry);
+    result.swaps++;
+
+    const slot = signatures[i].slot;
+    const side = bought > sold ? 'buy' : 'sell';
+    const amount = bought > sold ? bought - sold : sold - bought;
+    if (amount > 0n) {
+      const trades = slotTrades.get(slot) || [];
+      trades.push({ wallet, side, amount });
+      slotTrades.set(slot, trades);
+    }
+  });
+
+  // 2. Mirrored trades: a buy and a sell of (almost) the same size by different wallets in the same slot
+  slotTrades.forEach(trades => {
+    trades.forEach(a => trades.forEach(b => {
+      if (a.side !== 'buy' || b.side !== 'sell' || a.wallet === b.wallet) return;
+      const larger = a.amount > b.amount ? a.amount : b.amount;
+      const gap = a.amount > b.amount ? a.amount - b.amount : b.amount - a.amount;
+      if (Number(gap) <= Number(larger) * settings.mirrorTolerance) clusters.link(a.wallet, b.wallet);
+    }));
+  });
+
+  // 3. Volume, imbalance and concentration
+  let buyTotal = 0n, sellTotal = 0n;
+  wallets.forEach(entry => {
+    buyTotal += entry.bought;
+    sellTotal += entry.sold;
+  });
+  result.uniqueTraders = wallets.size;
+  result.buyVolumeUsd = Math.round(toUsd(buyTotal));
+  result.sellVolumeUsd = Math.round(toUsd(sellTotal));
+  result.volumeUsd = result.buyVolumeUsd + result.sellVolumeUsd;
+  result.buySellRatio = sellTotal > 0n ? Math.round((Number(buyTotal) / Number(sellTotal)) * 100) / 100 : null;
+  // Shares are computed in token units, so they hold without a USD price
+  const totalAmount = Number(buyTotal + sellTotal);
+  const volumes = [...wallets.values()].map(entry => Number(entry.bought + entry.sold)).sort((a, b) => b - a);
+  result.top10WalletsVolumePercent = percent(volumes.slice(0, 10).reduce((sum, value) => sum + value, 0), totalAmount);
+
+  // 4. Round trips: wallets, or clusters of linked wallets, whose buys and sells cancel out
+  const groups = new Map(); // root -> { wallets, bought, sold, swaps }
+  wallets.forEach((entry, wallet) => {
+    const root = clusters.find(wallet);
+    const group = groups.get(root) || { wallets: [], bought: 0n, sold: 0n, swaps: 0 };
+    group.wallets.push(wallet);
+    group.bought += entry.bought;
+    group.sold += entry.sold;
+    group.swaps += entry.swaps;
+    groups.set(root, group);
+  });
+  let roundTripAmount = 0n;
+  groups.forEach(group => {
+    const matched = group.bought < group.sold ? group.bought : group.sold;
+    const larger = group.bought > group.sold ? group.bought : group.sold;
+    const ratio = larger > 0n ? Number(matched) / Number(larger) : 0;
+    const volumeUsd = Math.round(toUsd(group.bought + group.sold));
+    if (group.wallets.length > 1) {
+      result.clusters.push({ wallets: group.wallets, swaps: group.swaps, volumeUsd, volumePercent: percent(Number(group.bought + group.sold), totalAmount) });
+    }
+    const isRoundTrip = ratio >= settings.roundTripRatio && (group.wallets.length > 1 || group.swaps >= settings.minRoundTrips);
+    if (isRoundTrip) {
+      roundTripAmount += 2n * matched;
+      result.roundTrippers.push({ wallets: group.wallets, swaps: group.swaps, volumeUsd, matchedPercent: Math.round(ratio * 100) });
+    }
+  });
+  result.clusters.sort((a, b) => b.volumeUsd - a.volumeUsd);
+  result.roundTrippers.sort((a, b) => b.volumeUsd - a.volumeUsd);
+
+  // 5. Organic share (self-trades are part of their wallet's round trip, so count the larger of the two)
+  const washAmount = roundTripAmount > selfTradeAmount ? roundTripAmount : selfTradeAmount;
+  result.selfTrades.volumeUsd = Math.round(toUsd(selfTradeAmount));
+  result.washVolumeUsd = Math.min(Math.round(toUsd(washAmount)), result.volumeUsd);
+  result.organicVolumePercent = totalAmount > 0 ? Math.max(0, Math.round(100 - percent(Number(washAmount), totalAmount))) : 100;
+  if (result.reportedVolume24h !== null) {
+    result.estimatedOrganicVolume24h = Math.round((result.reportedVolume24h * result.organicVolumePercent) / 100);
+  }
+  const netNewHolders = result.newHolders - result.exitedHolders;
+  result.volumePerNewHolderUsd = Math.round(result.volumeUsd / Math.max(netNewHolders, 1));
+
+  // 6. Flags
+  const rules = createRuleSession(settings.rulePack, 'security');
+  const volumeUsd = result.reportedVolume24h ?? result.volumeUsd;
+  const volume = `$${Math.round(volumeUsd).toLocaleString('en-US')}`;
+  // Without any USD figure the dust filter cannot apply
+  if (result.swaps > 0 && ((!priceUsd && result.reportedVolume24h === null) || volumeUsd >= settings.minVolumeUsd)) {
+    rules.check('wash-trading', result.organicVolumePercent, {
+      volume,
+      selfTrades: result.selfTrades.count,
+      roundTrippers: result.roundTrippers.length,
+    });
+    if (result.top10WalletsVolumePercent >= settings.concentrationPercent) {
+      rules.check('volume-concentration', result.uniqueTraders, { volume, top10: result.top10WalletsVolumePercent });
+    }
+    if (priceUsd) {
+      rules.check('volume-without-holders', result.volumePerNewHolderUsd, {
+        perHolder: result.volumePerNewHolderUsd.toLocaleString('en-US'),
+        netNewHolders,
+      });
+    }
+    if (result.buySellRatio !== null) {
+      rules.check('sell-pressure', round2(1 / result.buySellRatio));
+    }
+  }
+  result.flags = rules.flags();
+
+  return result;
+}
+
+module.exports = {
+  analyzeVolume,
+};
@@ -0,0 +1,260 @@
+// SolSentry Backend Feature: Live Watch Mode
+// This module keeps a set of mints under observation with Connection websocket subscriptions and raises alerts:
+// - mint/freeze authority changes (account changes on the mint; MintTo/FreezeAccount seen in mint logs)
+// - sharp liquidity drops (quote vault of the main pool) and LP removal (LP mint supply)
+// - top holder or dev wallet sells (their token accounts)
+// - risk score crossing a threshold (periodic rescan through Scan.js)
+// Alerts go to pluggable sinks (see Alerts.js).
+// Install dependencies: npm install @solana/web3.js @solana/spl-token axios
+
+const { PublicKey } = require('@solana/web3.js');
+const { unpackMint } = require('@solana/spl-token');
+const { getTokenMeta, getTopHolders, getDexPairs } = require('./On-chain.js');
+const { fetchMintWithProgram } = require('./Token-2022.js');
+const { fetchPool, selectMainPair } = require('./Pools.js');
+const { classifyHolders } = require('./Holders.js');
+const { scanToken } = require('./Scan.js');
+const { dispatchAlert, createStdoutSink } = require('./Alerts.js');
+
+const DEFAULTS = {
+  liquidityDropPercent: 30, // Quote vault or LP supply drop that triggers an alert
+  sellPercent: 20, // Share of a watched holder's balance that counts as a sell
+  riskThreshold: 60, // Composite score threshold (alert when crossed either way)
+  rescanIntervalMs: 10 * 60 * 1000, // 0 disables periodic rescans
+  watchedHolders: 10, // Top regular-wallet holders to subscribe to
+};
+
+// Helper: Raw token amount of a token account buffer
+function tokenAmount(data) {
+  return data.length >= 72 ? data.readBigUInt64LE(64) : 0n;
+}
+
+// Helper: Raw supply of a mint account buffer
+function mintSupply(data) {
+  return data.readBigUInt64LE(36);
+}
+
+// Helper: Percent drop from a reference to the current value
+function dropPercent(reference, current) {
+  return reference > 0n && current < reference ? Number(((reference - current) * 10000n) / reference) / 100 : 0;
+}
+
+// Main function: create a watcher
+// options: DEFAULTS overrides plus { sinks: [sink], scanOptions (passed to scanToken) }; undefined values keep the default
+// Returns { watch(mint), unwatch(mint), stop(), watched() }
+function createWatcher(connection, options = {}) {
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const settings = { ...DEFAULTS, ...overrides };
+  const sinks = options.sinks || [createStdoutSink()];
+  const entries = new Map(); // mint -> { subscriptions, logSubscriptions, timer, state }
+
+  const alert = (mint, type, severity, message, details = {}) => dispatchAlert(sinks, {
+    type, severity, mint, message, details, at: new Date().toISOString()
+  });
+
+  // Helper: true while entry is still the one watched for mint (unwatch can run while watch() is awaiting)
+  const isWatched = (mint, entry) => entries.get(mint) === entry;
+
+  // Subscribe to a token account and alert when its balance drops by sellPercent or more
+  function watchHolder(entry, mint, tokenAccount, label, type) {
+    if (!isWatched(mint, entry)) return;
+    entry.subscriptions.push(connection.onAccountChange(new PublicKey(tokenAccount), info => {
+      const previous = entry.state.holderBalances.get(tokenAccount);
+      const current = tokenAmount(info.data);
+      entry.state.holderBalances.set(tokenAccount, current);
+      if (previous !== undefined && dropPercent(previous, current) >= settings.sellPercent) {
+        alert(mint, type, type === 'dev-sell' ? 'critical' : 'warning',
+          `${label} sold or moved ${dropPercent(previous, current)}% of its balance`,
+          { tokenAccount, previous: previous.toString(), current: current.toString() });
+      }
+    }));
+  }
+
+  async function watch(mint) {
+    if (entries.has(mint)) return entries.get(mint).state;
+    const entry = { subscriptions: [], logSubscriptions: [], timer: null, state: { mint, holderBalances: new Map() } };
+    entries.set(mint, entry);
+    try {
+      return await subscribe(mint, entry);
+    } catch (error) {
+      // Drop whatever was subscribed before the failure (unless the mint was unwatched, or re-watched, meanwhile)
+      if (isWatched(mint, entry)) await unwatch(mint);
+      throw error;
+    }
+  }
+
+  async function subscribe(mint, entry) {
+    const mintKey = new PublicKey(mint);
+
+    // 1. Mint account: authority changes
+    const { mintInfo, programId } = await fetchMintWithProgram(connection, mint);
+    entry.state.mintAuthority = mintInfo.mintAuthority ? mintInfo.mintAuthority.toBase58() : null;
+    entry.state.freezeAuthority = mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toBase58() : null;
+    if (!isWatched(mint, entry)) return entry.state;
+    entry.subscriptions.push(connection.onAccountChange(mintKey, info => {
+      const updated = unpackMint(mintKey, info, programId);
+      const mintAuthority = updated.mintAuthority ? updated.mintAuthority.toBase58() : null;
+      const freezeAuthority = updated.freezeAuthority ? updated.freezeAuthority.toBase58() : null;
+      if (mintAuthority !== entry.state.mintAuthority) {
+        alert(mint, 'mint-authority-change', mintAuthority ? 'critical' : 'info',
+          mintAuthority ? `Mint authority changed to ${mintAuthority}` : 'Mint authority revoked',
+          { previous: entry.state.mintAuthority, current: mintAuthority });
+      }
+      if (freezeAuthority !== entry.state.freezeAuthority) {
+        alert(mint, 'freeze-authority-change', freezeAuthority ? 'critical' : 'info',
+          freezeAuthority ? `Freeze authority changed to ${freezeAuthority}` : 'Freeze authority revoked',
+          { previous: entry.state.freezeAuthority, current: freezeAuthority });
+      }
+      entry.state.mintAuthority = mintAuthority;
+      entry.state.freezeAuthority = freezeAuthority;
+    }));
+
+    // 2. Mint logs: new supply minted or accounts frozen
+    entry.logSubscriptions.push(connection.onLogs(mintKey, ({ logs, signature, err }) => {
+      if (err) return;
+      if (logs.some(line => /Instruction: MintTo/.test(line))) {
+        alert(mint, 'mint', 'critical', 'New tokens minted', { signature });
+      }
+      if (logs.some(line => /Instruction: FreezeAccount/.test(line))) {
+        alert(mint, 'freeze', 'critical', 'A token account was frozen', { signature });
+      }
+    }));
+
+    // 3. Main pool: quote vault liquidity and LP supply
+    const pairs = await getDexPairs(mint).catch(error => {
+      entry.state.poolError = `Pool not watched: ${error.message}`;
+      return [];
+    });
+    const mainPair = selectMainPair(pairs);
+    if (mainPair) {
+      try {
+        const pool = await fetchPool(connection, mainPair.pairAddress);
+        const quoteVault = pool.baseMint.equals(mintKey) ? pool.quoteVault : pool.baseVault;
+        entry.state.pool = pool.address.toBase58();
+        if (quoteVault) {
+          const vaultInfo = await connection.getAccountInfo(quoteVault);
+          entry.state.liquidityReference = vaultInfo ? tokenAmount(vaultInfo.data) : 0n;
+          if (!isWatched(mint, entry)) return entry.state;
+          entry.subscriptions.push(connection.onAccountChange(quoteVault, info => {
+            const current = tokenAmount(info.data);
+            const drop = dropPercent(entry.state.liquidityReference, current);
+            if (drop >= settings.liquidityDropPercent) {
+              alert(mint, 'liquidity-drop', 'critical', `Pool liquidity dropped ${drop}%`,
+                { pool: entry.state.pool, previous: entry.state.liquidityReference.toString(), current: current.toString() });
+              entry.state.liquidityReference = current;
+            } else if (current > entry.state.liquidityReference) {
+              entry.state.liquidityReference = current;
+            }
+          }));
+        }
+        if (pool.lpMint) {
+          const lpInfo = await connection.getAccountInfo(pool.lpMint);
+          entry.state.lpSupplyReference = lpInfo ? mintSupply(lpInfo.data) : 0n;
+          if (!isWatched(mint, entry)) return entry.state;
+          entry.subscriptions.push(connection.onAccountChange(pool.lpMint, info => {
+            const current = mintSupply(info.data);
+            const drop = dropPercent(entry.state.lpSupplyReference, current);
+            if (drop >= settings.liquidityDropPercent) {
+              alert(mint, 'lp-removed', 'critical', `LP supply dropped ${drop}% (liquidity removed or LP burned)`,
+                { lpMint: pool.lpMint.toBase58(), previous: entry.state.lpSupplyReference.toString(), current: current.toString() });
+            }
+            entry.state.lpSupplyReference = current;
+          }));
+        }
+      } catch (error) {
+        entry.state.poolError = `Pool not watched: ${error.message}`;
+      }
+    }
+
+    // 4. Top regular-wallet holders and the dev wallet
+    const sourceOptions = { dataSource: options.scanOptions?.dataSource };
+    const [tokenMeta, topHolders] = await Promise.all([
+      getTokenMeta(mint, sourceOptions).catch(() => null), // Without meta the dev wallet is simply not watched
+      getTopHolders(mint, 50, sourceOptions).catch(error => {
+        entry.state.holderError = `Holders not watched: ${error.message}`;
+        return [];
+      }),
+    ]);
+    try {
+      const classification = await classifyHolders(connection, topHolders, { totalSupply: mintInfo.supply, pairs });
+      classification.holders
+        .filter(holder => holder.tag === 'wallet' && holder.tokenAccount)
+        .slice(0, settings.watchedHolders)
+        .forEach(holder => {
+          entry.state.holderBalances.set(holder.tokenAccount, BigInt(holder.amount));
+          watchHolder(entry, mint, holder.tokenAccount, `Top holder #${holder.rank} (${holder.owner})`, 'whale-sell');
+        });
+    } catch (error) {
+      entry.state.holderError = `Holders not watched: ${error.message}`;
+    }
+    const devWallet = tokenMeta?.creator?.address;
+    if (devWallet) {
+      try {
+        const { value } = await connection.getParsedTokenAccountsByOwner(new PublicKey(devWallet), { mint: mintKey });
+        value.forEach(account => {
+          const tokenAccount = account.pubkey.toBase58();
+          entry.state.holderBalances.set(tokenAccount, BigInt(account.account.data.parsed.info.tokenAmount.amount));
+          watchHolder(entry, mint, tokenAccount, `Dev wallet (${devWallet})`, 'dev-sell');
+        });
+      } catch (error) {
+        entry.state.holderError = `Dev wallet not watched: ${error.message}`;
+      }
+    }
+
+    // 5. Periodic rescan: alert when the composite score crosses the threshold
+    if (settings.rescanIntervalMs > 0) {
+      const rescan = async () => {
+        try {
+          const report = await scanToken(mint, { skipSocial: true, ...(options.scanOptions || {}) });
+          const previous = entry.state.riskScore;
+          entry.state.riskScore = report.score;
+          if (previous !== undefined && (previous < settings.riskThreshold) !== (report.score < settings.riskThreshold)) {
+            const rising = report.score >= settings.riskThreshold;
+            alert(mint, 'risk-threshold', rising ? 'critical' : 'info',
+              `Risk score ${rising ? 'rose above' : 'fell below'} ${settings.riskThreshold}: ${previous} -> ${report.score}`,
+              { previous, current: report.score, flags: report.redFlags.map(entry => entry.flag).join('; ') });
+          }
+        } catch (error) {
+          console.error(`Error rescanning ${mint}:`, error.message);
+        }
+      };
+      // The next rescan is scheduled once the previous one finished, so slow scans never pile up
+      const scheduleRescan = () => {
+        if (!isWatched(mint, entry)) return;
+        entry.timer = setTimeout(async () => {
+          await rescan();
+          scheduleRescan();
+        }, settings.rescanIntervalMs);
+      };
+      await rescan();
+      scheduleRescan();
+    }
+
+    return entry.state;
+  }
+
+  async function unwatch(mint) {
+    const entry = entries.get(mint);
+    if (!entry) return;
+    entries.delete(mint);
+    if (entry.timer) clearTimeout(entry.timer);
+    await Promise.all(entry.subscriptions.map(id => connection.removeAccountChangeListener(id)));
+    await Promise.all(entry.logSubscriptions.map(id => connection.removeOnLogsListener(id)));
+  }
+
+  async function stop() {
+    await Promise.all([...entries.keys()].map(unwatch));
+  }
+
+  return {
+    watch,
+    unwatch,
+    stop,
+    watched: () => [...entries.keys()],
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  createWatcher,
+};
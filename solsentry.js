@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+// SolSentry CLI
+// Usage: node solsentry.js scan <mint> [--json] [--no-social] [--rules=default|conservative|degen|<file>] [--data-source=auto|solscan|rpc]
+//        node solsentry.js batch <file|mint...> [--concurrency=3] [--json]
+//        node solsentry.js portfolio <wallet> [--min-value=1] [--max-scans=25] [--json]
+//        node solsentry.js watch <mint> [<mint> ...] [--threshold=60] [--interval=600]
+//        node solsentry.js discover [--sources=pumpfun,launchlab,raydium] [--json]
+//        node solsentry.js history <mint> [--field=<metric>] [--json]
+//        node solsentry.js diff <mint> [<olderScanId> <newerScanId>] [--json]
+//        node solsentry.js serve [--port=8787] [--host=127.0.0.1] [--config=<file>]
+// API keys are read from the environment: BIRDEYE_API_KEY, LUNARCRUSH_API_KEY,
+// TWITTER_APP_KEY, TWITTER_APP_SECRET, TWITTER_ACCESS_TOKEN, TWITTER_ACCESS_SECRET.
+// TELEGRAM_BOT_TOKEN (bot in the project group) and DISCORD_BOT_TOKEN feed the Telegram/Discord community analytics.
+// SOLSENTRY_SIM_PAYER (funded wallet address) enables the honeypot buy/sell simulation;
+// SOLANA_RPC_URL selects the RPC endpoint (e.g., a local solana-test-validator);
+// SOLSENTRY_DATA_SOURCE (or --data-source) picks where token meta, holders and transactions come from.
+// Watch alerts also go to SOLSENTRY_WEBHOOK_URL, TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID and DISCORD_WEBHOOK_URL when set.
+// Scans are saved to the history database (SOLSENTRY_DB, default ./solsentry-history.db) unless --no-history is given
+// or better-sqlite3 is not installed.
+// Provider responses are cached in memory, and on disk when SOLSENTRY_CACHE_DIR (or --cache-dir) is set.
+// serve reads an optional JSON config (--config or SOLSENTRY_CONFIG) with port, host, jobConcurrency, apiKeys and scanOptions.
+
+const fs = require('fs');
+const { scanToken, formatScanReport } = require('./Scan.js');
+const { connection } = require('./On-chain.js');
+const { createWatcher } = require('./Watch.js');
+const { sinksFromEnv } = require('./Alerts.js');
+const { createDiscoveryFeed } = require('./Discovery.js');
+const { historyAvailable, openHistoryStore } = require('./History.js');
+const { readMintList, scanBatch, formatBatchSummary } = require('./Batch.js');
+const { scanPortfolio, formatPortfolio } = require('./Portfolio.js');
+const { configureFetch } = require('./Fetch.js');
+const { createApiServer } = require('./Server.js');
+
+const USAGE = `Usage: node solsentry.js <command> [options]
+
+Commands:
+  scan <mint>          Run security, tokenomics and social analysis and print a composite verdict
+  batch <file|mint...> Scan many mints (a file with one mint per line, or mints as arguments) and rank them
+  portfolio <wallet>   Scan every token a wallet holds and rank the positions (value, risk, exit slippage, authorities)
+  watch <mint...>      Watch mints live and alert on authority changes, LP pulls, whale/dev sells and risk changes
+  discover             Stream new Pump.fun, LaunchLab and Raydium launches with a first-pass risk score
+  history <mint>       List saved scans of a mint (or one metric over time with --field)
+  diff <mint> [a b]    Changes between two saved scans (default: the last two)
+  serve                Run the HTTP API (scan, security, tokenomics, social, batch, portfolio, async jobs; /openapi.json)
+
+Options:
+  --json               Print the full report as JSON instead of the text summary
+  --no-social          Skip the social sentiment step
+  --no-history         scan/batch/portfolio/serve: do not save reports to the history database
+  --concurrency=<n>    batch/portfolio: scans running at once (default 3, portfolio 2)
+  --min-value=<usd>    portfolio: positions worth less are listed but not scanned (default 1)
+  --max-scans=<n>      portfolio: largest positions scanned (default 25)
+  --cache-dir=<dir>    Cache provider responses on disk (also SOLSENTRY_CACHE_DIR)
+  --field=<metric>     history: metric to chart, e.g. score, liquidityUSD, holderCount, top10Percent
+  --threshold=<score>  watch: risk score that triggers an alert when crossed (default 60)
+  --interval=<sec>     watch: seconds between rescans, 0 to disable (default 600)
+  --sources=<list>     discover: comma-separated launch sources (default pumpfun,launchlab,raydium)
+  --rules=<pack>       Rule pack: default, conservative, degen or a JSON/YAML file (see rules/)
+  --data-source=<src>  scan/batch/portfolio/watch: auto (Solscan, falling back to RPC), solscan, or rpc (plain Solana RPC only)
+  --count-holders      scan/batch: count holders with getProgramAccounts in RPC mode (local validator or dedicated RPC)
+  --ledger-pages=<n>   scan/batch: pages of 1000 mint signatures read for the burn/mint supply ledger (default 10)
+  --position=<usd>     scan/batch: planned position in USD for the exit-slippage simulation
+  --max-tweets=<n>     scan/batch: tweets collected for Twitter/X sentiment (default 500)
+  --telegram-export=<file>  scan/batch: Telegram Desktop JSON export of the project group (community analytics)
+  --discord-export=<file>   scan/batch: Discord JSON export (DiscordChatExporter or raw API messages)
+  --discord-channels=<ids>  scan/batch: comma-separated Discord channel ids read with DISCORD_BOT_TOKEN
+  --port=<n>           serve: port to listen on (default 8787)
+  --host=<addr>        serve: address to bind (default 127.0.0.1)
+  --config=<file>      serve: JSON config with apiKeys, scanOptions and server settings (also SOLSENTRY_CONFIG)`;
+
+// Helper: Collect API keys from environment variables (never hardcode keys in source)
+function apiKeysFromEnv(env = process.env) {
+  const twitter = env.TWITTER_APP_KEY ? {
+    appKey: env.TWITTER_APP_KEY,
+    appSecret: env.TWITTER_APP_SECRET,
+    accessToken: env.TWITTER_ACCESS_TOKEN,
+    accessSecret: env.TWITTER_ACCESS_SECRET,
+  } : undefined;
+  return {
+    birdeye: env.BIRDEYE_API_KEY || '',
+    lunarCrush: env.LUNARCRUSH_API_KEY || '',
+    twitter,
+    telegramBot: env.TELEGRAM_BOT_TOKEN || undefined,
+    discordBot: env.DISCORD_BOT_TOKEN || undefined,
+  };
+}
+
+// Helper: Split argv into positionals and --flags (--name or --name=value)
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  argv.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [name, ...value] = arg.slice(2).split('=');
+      flags[name] = value.length > 0 ? value.join('=') : true;
+    } else {
+      positionals.push(arg);
+    }
+  });
+  return { positionals, flags };
+}
+
+// Helper: Drop unset options so module defaults apply
+function definedOnly(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// Helper: Scan options shared by scan and batch
+function scanOptionsFromFlags(flags) {
+  return {
+    apiKeys: apiKeysFromEnv(),
+    skipSocial: Boolean(flags['no-social']),
+    rulePack: flags.rules,
+    dataSource: flags['data-source'],
+    countHolders: Boolean(flags['count-holders']),
+    ledgerPages: flags['ledger-pages'] ? Number(flags['ledger-pages']) : undefined,
+    positionUsd: flags.position ? Number(flags.position) : undefined,
+    twitter: definedOnly({ maxTweets: flags['max-tweets'] ? Number(flags['max-tweets']) : undefined }),
+    community: definedOnly({
+      telegramExport: typeof flags['telegram-export'] === 'string' ? flags['telegram-export'] : undefined,
+      discordExport: typeof flags['discord-export'] === 'string' ? flags['discord-export'] : undefined,
+      discordChannels: typeof flags['discord-channels'] === 'string' ? flags['discord-channels'].split(',') : undefined,
+    }),
+    simulationPayer: process.env.SOLSENTRY_SIM_PAYER,
+  };
+}
+
+// Command: scan many mints with bounded concurrency and print them riskiest first
+async function runBatch(inputs, flags) {
+  const mints = inputs.length === 1 && fs.existsSync(inputs[0])
+    ? readMintList(inputs[0])
+    : inputs.flatMap(input => input.split(','));
+  let store = null;
+  if (!flags['no-history'] && historyAvailable()) {
+    try {
+      store = openHistoryStore();
+    } catch (error) {
+      console.error('Scans not saved to history:', error.message);
+    }
+  }
+  const results = await scanBatch(mints, definedOnly({
+    concurrency: flags.concurrency !== undefined ? Number(flags.concurrency) : undefined,
+    scanOptions: { ...scanOptionsFromFlags(flags), history: store || undefined },
+    onResult: ({ mint, report, error }, done, total) => {
+      if (report && store) {
+        try {
+          store.saveScan(report);
+        } catch (error) {
+          console.error(`Scan of ${mint} not saved to history:`, error.message);
+        }
+      }
+      console.error(`[${done}/${total}] ${mint} ${report
+        ? `${report.score}/100 ${report.riskLevel}${report.complete === false ? ' (incomplete)' : ''}`
+        : `failed: ${error}`}`);
+    },
+  }));
+  if (store) store.close();
+  console.log(flags.json ? JSON.stringify(results, null, 2) : formatBatchSummary(results));
+  return results.some(result => !result.report) ? 1 : 0;
+}
+
+// Command: scan every token a wallet holds and print the positions riskiest first
+async function runPortfolio(wallet, flags) {
+  let store = null;
+  if (!flags['no-history'] && historyAvailable()) {
+    try {
+      store = openHistoryStore();
+    } catch (error) {
+      console.error('Scans not saved to history:', error.message);
+    }
+  }
+  try {
+    const result = await scanPortfolio(connection, wallet, definedOnly({
+      minValueUsd: flags['min-value'] !== undefined ? Number(flags['min-value']) : undefined,
+      maxScans: flags['max-scans'] !== undefined ? Number(flags['max-scans']) : undefined,
+      concurrency: flags.concurrency !== undefined ? Number(flags.concurrency) : undefined,
+      scanOptions: { ...scanOptionsFromFlags(flags), history: store || undefined },
+      onResult: ({ mint, report, error }, done, total) => {
+        if (report && store) {
+          try {
+            store.saveScan(report);
+          } catch (error) {
+            console.error(`Scan of ${mint} not saved to history:`, error.message);
+          }
+        }
+        console.error(`[${done}/${total}] ${mint} ${report ? `${report.score}/100 ${report.riskLevel}` : `failed: ${error}`}`);
+      },
+    }));
+    console.log(flags.json ? JSON.stringify(result, null, 2) : formatPortfolio(result));
+    return result.positions.some(position => position.scanError) ? 1 : 0;
+  } finally {
+    if (store) store.close();
+  }
+}
+
+// Command: watch mints until interrupted (Ctrl+C)
+async function runWatch(mints, flags) {
+  const watcher = createWatcher(connection, definedOnly({
+    sinks: sinksFromEnv(),
+    riskThreshold: flags.threshold !== undefined ? Number(flags.threshold) : undefined,
+    rescanIntervalMs: flags.interval !== undefined ? Number(flags.interval) * 1000 : undefined,
+    scanOptions: definedOnly({
+      apiKeys: apiKeysFromEnv(),
+      simulationPayer: process.env.SOLSENTRY_SIM_PAYER,
+      rulePack: flags.rules,
+      dataSource: flags['data-source'],
+    }),
+  }));
+  for (const mint of mints) {
+    await watcher.watch(mint);
+    console.log(`Watching ${mint}`);
+  }
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await watcher.stop();
+  return 0;
+}
+
+// Command: stream newly discovered launches until interrupted (Ctrl+C)
+async function runDiscover(flags) {
+  const feed = createDiscoveryFeed(connection, definedOnly({
+    sources: typeof flags.sources === 'string' ? flags.sources.split(',') : undefined,
+    rulePack: flags.rules,
+    onLaunch: (launch, rank) => {
+      if (flags.json) {
+        console.log(JSON.stringify({ rank, ...launch }));
+        return;
+      }
+      const label = [launch.symbol, launch.name].filter(Boolean).join(' - ') || 'unnamed';
+      const { score, riskLevel, flags: riskFlags } = launch.quickScan;
+      console.log(`#${rank} [${launch.source}] ${launch.mint} (${label}) risk ${score}/100 ${riskLevel}`
+        + (riskFlags.length > 0 ? ` - ${riskFlags.join('; ')}` : ''));
+    },
+  }));
+  feed.start();
+  console.error('Listening for new launches (Ctrl+C to stop)');
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await feed.stop();
+  return 0;
+}
+
+// Command: saved scans of a mint, or one metric over time
+function runHistory(mint, flags) {
+  const store = openHistoryStore();
+  try {
+    if (typeof flags.field === 'string') {
+      const series = store.timeSeries(mint, flags.field);
+      console.log(flags.json ? JSON.stringify(series, null, 2)
+        : series.map(point => `${point.scannedAt}  #${point.id}  ${point.value ?? '-'}`).join('\n') || 'No saved scans');
+      return 0;
+    }
+    const scans = store.listScans(mint);
+    if (flags.json) {
+      console.log(JSON.stringify(scans, null, 2));
+    } else if (scans.length === 0) {
+      console.log('No saved scans');
+    } else {
+      scans.forEach(scan => console.log(`#${scan.id}  ${scan.scannedAt}  score ${scan.score} (${scan.riskLevel})`
+        + `  liquidity ${scan.liquidityUSD ?? '-'}  holders ${scan.holderCount ?? '-'}  top10 ${scan.top10Percent ?? '-'}%`));
+    }
+    return 0;
+  } finally {
+    store.close();
+  }
+}
+
+// Command: changes between two saved scans
+function runDiff(mint, ids, flags) {
+  const store = openHistoryStore();
+  try {
+    const result = ids.length >= 2 ? store.diff(mint, Number(ids[0]), Number(ids[1])) : store.diff(mint);
+    if (flags.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`Scan #${result.older} (${result.from}) -> #${result.newer} (${result.to})`);
+      console.log(result.changes.length > 0 ? result.changes.map(change => `  - ${change.message}`).join('\n') : '  no changes');
+    }
+    return 0;
+  } finally {
+    store.close();
+  }
+}
+
+// Command: serve the HTTP API until interrupted (Ctrl+C)
+// Config file values override the environment's API keys; request headers/bodies override both (see Server.js)
+async function runServe(flags) {
+  const configFile = typeof flags.config === 'string' ? flags.config : process.env.SOLSENTRY_CONFIG;
+  const config = configFile ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+  let store = null;
+  if (!flags['no-history'] && historyAvailable()) {
+    try {
+      store = openHistoryStore();
+    } catch (error) {
+      console.error('Scans not saved to history:', error.message);
+    }
+  }
+  const api = createApiServer(definedOnly({
+    ...config,
+    apiKeys: definedOnly({ ...apiKeysFromEnv(), ...config.apiKeys }),
+    scanOptions: definedOnly({ simulationPayer: process.env.SOLSENTRY_SIM_PAYER, ...config.scanOptions }),
+    store,
+  }));
+  const address = await api.listen(
+    flags.port !== undefined ? Number(flags.port) : config.port,
+    typeof flags.host === 'string' ? flags.host : config.host,
+  );
+  console.error(`SolSentry API listening on http://${address.address}:${address.port} (OpenAPI at /openapi.json, Ctrl+C to stop)`);
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await api.close();
+  if (store) store.close();
+  return 0;
+}
+
+async function main(argv) {
+  const { positionals, flags } = parseArgs(argv);
+  const [command, mint] = positionals;
+  if (typeof flags['cache-dir'] === 'string') {
+    configureFetch({ cacheDir: flags['cache-dir'] });
+  }
+
+  if (command === 'batch' && mint) {
+    return runBatch(positionals.slice(1), flags);
+  }
+  if (command === 'portfolio' && mint) {
+    return runPortfolio(mint, flags);
+  }
+  if (command === 'watch' && mint) {
+    return runWatch(positionals.slice(1), flags);
+  }
+  if (command === 'discover') {
+    return runDiscover(flags);
+  }
+  if (command === 'serve') {
+    return runServe(flags);
+  }
+  if (command === 'history' && mint) {
+    return runHistory(mint, flags);
+  }
+  if (command === 'diff' && mint) {
+    return runDiff(mint, positionals.slice(2), flags);
+  }
+  if (command !== 'scan' || !mint) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let store = null;
+  if (!flags['no-history'] && historyAvailable()) {
+    try {
+      store = openHistoryStore();
+    } catch (error) {
+      console.error('Scan not saved to history:', error.message);
+    }
+  }
+  try {
+    // Earlier scans' holder counts feed the hype divergence (Hype.js)
+    const report = await scanToken(mint, { ...scanOptionsFromFlags(flags), history: store || undefined });
+    console.log(flags.json ? JSON.stringify(report, null, 2) : formatScanReport(report));
+    if (store) {
+      try {
+        const id = store.saveScan(report);
+        console.error(`Saved as scan #${id} (node solsentry.js diff ${mint} to compare with the previous scan)`);
+      } catch (error) {
+        console.error('Scan not saved to history:', error.message);
+      }
+    }
+  } finally {
+    if (store) store.close();
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+      console.error('SolSentry failed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  apiKeysFromEnv,
+  parseArgs,
+  main,
+};